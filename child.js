@@ -46,25 +46,48 @@ function bindChildPrintLifecycle() {
 }
 
 // 父页面消息桥接
-// 作用：响应父页面的打印前/后消息通知。
+// 作用：通过 print-child.js 响应父页面的打印协议请求（打印前/后、序列化快照）；
+// 允许的父页面源可通过 window.PRINTKIT_PARENT_ORIGINS 声明，以支持跨子域嵌入。
 function bindMessageBridge() {
   log('bindMessageBridge:start');
-  window.addEventListener('message', (evt) => {
-    const { type } = evt.data || {};
-    if (type === 'app-print-prep') appBeforePrint();
-    if (type === 'app-print-clean') appAfterPrint();
-  });
+  window.PrintKitChild.bind({ onBeforePrint: appBeforePrint, onAfterPrint: appAfterPrint });
   log('bindMessageBridge:done');
 }
 
+// 子页面独立打印时的水印模板（按页面语言的主语言子标签；与 printkit/i18n.js 的 watermark.frame 一致，父页面发起的打印使用其下发的文字）
+const STANDALONE_WATERMARKS = {
+  zh: '子页面打印 {time}',
+  en: 'Embedded page print {time}',
+  ja: '子ページ印刷 {time}',
+};
+
+// 生成子页面独立打印时的水印文字
+// 返回：按页面语言（html 的 lang）选取模板并填入时间，如“子页面打印 时间”；不支持的语言使用中文模板，
+// 页面语言无效时时间使用浏览器默认格式
+function getStandaloneWatermark() {
+  const lang = document.documentElement.lang || '';
+  const template = STANDALONE_WATERMARKS[lang.split('-')[0].toLowerCase()] || STANDALONE_WATERMARKS.zh;
+  const now = new Date();
+  let time;
+  try {
+    time = new Intl.DateTimeFormat(lang || undefined, { dateStyle: 'medium', timeStyle: 'short' }).format(now);
+  } catch (e) {
+    time = now.toLocaleString();
+  }
+  return template.replace('{time}', time);
+}
+
 // 打印前动作（子页面公开方法）
-// 作用：注入水印或执行资源准备、分页等。
-function appBeforePrint() {
-  log('appBeforePrint:start');
+// 参数：options - 父页面请求的 payload（{ locale, messages }，messages.watermark 为父页面按打印语言生成的水印文字；
+// 子页面独立打印时为空，使用 getStandaloneWatermark）
+// 作用：展开滚动容器（便于上报完整高度）、注入水印或执行资源准备、分页等。
+function appBeforePrint(options = {}) {
+  log('appBeforePrint:start', { locale: options.locale });
+  document.documentElement.classList.add('print-prep');
   if (document.querySelector('.watermark')) return;
   const wm = document.createElement('div');
   wm.className = 'watermark';
-  wm.textContent = `子页面打印 ${new Date().toLocaleString()}`;
+  wm.textContent = (options.messages && options.messages.watermark) || getStandaloneWatermark();
   document.body.appendChild(wm);
   log('appBeforePrint:done');
 }
@@ -73,6 +96,7 @@ function appBeforePrint() {
 // 作用：移除打印阶段注入的元素或状态。
 function appAfterPrint() {
   log('appAfterPrint:start');
+  document.documentElement.classList.remove('print-prep');
   document.querySelectorAll('.watermark').forEach((el) => el.remove());
   log('appAfterPrint:done');
 }
@@ -0,0 +1,294 @@
+// PrintKit 子页面脚本（可被任意子页面引入，含跨域子页面）
+// 说明：实现父子页面打印协议（与 printkit/protocol.js 保持一致），并在父页面请求时序列化自身 DOM、样式、
+// 表单状态与画布位图，使父页面无需同源访问即可重建打印快照。
+// 用法：<script src="print-child.js"></script> 后调用 PrintKitChild.bind({ onBeforePrint, onAfterPrint, allowedOrigins })；
+// onBeforePrint 收到父页面请求的 payload（{ locale, messages }：打印语言与父页面按该语言解析的文本），可据此生成水印等文本
+(function () {
+  // 父子页面打印协议
+  // 说明：请求 { channel, version, id, type, payload }；应答 { channel, version, replyTo, type, payload, error }
+  const PRINT_PROTOCOL = { channel: 'printkit', version: 1 };
+
+  // 统一日志输出（子页面打印脚本）
+  function log(name, ...args) {
+    const ts = new Date().toISOString();
+    console.log(`[PRINTKIT-CHILD ${ts}]`, name, ...args);
+  }
+
+  // 序列化生成的文本：由父页面按打印语言解析后随请求的 payload.messages 下发（见 printkit/i18n.js 的 getFrameMessages），
+  // 此处只是父页面未提供时的默认值
+  const DEFAULT_MESSAGES = { separator: '、', noFile: '未选择文件', canvas: '画布图像' };
+
+  // 当前绑定的打印钩子与允许的父页面源
+  const hooks = { onBeforePrint: null, onAfterPrint: null, allowedOrigins: [] };
+  // 消息监听是否已安装
+  let listening = false;
+
+  // 允许发起打印请求的父页面源
+  // 说明：默认仅同源；嵌入到其他子域时通过 bind({ allowedOrigins }) 或 window.PRINTKIT_PARENT_ORIGINS 声明
+  function getAllowedParentOrigins() {
+    const list = Array.isArray(window.PRINTKIT_PARENT_ORIGINS) ? window.PRINTKIT_PARENT_ORIGINS : [];
+    return [window.location.origin].concat(hooks.allowedOrigins, list);
+  }
+
+  // 测量子页面完整内容高度
+  // 返回：打印准备完成后文档的总高度（像素），供父页面展开 iframe
+  function measureContentHeight() {
+    const html = document.documentElement;
+    const body = document.body;
+    return Math.max(html.scrollHeight, body.scrollHeight);
+  }
+
+  // 将相对地址改写为绝对地址
+  // 参数：value - 原始地址；base - 基准地址
+  function absolutize(value, base) {
+    if (!value || /^(data|blob|javascript|mailto|tel|#)/i.test(value)) return value;
+    try {
+      return new URL(value, base).href;
+    } catch {
+      return value;
+    }
+  }
+
+  // 改写样式文本中的相对 url()
+  // 参数：cssText - 样式文本；base - 样式表地址
+  function absolutizeCssUrls(cssText, base) {
+    return cssText.replace(/url\(\s*(['"]?)([^'")]+)\1\s*\)/g, (all, q, raw) => `url("${absolutize(raw, base)}")`);
+  }
+
+  // 收集子页面样式
+  // 返回：{ styles: 样式文本数组, complete: 是否读取到全部样式表 }
+  // 作用：通过 cssRules 读取样式（含外链样式），相对 url() 改写为绝对地址；无法读取的样式表（跨域且无 CORS）标记为不完整
+  function collectStyles() {
+    const styles = [];
+    let complete = true;
+    Array.from(document.styleSheets).forEach((sheet) => {
+      try {
+        const text = Array.from(sheet.cssRules).map((r) => r.cssText).join('\n');
+        styles.push(absolutizeCssUrls(text, sheet.href || document.baseURI));
+      } catch (e) {
+        complete = false;
+        log('collectStyles:error', sheet.href, e && e.message);
+      }
+    });
+    return { styles, complete };
+  }
+
+  // 计算元素相对根节点的结构路径（与 printkit/form-state.js 一致）
+  // 返回：如 'DIV:0/INPUT:1'；el 不在 root 内时返回 null
+  function getStructuralPath(el, root) {
+    const steps = [];
+    let node = el;
+    while (node && node !== root) {
+      const parent = node.parentNode;
+      if (!parent) return null;
+      steps.unshift(node.tagName + ':' + Array.prototype.indexOf.call(parent.children, node));
+      node = parent;
+    }
+    return node === root ? steps.join('/') : null;
+  }
+
+  // 按结构路径查找元素；路径上标签名不一致时返回 null
+  function resolveStructuralPath(root, path) {
+    if (path === null) return null;
+    let node = root;
+    for (const step of path.split('/')) {
+      const sep = step.lastIndexOf(':');
+      const child = node.children[Number(step.slice(sep + 1))];
+      if (!child || child.tagName !== step.slice(0, sep)) return null;
+      node = child;
+    }
+    return node;
+  }
+
+  // 生成控件的静态文本（与 printkit/form-state.js 的 describeControlValue 一致）
+  // 参数：el - 原始控件；type - input 类型；messages - 打印语言的文本
+  function describeControlValue(el, type, messages) {
+    if (el.tagName === 'SELECT') return Array.from(el.options).filter((o) => o.selected).map((o) => o.textContent.trim()).join(messages.separator);
+    if (type === 'checkbox') return el.checked ? '☑' : '☐';
+    if (type === 'radio') return el.checked ? '◉' : '○';
+    if (type === 'file') return Array.from(el.files || []).map((f) => f.name).join(messages.separator) || messages.noFile;
+    if (type === 'password') return el.value ? '••••••' : '';
+    return el.value;
+  }
+
+  // 固化表单状态到克隆节点
+  // 参数：origRoot - 原始根节点；clonedRoot - 克隆的根节点；staticText - 是否替换为静态只读文本；messages - 打印语言的文本
+  // 作用：按结构路径配对控件，覆盖多选下拉、可编辑区域、日期/范围/颜色/文件输入与 <output>；先配对再替换，避免路径错位
+  function materializeFormState(origRoot, clonedRoot, staticText, messages) {
+    const pairs = [];
+    origRoot.querySelectorAll('input, select, textarea, output, [contenteditable]:not([contenteditable="false"])').forEach((o) => {
+      const c = resolveStructuralPath(clonedRoot, getStructuralPath(o, origRoot));
+      if (c) pairs.push({ o, c });
+    });
+    pairs.forEach(({ o, c }) => {
+      const type = o.tagName === 'INPUT' ? (o.getAttribute('type') || 'text').toLowerCase() : '';
+      if (['button', 'submit', 'reset', 'image', 'hidden'].includes(type)) return;
+      if (o.tagName === 'OUTPUT') {
+        c.textContent = o.value;
+        return;
+      }
+      if (!/^(INPUT|SELECT|TEXTAREA)$/.test(o.tagName)) {
+        if (staticText) c.removeAttribute('contenteditable');
+        return;
+      }
+      if (type === 'checkbox' || type === 'radio') {
+        if (o.checked) c.setAttribute('checked', ''); else c.removeAttribute('checked');
+      } else if (type === 'file') {
+        c.setAttribute('data-print-files', describeControlValue(o, type, messages));
+      } else if (type === 'password') {
+        c.removeAttribute('value');
+      } else if (o.tagName === 'TEXTAREA') {
+        c.textContent = o.value;
+      } else if (o.tagName === 'SELECT') {
+        Array.from(c.options).forEach((opt, idx) => {
+          if (o.options[idx] && o.options[idx].selected) opt.setAttribute('selected', ''); else opt.removeAttribute('selected');
+        });
+      } else {
+        c.setAttribute('value', o.value);
+      }
+      if (!staticText) return;
+      const span = document.createElement('span');
+      if (c.id) span.id = c.id;
+      span.className = ((c.getAttribute('class') || '') + ' print-static-value').trim();
+      if (c.getAttribute('style')) span.setAttribute('style', c.getAttribute('style'));
+      if (o.tagName === 'TEXTAREA') span.style.whiteSpace = 'pre-wrap';
+      if (type === 'color') {
+        const swatch = document.createElement('span');
+        swatch.className = 'print-static-swatch';
+        swatch.style.cssText = 'display:inline-block;width:1em;height:1em;vertical-align:middle;margin-right:4px;border:1px solid #d1d5db;background:' + o.value + ';';
+        span.appendChild(swatch);
+      }
+      span.appendChild(document.createTextNode(describeControlValue(o, type, messages)));
+      c.replaceWith(span);
+    });
+  }
+
+  // 画布位图转为图片
+  // 参数：origRoot - 原始根节点；clonedRoot - 克隆的根节点；messages - 打印语言的文本
+  function rasterizeCanvases(origRoot, clonedRoot, messages) {
+    const origCanvases = origRoot.querySelectorAll('canvas');
+    const clonedCanvases = clonedRoot.querySelectorAll('canvas');
+    const n = Math.min(origCanvases.length, clonedCanvases.length);
+    for (let i = 0; i < n; i++) {
+      try {
+        const img = document.createElement('img');
+        const canvas = origCanvases[i];
+        img.src = canvas.toDataURL('image/png');
+        // 替代文本：aria-label、title 或画布的后备内容
+        img.alt = canvas.getAttribute('aria-label') || canvas.getAttribute('title') || canvas.textContent.trim() || messages.canvas;
+        img.style.maxWidth = '100%';
+        clonedCanvases[i].replaceWith(img);
+      } catch (e) {
+        // 被跨域图片污染的画布无法导出，保留原节点
+        log('rasterizeCanvases:error', e && e.message);
+      }
+    }
+  }
+
+  // 内联计算样式
+  // 参数：origRoot - 原始根节点；clonedRoot - 克隆的根节点
+  // 作用：样式表不可读时的回退方案，将每个元素的计算样式写入 style 属性
+  function inlineComputedStyles(origRoot, clonedRoot) {
+    const origEls = [origRoot].concat(Array.from(origRoot.querySelectorAll('*')));
+    const clonedEls = [clonedRoot].concat(Array.from(clonedRoot.querySelectorAll('*')));
+    const n = Math.min(origEls.length, clonedEls.length);
+    for (let i = 0; i < n; i++) {
+      const cs = window.getComputedStyle(origEls[i]);
+      const decls = [];
+      for (let j = 0; j < cs.length; j++) decls.push(`${cs[j]}:${cs.getPropertyValue(cs[j])}`);
+      clonedEls[i].setAttribute('style', decls.join(';'));
+    }
+  }
+
+  // 序列化子页面（打印快照）
+  // 参数：options - { staticForms: 是否将表单控件替换为静态只读文本, messages: 父页面解析的文本 }（来自父页面请求的 payload）
+  // 返回：{ html, styles, title, lang, height, inlined }
+  // 作用：克隆 body，固化表单状态与画布位图，移除脚本并将资源地址改写为绝对地址；样式表不可读时内联计算样式
+  function serializeDocument(options = {}) {
+    log('serializeDocument:start');
+    const body = document.body;
+    const clone = body.cloneNode(true);
+    const messages = { ...DEFAULT_MESSAGES, ...(options.messages || {}) };
+    rasterizeCanvases(body, clone, messages);
+    const { styles, complete } = collectStyles();
+    // 计算样式按元素顺序配对，需在表单静态化替换节点之前完成
+    if (!complete) inlineComputedStyles(body, clone);
+    materializeFormState(body, clone, !!options.staticForms, messages);
+    clone.querySelectorAll('script, noscript').forEach((el) => el.remove());
+    clone.querySelectorAll('[src]').forEach((el) => el.setAttribute('src', absolutize(el.getAttribute('src'), document.baseURI)));
+    clone.querySelectorAll('[href]').forEach((el) => el.setAttribute('href', absolutize(el.getAttribute('href'), document.baseURI)));
+    clone.querySelectorAll('[srcset]').forEach((el) => el.removeAttribute('srcset'));
+    const result = {
+      html: clone.innerHTML,
+      styles,
+      title: document.title,
+      lang: document.documentElement.lang || '',
+      height: measureContentHeight(),
+      inlined: !complete,
+    };
+    log('serializeDocument:done', { bytes: result.html.length, styles: styles.length, inlined: result.inlined });
+    return result;
+  }
+
+  // 处理父页面打印协议请求
+  // 参数：msg - 协议请求；origin - 已校验的父页面源
+  // 作用：执行对应的打印前/后动作或序列化，并以 replyTo 回复结果；主版本不一致时回复错误
+  function handlePrintRequest(msg, origin) {
+    log('handlePrintRequest:start', { id: msg.id, type: msg.type, version: msg.version });
+    const reply = { channel: PRINT_PROTOCOL.channel, version: PRINT_PROTOCOL.version, replyTo: msg.id };
+    try {
+      if (Math.floor(msg.version) !== PRINT_PROTOCOL.version) {
+        reply.type = 'app-print-error';
+        reply.error = 'unsupported-version';
+      } else if (msg.type === 'app-print-prep') {
+        if (hooks.onBeforePrint) hooks.onBeforePrint(msg.payload || {});
+        reply.type = 'app-print-ready';
+        reply.payload = { height: measureContentHeight() };
+      } else if (msg.type === 'app-print-clean') {
+        if (hooks.onAfterPrint) hooks.onAfterPrint();
+        reply.type = 'app-print-ack';
+        reply.payload = {};
+      } else if (msg.type === 'app-print-serialize') {
+        reply.type = 'app-print-snapshot';
+        reply.payload = serializeDocument(msg.payload || {});
+      } else {
+        reply.type = 'app-print-error';
+        reply.error = 'unknown-type';
+      }
+    } catch (e) {
+      reply.type = 'app-print-error';
+      reply.error = (e && e.message) || 'child-error';
+    }
+    window.parent.postMessage(reply, origin);
+    log('handlePrintRequest:done', { id: msg.id, type: reply.type, error: reply.error });
+  }
+
+  // 处理父页面消息
+  // 作用：校验来源窗口、源与协议版本后处理请求；非协议消息（含旧版仅含 { type } 的通知）一律忽略，不执行任何钩子
+  function handleMessage(evt) {
+    const data = evt.data || {};
+    if (data.channel !== PRINT_PROTOCOL.channel) return;
+    if (evt.source !== window.parent || !getAllowedParentOrigins().includes(evt.origin)) {
+      log('bind:reject', { origin: evt.origin });
+      return;
+    }
+    handlePrintRequest(data, evt.origin);
+  }
+
+  // 绑定父页面消息桥接
+  // 参数：options - { onBeforePrint, onAfterPrint, allowedOrigins }
+  // 作用：更新钩子与允许的父页面源；消息监听只在首次调用时安装，重复调用 bind 只替换钩子，不会重复处理同一请求
+  function bind(options = {}) {
+    log('bind:start', { listening });
+    hooks.onBeforePrint = options.onBeforePrint || null;
+    hooks.onAfterPrint = options.onAfterPrint || null;
+    hooks.allowedOrigins = options.allowedOrigins || [];
+    if (!listening) {
+      window.addEventListener('message', handleMessage);
+      listening = true;
+    }
+    log('bind:done');
+  }
+
+  window.PrintKitChild = { bind, serializeDocument, protocol: PRINT_PROTOCOL };
+})();
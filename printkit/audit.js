@@ -0,0 +1,129 @@
+import { log } from './log.js';
+import { readJson, writeJson } from './storage.js';
+
+// 审计记录的 localStorage 存储键
+export const AUDIT_STORAGE_KEY = 'printkit.audit';
+
+// localStorage 中最多保留的审计记录条数（超出时丢弃最早的记录）
+export const DEFAULT_AUDIT_LIMIT = 500;
+
+// 打印编号字符集（去掉易混淆的 0/O、1/I/L）
+const PRINT_ID_ALPHABET = '23456789ABCDEFGHJKMNPQRSTUVWXYZ';
+
+// 生成打印编号
+// 参数：length - 字符数（默认 8）
+// 返回：如 '7K3M9Q2A'；印在水印、页脚与二维码中，用于将纸质件关联到审计记录
+export function createPrintId(length = 8) {
+  const bytes = new Uint8Array(length);
+  if (globalThis.crypto && globalThis.crypto.getRandomValues) globalThis.crypto.getRandomValues(bytes);
+  else bytes.forEach((_, i) => { bytes[i] = Math.floor(Math.random() * 256); });
+  return Array.from(bytes, (b) => PRINT_ID_ALPHABET[b % PRINT_ID_ALPHABET.length]).join('');
+}
+
+// 32 位 FNV-1a 摘要（十六进制）
+function fnv1a(bytes) {
+  let h = 0x811c9dc5;
+  bytes.forEach((b) => {
+    h ^= b;
+    h = Math.imul(h, 0x01000193) >>> 0;
+  });
+  return h.toString(16).padStart(8, '0');
+}
+
+// 计算文本摘要（异步）
+// 参数：text - 文本
+// 返回：{ algorithm, hash }；优先 SHA-256（十六进制），非安全上下文（无 crypto.subtle）时回退为 FNV-1a
+export async function hashTextAsync(text) {
+  const bytes = new TextEncoder().encode(String(text));
+  const subtle = globalThis.crypto && globalThis.crypto.subtle;
+  if (subtle) {
+    try {
+      const digest = await subtle.digest('SHA-256', bytes);
+      return { algorithm: 'SHA-256', hash: Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, '0')).join('') };
+    } catch (e) {
+      log('hashTextAsync:error', e && e.message);
+    }
+  }
+  return { algorithm: 'FNV-1a', hash: fnv1a(bytes) };
+}
+
+// 控制台审计输出
+// 返回：{ name, write(entry) }
+export function createConsoleSink() {
+  return {
+    name: 'console',
+    write(entry) {
+      log('audit', entry);
+    },
+  };
+}
+
+// localStorage 审计输出
+// 参数：options - { storage: Storage（默认 window.localStorage，写入时读取）, key: 存储键, limit: 保留条数（默认 500） }
+// 返回：{ name, write(entry), read() }；存储被禁用或已满时只记录日志
+export function createStorageSink(options = {}) {
+  const key = options.key || AUDIT_STORAGE_KEY;
+  const limit = options.limit || DEFAULT_AUDIT_LIMIT;
+  const resolveStorage = () => {
+    if (options.storage) return options.storage;
+    try {
+      return globalThis.localStorage || null;
+    } catch (e) {
+      return null;
+    }
+  };
+  const read = () => {
+    const list = readJson(resolveStorage(), key, []);
+    return Array.isArray(list) ? list : [];
+  };
+  return {
+    name: 'storage',
+    read,
+    write(entry) {
+      const storage = resolveStorage();
+      if (!storage) {
+        log('storageSink:skip', { reason: 'storage unavailable' });
+        return;
+      }
+      writeJson(storage, key, read().concat(entry).slice(-limit));
+    },
+  };
+}
+
+// HTTP 审计输出（POST JSON）
+// 参数：url - 接收地址；options - { headers: 额外请求头, fetch: 自定义 fetch（默认全局 fetch） }
+// 返回：{ name, write(entry) }；响应非 2xx 时抛出异常（由 writeAuditEntryAsync 记录）
+// 说明：使用 keepalive，打印对话框关闭或页面离开时请求仍会发出
+export function createHttpSink(url, options = {}) {
+  return {
+    name: 'http',
+    async write(entry) {
+      const doFetch = options.fetch || globalThis.fetch;
+      const res = await doFetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...(options.headers || {}) },
+        body: JSON.stringify(entry),
+        keepalive: true,
+      });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    },
+  };
+}
+
+// 写入审计记录（异步）
+// 参数：sinks - 审计输出数组；entry - 审计记录
+// 返回：[{ sink, ok, error? }]；单个输出失败只记录日志，不影响其他输出与打印
+export async function writeAuditEntryAsync(sinks, entry) {
+  log('writeAuditEntryAsync:start', { id: entry.id, sinks: sinks.map((s) => s.name) });
+  const results = await Promise.all(sinks.map(async (sink) => {
+    try {
+      await sink.write(entry);
+      return { sink: sink.name, ok: true };
+    } catch (e) {
+      log('writeAuditEntryAsync:error', { sink: sink.name, message: e && e.message });
+      return { sink: sink.name, ok: false, error: e && e.message };
+    }
+  }));
+  log('writeAuditEntryAsync:done', { id: entry.id });
+  return results;
+}
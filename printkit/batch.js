@@ -0,0 +1,276 @@
+import { log } from './log.js';
+import { clonePrintDocumentAsync, inlineDocumentResourcesAsync, appendPrintRules, downloadHtml } from './export.js';
+import { buildMarginBoxRule } from './stages/header-footer.js';
+import { getTabLabel } from './stages/panels.js';
+import { PRINT_EVENTS, dispatchPrintEvent, waitForPrintHooks } from './events.js';
+import { DEFAULT_LOCALE, formatDateTime, formatMessage, formatNumber } from './i18n.js';
+
+// 批量打印文档样式：封面与目录各占一页，每条记录从新页开始；各记录的打印编号标记改为在记录末尾显示一次
+// 说明：目录只列出记录标题与页内链接，不显示页码（浏览器不支持 target-counter）
+const BATCH_CSS = `
+.print-batch-cover { display: flex; flex-direction: column; justify-content: center; text-align: center; break-after: page; page-break-after: always; }
+.print-batch-cover h1 { margin: 0 0 16pt; font-size: 26pt; }
+.print-batch-cover p { margin: 4pt 0; color: #4b5563; }
+.print-batch-toc { break-after: page; page-break-after: always; }
+.print-batch-toc ol { padding-left: 1.5em; }
+.print-batch-toc li { margin: 6pt 0; }
+.print-batch-toc a { color: inherit; text-decoration: none; }
+.print-batch-record + .print-batch-record { break-before: page; page-break-before: always; }
+.print-batch-record .print-audit-stamp { position: static; align-items: flex-end; }
+`;
+
+// 当前用于打印的隐藏 iframe（同一时间只保留一个）
+let activeFrame = null;
+
+// 生成批量文档中记录的命名页名称
+// 参数：index - 记录序号（从 1 开始）；panelIndex - 面板序号（多页签打印时，从 1 开始）
+function recordPageName(index, panelIndex) {
+  return panelIndex ? `print-batch-${index}-panel-${panelIndex}` : `print-batch-${index}`;
+}
+
+// 将一条记录的打印克隆转换为批量文档中的记录段落
+// 参数：ctx - 该记录的打印上下文（仍处于准备状态）；clone - clonePrintDocumentAsync 的结果；record - { id, title, index }
+// 返回：{ section, rules }；rules 为该记录的页眉页脚 @page 规则
+// 作用：记录段落使用独立命名页，页眉页脚字段（如 {record}）随记录变化；多页签打印时面板的命名页同样按记录重命名；
+// 段落以记录标题标注为区域
+function buildRecordSection(ctx, clone, record) {
+  const doc = ctx.doc;
+  const section = doc.createElement('section');
+  section.className = 'print-batch-record';
+  section.id = `print-batch-record-${record.index}`;
+  section.setAttribute('aria-label', record.title);
+  section.setAttribute('data-record-id', String(record.id));
+  const body = clone.querySelector('body');
+  if (body) section.append(...Array.from(body.childNodes));
+  const rules = [];
+  const hf = ctx.state['header-footer'];
+  if (hf && hf.templates && clone.querySelector('style[data-print-header-footer]')) {
+    const name = recordPageName(record.index);
+    section.style.setProperty('page', name);
+    rules.push(buildMarginBoxRule(name, hf.templates, hf.fields));
+    if (ctx.panels.length > 1) {
+      ctx.panels.forEach((panel, idx) => {
+        const panelName = recordPageName(record.index, idx + 1);
+        const target = section.querySelector(`#${panel.id}`);
+        if (target) target.style.setProperty('page', panelName);
+        rules.push(buildMarginBoxRule(panelName, hf.templates, { ...hf.fields, tab: getTabLabel(ctx.root, panel.id) }));
+      });
+    }
+  }
+  return { section, rules };
+}
+
+// 生成封面
+// 参数：doc - 当前文档；cover - { title, subtitle }；records - 已渲染的记录；page - 纸张设置；locale - 打印语言
+function buildCover(doc, cover, records, page, locale) {
+  const el = doc.createElement('section');
+  el.className = 'print-batch-cover';
+  el.style.minHeight = `${Math.floor(page.contentHeight)}px`;
+  const h1 = doc.createElement('h1');
+  h1.textContent = cover.title;
+  el.appendChild(h1);
+  const lines = [
+    cover.subtitle,
+    formatMessage(locale, 'batch.recordCount', { count: formatNumber(records.length, locale) }),
+    formatMessage(locale, 'batch.generatedAt', { time: formatDateTime(new Date(), locale) }),
+  ];
+  lines.filter(Boolean).forEach((text) => {
+    const p = doc.createElement('p');
+    p.textContent = text;
+    el.appendChild(p);
+  });
+  return el;
+}
+
+// 生成目录
+// 参数：doc - 当前文档；records - 已渲染的记录 [{ index, title }]；locale - 打印语言
+function buildToc(doc, records, locale) {
+  const nav = doc.createElement('nav');
+  nav.className = 'print-batch-toc';
+  const h2 = doc.createElement('h2');
+  h2.id = 'print-batch-toc-heading';
+  h2.textContent = formatMessage(locale, 'batch.toc');
+  nav.setAttribute('aria-labelledby', h2.id);
+  const ol = doc.createElement('ol');
+  records.forEach((record) => {
+    const li = doc.createElement('li');
+    const a = doc.createElement('a');
+    a.href = `#print-batch-record-${record.index}`;
+    a.textContent = record.title;
+    li.appendChild(a);
+    ol.appendChild(li);
+  });
+  nav.append(h2, ol);
+  return nav;
+}
+
+// 构建批量打印文档（异步）
+// 参数：session - 打印会话；options - {
+//   ids: 记录ID数组, loadRecord: async (id, index) => ({ title }?) 将页面切换为指定记录（渲染完成后返回）,
+//   printOptions: 单条记录的打印参数 { tabs, selection, locale }, title: 批量文档标题（默认页面标题）,
+//   cover: boolean | { title, subtitle } 是否生成封面, toc: boolean 是否生成目录,
+//   inline: 是否内联样式与图片（默认 true）, action: 审计记录的操作（'print' | 'export'，默认 'export'）,
+//   onProgress: (done, total, id) => void }
+// 返回：{ html, records, failures, errors }；records 为 [{ id, title, index }]，errors 为加载或准备失败的记录 [{ id, reason }]
+// 作用：逐条切换记录并复用打印会话的全部阶段准备与快照（与单条打印、导出一致），克隆后立即清理会话；
+// 首条记录的 <head> 作为批量文档的样式，各记录依次排列、每条从新页开始，可选添加封面与目录。
+// 调用方负责在完成后将页面切换回原记录
+export async function buildBatchDocumentAsync(session, options = {}) {
+  const ids = options.ids || [];
+  log('buildBatchDocumentAsync:start', { count: ids.length });
+  const doc = session.doc;
+  const failures = [];
+  const errors = [];
+  const records = [];
+  const sections = [];
+  const rules = [];
+  let shell = null;
+  // 封面与目录的语言取首条记录的打印语言
+  let locale = DEFAULT_LOCALE;
+  for (let i = 0; i < ids.length; i++) {
+    const id = ids[i];
+    try {
+      const meta = (typeof options.loadRecord === 'function' ? await options.loadRecord(id, i) : null) || {};
+      const ctx = await session.prepare(options.printOptions || {});
+      ctx.auditAction = `batch-${options.action || 'export'}`;
+      try {
+        const clone = await clonePrintDocumentAsync(ctx, failures);
+        if (!shell) {
+          appendPrintRules(doc, clone);
+          shell = clone;
+          locale = ctx.locale;
+        }
+        const record = { id, title: meta.title || String(id), index: records.length + 1 };
+        const built = buildRecordSection(ctx, clone, record);
+        records.push(record);
+        sections.push(built.section);
+        rules.push(...built.rules);
+      } finally {
+        await session.cleanup();
+      }
+    } catch (e) {
+      log('buildBatchDocumentAsync:error', { id, message: e && e.message });
+      errors.push({ id, reason: e && e.message });
+    }
+    if (options.onProgress) options.onProgress(i + 1, ids.length, id);
+  }
+  if (!shell) {
+    log('buildBatchDocumentAsync:done', { records: 0, errors: errors.length });
+    return { html: '', records, failures, errors };
+  }
+
+  // 水印与 fixed 模式的页眉页脚为固定定位元素，已在每页重复，只保留首条记录的一份
+  sections.slice(1).forEach((section) => {
+    section.querySelectorAll('.watermark, .print-running-header, .print-running-footer').forEach((el) => el.remove());
+  });
+  const head = shell.querySelector('head');
+  const titleEl = head.querySelector('title');
+  const title = options.title || doc.title;
+  if (titleEl) titleEl.textContent = title;
+  head.querySelectorAll('style[data-print-header-footer]').forEach((el) => el.remove());
+  const style = doc.createElement('style');
+  style.setAttribute('data-print-batch', '');
+  style.textContent = `${BATCH_CSS}\n${rules.join('\n')}`;
+  head.appendChild(style);
+
+  const body = shell.querySelector('body');
+  const parts = [];
+  if (options.cover) parts.push(buildCover(doc, { title, ...(typeof options.cover === 'object' ? options.cover : {}) }, records, session.page, locale));
+  if (options.toc) parts.push(buildToc(doc, records, locale));
+  body.replaceChildren(...parts, ...sections);
+  body.classList.add('print-batch');
+
+  if (options.inline !== false) await inlineDocumentResourcesAsync(doc, shell, failures);
+  const html = `<!doctype html>\n${shell.outerHTML}`;
+  log('buildBatchDocumentAsync:done', { records: records.length, errors: errors.length, bytes: html.length });
+  return { html, records, failures, errors };
+}
+
+// 移除上一次批量打印的隐藏 iframe
+function removeActiveFrame() {
+  if (!activeFrame) return;
+  activeFrame.remove();
+  activeFrame = null;
+}
+
+// 在隐藏 iframe 中打印 HTML 文档（异步）
+// 参数：doc - 当前文档；html - 完整 HTML；onDone - 打印结束回调
+// 作用：srcdoc 文档继承当前页面的基准地址，未内联的相对资源仍可加载；等待加载与字体就绪后调用 iframe 的打印，
+// afterprint 时移除 iframe（不支持该事件时在下一次批量打印前移除）
+async function printHtmlInFrameAsync(doc, html, onDone) {
+  log('printHtmlInFrameAsync:start');
+  removeActiveFrame();
+  const frame = doc.createElement('iframe');
+  frame.className = 'print-batch-frame';
+  frame.setAttribute('aria-hidden', 'true');
+  frame.style.cssText = 'position: fixed; right: 0; bottom: 0; width: 0; height: 0; border: 0;';
+  activeFrame = frame;
+  const loaded = new Promise((resolve) => frame.addEventListener('load', resolve, { once: true }));
+  frame.srcdoc = html;
+  doc.body.appendChild(frame);
+  await loaded;
+  const win = frame.contentWindow;
+  if (win.document.fonts && win.document.fonts.ready) await win.document.fonts.ready;
+  win.addEventListener('afterprint', () => {
+    if (activeFrame === frame) removeActiveFrame();
+    if (onDone) onDone();
+  }, { once: true });
+  win.focus();
+  win.print();
+  log('printHtmlInFrameAsync:done');
+}
+
+// 批量打印多条记录（异步）
+// 参数：session - 打印会话；options - buildBatchDocumentAsync 的选项，另含 events（默认 true）与 hookTimeout
+// 返回：{ printed, records, failures, errors }；被 print:request 监听器取消、没有可打印的记录或出错时 printed 为 false
+// 作用：派发可取消的 print:request（detail.batch 含记录ID），构建批量文档后在隐藏 iframe 中一次性打印，
+// 打印结束后派发 print:done；出错时派发 print:error。各条记录的准备不派发生命周期事件
+export async function printBatchAsync(session, options = {}) {
+  log('printBatchAsync:start', { count: (options.ids || []).length });
+  const win = session.doc.defaultView;
+  const events = options.events !== false;
+  const detail = { batch: { ids: options.ids || [] }, printOptions: options.printOptions || {}, page: session.page };
+  if (events) {
+    const { canceled, waits } = dispatchPrintEvent(win, PRINT_EVENTS.REQUEST, detail, { cancelable: true });
+    if (canceled) return { printed: false, records: [], failures: [], errors: [] };
+    try {
+      await waitForPrintHooks(waits, options.hookTimeout);
+    } catch (e) {
+      dispatchPrintEvent(win, PRINT_EVENTS.ERROR, { ...detail, phase: PRINT_EVENTS.REQUEST, error: e });
+      return { printed: false, records: [], failures: [], errors: [] };
+    }
+  }
+  try {
+    const result = await buildBatchDocumentAsync(session, { ...options, inline: false, action: 'print' });
+    if (!result.records.length) {
+      log('printBatchAsync:empty', { errors: result.errors.length });
+      return { printed: false, ...result };
+    }
+    await printHtmlInFrameAsync(session.doc, result.html, () => {
+      if (events) dispatchPrintEvent(win, PRINT_EVENTS.DONE, { ...detail, records: result.records });
+    });
+    log('printBatchAsync:done', { records: result.records.length, errors: result.errors.length });
+    return { printed: true, records: result.records, failures: result.failures, errors: result.errors };
+  } catch (e) {
+    log('printBatchAsync:error', e && e.message);
+    if (events) dispatchPrintEvent(win, PRINT_EVENTS.ERROR, { ...detail, phase: 'print', error: e });
+    return { printed: false, records: [], failures: [], errors: [{ id: null, reason: e && e.message }] };
+  }
+}
+
+// 批量导出多条记录为单个 HTML 文件（异步）
+// 参数：session - 打印会话；options - buildBatchDocumentAsync 的选项，另含 filename
+// 返回：{ html, records, failures, errors }
+// 作用：生成内联了样式与图片的单文件批量文档并下载，可离线打开、归档或交给 PDF 渲染工具
+export async function exportBatchHtml(session, options = {}) {
+  log('exportBatchHtml:start', { count: (options.ids || []).length });
+  const result = await buildBatchDocumentAsync(session, options);
+  if (result.records.length) {
+    const doc = session.doc;
+    const filename = options.filename || `${(options.title || doc.title || 'print').replace(/[\\/:*?"<>|]/g, '_')}.html`;
+    downloadHtml(doc, result.html, filename);
+  }
+  if (result.failures.length) log('exportBatchHtml:failures', result.failures);
+  log('exportBatchHtml:done', { records: result.records.length, errors: result.errors.length });
+  return result;
+}
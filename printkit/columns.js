@@ -0,0 +1,250 @@
+import { log } from './log.js';
+import { readJson, writeJson } from './storage.js';
+
+// 打印列设置在 localStorage 中的存储键（按表格标识保存）
+export const COLUMNS_STORAGE_KEY = 'printkit:columns';
+
+// 读取表格的列设置标识
+// 参数：wrap - 宽表容器；table - 表格
+// 返回：依次取 data-print-columns-id、表格 id、容器 id 与 data-print-source-id（选择打印快照中的表格沿用原表设置）
+export function getColumnTableKey(wrap, table) {
+  const nodes = [table, wrap].filter(Boolean);
+  for (const attr of ['data-print-columns-id', 'id', 'data-print-source-id']) {
+    const node = nodes.find((n) => n.getAttribute(attr));
+    if (node) return node.getAttribute(attr);
+  }
+  return null;
+}
+
+// 读取表格列标题
+// 参数：table - 表格
+// 返回：表头（或首行）各单元格的文本
+export function readColumnHeaders(table) {
+  const row = table.querySelector('thead tr') || table.querySelector('tr');
+  return row ? Array.from(row.cells).map((c) => c.textContent.trim()) : [];
+}
+
+// 规范化列设置
+// 参数：config - 原始设置 { order, hidden, minWidths }（可能来自存储，字段不全）；count - 表格列数
+// 返回：{ order: 全部列索引的排列, hidden: 隐藏列索引, minWidths: { 列索引: 最小宽度px } }；越界索引被丢弃，
+// order 中缺少的列按原顺序补在末尾（表格新增列时保持可见）
+export function normalizeColumnConfig(config = {}, count = 0) {
+  const valid = (i) => Number.isInteger(i) && i >= 0 && i < count;
+  const order = Array.from(new Set((config.order || []).filter(valid)));
+  for (let i = 0; i < count; i++) if (!order.includes(i)) order.push(i);
+  const hidden = Array.from(new Set((config.hidden || []).filter(valid)));
+  const minWidths = {};
+  Object.entries(config.minWidths || {}).forEach(([k, v]) => {
+    const idx = Number(k);
+    const px = Number(v);
+    if (valid(idx) && px > 0) minWidths[idx] = Math.round(px);
+  });
+  return { order, hidden, minWidths };
+}
+
+// 读取全部列设置
+// 参数：storage - Storage 对象
+// 返回：{ [表格标识]: 列设置 }
+export function loadColumnConfigs(storage) {
+  const saved = readJson(storage, COLUMNS_STORAGE_KEY, {});
+  return saved && typeof saved === 'object' && !Array.isArray(saved) ? saved : {};
+}
+
+// 保存表格的列设置
+// 参数：storage - Storage 对象；key - 表格标识；config - 列设置
+// 返回：保存后的全部列设置
+export function saveColumnConfig(storage, key, config) {
+  log('saveColumnConfig:start', { key });
+  const all = loadColumnConfigs(storage);
+  all[key] = { order: config.order || [], hidden: config.hidden || [], minWidths: config.minWidths || {} };
+  writeJson(storage, COLUMNS_STORAGE_KEY, all);
+  log('saveColumnConfig:done', { key });
+  return all;
+}
+
+// 删除表格的列设置（恢复为全部列、屏幕顺序）
+// 参数：storage - Storage 对象；key - 表格标识
+// 返回：删除后的全部列设置
+export function resetColumnConfig(storage, key) {
+  log('resetColumnConfig:start', { key });
+  const all = loadColumnConfigs(storage);
+  delete all[key];
+  writeJson(storage, COLUMNS_STORAGE_KEY, all);
+  log('resetColumnConfig:done', { key });
+  return all;
+}
+
+// 将列设置应用到表格（打印前）
+// 参数：wrap - 宽表容器；table - 表格；config - 列设置
+// 返回：恢复记录（传给 restoreColumnConfig）；设置与屏幕一致、表格含合并单元格或全部列被隐藏时返回 null
+// 作用：按设置重排每行单元格、移除隐藏列并设置最小宽度，冻结列索引（data-print-frozen-columns）同步换算为新位置，
+// 使后续的缩放或列切片只针对保留的列；单元格节点本身不变，打印后按原顺序放回
+export function applyColumnConfig(wrap, table, config) {
+  log('applyColumnConfig:start');
+  const rows = Array.from(table.rows);
+  const count = readColumnHeaders(table).length;
+  if (!count || rows.some((row) => Array.from(row.cells).some((c) => c.colSpan > 1))) {
+    log('applyColumnConfig:skip', { count });
+    return null;
+  }
+  const { order, hidden, minWidths } = normalizeColumnConfig(config, count);
+  const visible = order.filter((i) => !hidden.includes(i));
+  const identity = visible.length === count && visible.every((v, i) => v === i);
+  if (!visible.length || (identity && !Object.keys(minWidths).length)) {
+    log('applyColumnConfig:skip', { visible: visible.length });
+    return null;
+  }
+
+  const record = { rows: [], styles: [], frozen: null };
+  rows.forEach((row) => {
+    const cells = Array.from(row.cells);
+    record.rows.push([row, Array.from(row.childNodes)]);
+    const next = visible.map((i) => cells[i]).filter(Boolean);
+    next.forEach((cell) => {
+      const idx = cells.indexOf(cell);
+      if (minWidths[idx] === undefined) return;
+      record.styles.push([cell, cell.getAttribute('style')]);
+      cell.style.minWidth = `${minWidths[idx]}px`;
+    });
+    row.replaceChildren(...next);
+  });
+
+  const frozenHost = [wrap, table].find((n) => n && n.hasAttribute('data-print-frozen-columns'));
+  if (frozenHost) {
+    const prev = frozenHost.getAttribute('data-print-frozen-columns');
+    const mapped = prev.split(',').map((v) => visible.indexOf(parseInt(v, 10))).filter((i) => i >= 0);
+    record.frozen = [frozenHost, prev];
+    frozenHost.setAttribute('data-print-frozen-columns', mapped.join(','));
+  }
+  log('applyColumnConfig:done', { visible: visible.length, count });
+  return record;
+}
+
+// 恢复 applyColumnConfig 改动的表格
+// 参数：record - applyColumnConfig 的返回值
+export function restoreColumnConfig(record) {
+  if (!record) return;
+  record.rows.forEach(([row, nodes]) => row.replaceChildren(...nodes));
+  record.styles.forEach(([cell, prev]) => {
+    if (prev === null) cell.removeAttribute('style'); else cell.setAttribute('style', prev);
+  });
+  if (record.frozen) record.frozen[0].setAttribute('data-print-frozen-columns', record.frozen[1]);
+}
+
+// 列设置对话框样式
+const CHOOSER_CSS = `
+.print-columns-overlay { position: fixed; inset: 0; z-index: 10000; display: flex; align-items: center; justify-content: center; background: rgba(17, 24, 39, 0.48); }
+.print-columns-dialog { width: 420px; max-height: 80vh; display: flex; flex-direction: column; background: #fff; border-radius: 8px; box-shadow: 0 8px 24px rgba(0, 0, 0, 0.2); font-size: 13px; }
+.print-columns-dialog h3 { margin: 0; padding: 12px 16px; border-bottom: 1px solid #e5e7eb; font-size: 15px; }
+.print-columns-list { flex: 1; overflow: auto; margin: 0; padding: 8px 16px; list-style: none; }
+.print-columns-list li { display: flex; align-items: center; gap: 8px; padding: 4px 0; }
+.print-columns-list label { flex: 1; }
+.print-columns-list input[type="number"] { width: 64px; }
+.print-columns-dialog button { padding: 4px 8px; border-radius: 6px; border: 1px solid #d1d5db; background: #f9fafb; cursor: pointer; }
+.print-columns-actions { display: flex; justify-content: flex-end; gap: 8px; padding: 12px 16px; border-top: 1px solid #e5e7eb; }
+`;
+
+// 注入列设置对话框样式（每个文档只注入一次）
+function ensureChooserStyle(doc) {
+  if (doc.querySelector('style[data-print-columns-chooser]')) return;
+  const style = doc.createElement('style');
+  style.setAttribute('data-print-columns-chooser', '');
+  style.textContent = CHOOSER_CSS;
+  doc.head.appendChild(style);
+}
+
+// 打开打印列设置对话框
+// 参数：table - 表格；options - { storage, key（缺省按 getColumnTableKey 解析）, onSave(config) }
+// 返回：{ overlay, close }
+// 作用：列出表格各列，可勾选是否打印、上移/下移调整打印顺序并设置最小宽度（px）；保存后按表格标识写入存储，
+// “恢复默认”删除该表的设置；设置只影响打印，屏幕上的表格不变
+export function openColumnChooser(table, options = {}) {
+  log('openColumnChooser:start');
+  const doc = table.ownerDocument;
+  const wrap = table.closest('.print-hscroll') || table.parentElement;
+  const key = options.key || getColumnTableKey(wrap, table);
+  const headers = readColumnHeaders(table);
+  const current = normalizeColumnConfig(loadColumnConfigs(options.storage)[key], headers.length);
+  ensureChooserStyle(doc);
+
+  const overlay = doc.createElement('div');
+  overlay.className = 'print-columns-overlay';
+  overlay.innerHTML = `
+    <div class="print-columns-dialog" role="dialog" aria-modal="true" aria-label="打印列设置">
+      <h3>打印列设置</h3>
+      <ul class="print-columns-list"></ul>
+      <div class="print-columns-actions">
+        <button type="button" data-action="reset">恢复默认</button>
+        <button type="button" data-action="cancel">取消</button>
+        <button type="button" data-action="save">保存</button>
+      </div>
+    </div>`;
+  const list = overlay.querySelector('.print-columns-list');
+
+  const renderRow = (idx) => {
+    const li = doc.createElement('li');
+    li.dataset.column = String(idx);
+    li.innerHTML = `
+      <input type="checkbox" id="print-col-${idx}">
+      <label for="print-col-${idx}"></label>
+      <input type="number" min="0" step="10" placeholder="最小宽" title="最小宽度（px）">
+      <button type="button" data-move="-1" title="上移">↑</button>
+      <button type="button" data-move="1" title="下移">↓</button>`;
+    li.querySelector('label').textContent = headers[idx] || `列${idx + 1}`;
+    li.querySelector('input[type="checkbox"]').checked = !current.hidden.includes(idx);
+    if (current.minWidths[idx]) li.querySelector('input[type="number"]').value = String(current.minWidths[idx]);
+    return li;
+  };
+  current.order.forEach((idx) => list.appendChild(renderRow(idx)));
+
+  const readConfig = () => {
+    const items = Array.from(list.children);
+    const minWidths = {};
+    items.forEach((li) => {
+      const v = Number(li.querySelector('input[type="number"]').value);
+      if (v > 0) minWidths[li.dataset.column] = v;
+    });
+    return normalizeColumnConfig({
+      order: items.map((li) => Number(li.dataset.column)),
+      hidden: items.filter((li) => !li.querySelector('input[type="checkbox"]').checked).map((li) => Number(li.dataset.column)),
+      minWidths,
+    }, headers.length);
+  };
+
+  const onKey = (evt) => { if (evt.key === 'Escape') close(); };
+  function close() {
+    overlay.remove();
+    doc.removeEventListener('keydown', onKey);
+    log('openColumnChooser:closed');
+  }
+  overlay.addEventListener('click', (evt) => {
+    const move = evt.target.closest('[data-move]');
+    if (move) {
+      const li = move.closest('li');
+      const sibling = Number(move.dataset.move) < 0 ? li.previousElementSibling : li.nextElementSibling;
+      if (sibling) {
+        if (Number(move.dataset.move) < 0) sibling.before(li); else sibling.after(li);
+      }
+      return;
+    }
+    const action = evt.target.closest('[data-action]');
+    if (!action && evt.target !== overlay) return;
+    if (!action || action.dataset.action === 'cancel') {
+      close();
+    } else if (action.dataset.action === 'reset') {
+      resetColumnConfig(options.storage, key);
+      close();
+      if (options.onSave) options.onSave(null);
+    } else if (action.dataset.action === 'save') {
+      const config = readConfig();
+      if (!config.order.some((i) => !config.hidden.includes(i))) return;
+      saveColumnConfig(options.storage, key, config);
+      close();
+      if (options.onSave) options.onSave(config);
+    }
+  });
+  doc.addEventListener('keydown', onKey);
+  doc.body.appendChild(overlay);
+  log('openColumnChooser:done', { key, columns: headers.length });
+  return { overlay, close };
+}
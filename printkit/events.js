@@ -0,0 +1,50 @@
+import { log } from './log.js';
+
+// 打印生命周期事件（在 window 上派发的 CustomEvent）
+export const PRINT_EVENTS = {
+  REQUEST: 'print:request',
+  PREPARE: 'print:prepare',
+  READY: 'print:ready',
+  DONE: 'print:done',
+  ERROR: 'print:error',
+};
+
+// 等待监听器登记的任务的默认超时（毫秒）
+export const DEFAULT_HOOK_TIMEOUT = 10000;
+
+// 派发打印生命周期事件
+// 参数：win - 目标 window；type - 事件类型（PRINT_EVENTS）；detail - 事件详情；options - { cancelable }
+// 返回：{ event, canceled, waits }；waits 为监听器通过 detail.waitUntil(promise) 登记的任务
+// 作用：detail 上附加 waitUntil，监听器可登记异步任务（如加载剩余数据），由调用方通过 waitForPrintHooks 等待；
+// cancelable 事件调用 preventDefault() 即取消本次打印
+export function dispatchPrintEvent(win, type, detail = {}, options = {}) {
+  log('dispatchPrintEvent:start', { type });
+  const waits = [];
+  const payload = { ...detail, waitUntil: (task) => { if (task) waits.push(Promise.resolve(task)); } };
+  const EventCtor = win.CustomEvent || CustomEvent;
+  const event = new EventCtor(type, { detail: payload, cancelable: !!options.cancelable });
+  try {
+    win.dispatchEvent(event);
+  } catch (e) {
+    log('dispatchPrintEvent:error', { type, message: e && e.message });
+  }
+  log('dispatchPrintEvent:done', { type, canceled: event.defaultPrevented, waits: waits.length });
+  return { event, canceled: event.defaultPrevented, waits };
+}
+
+// 等待监听器登记的任务
+// 参数：waits - dispatchPrintEvent 返回的任务数组；timeout - 超时（毫秒，默认 10000）
+// 返回：{ timedOut }；任一任务失败时抛出其错误（由调用方转为 print:error 并中止打印）
+// 作用：超时后不再等待，按已加载的内容继续打印，避免监听器挂起导致无法打印
+export async function waitForPrintHooks(waits, timeout = DEFAULT_HOOK_TIMEOUT) {
+  if (!waits.length) return { timedOut: false };
+  let timer = null;
+  const expired = new Promise((resolve) => { timer = setTimeout(() => resolve(true), timeout); });
+  try {
+    const timedOut = await Promise.race([Promise.all(waits).then(() => false), expired]);
+    if (timedOut) log('waitForPrintHooks:timeout', { waits: waits.length, timeout });
+    return { timedOut };
+  } finally {
+    clearTimeout(timer);
+  }
+}
@@ -0,0 +1,203 @@
+import { log } from './log.js';
+import { collectPrintRules } from './pagination.js';
+import { copyCanvasBitmapsAsync } from './stages/snapshot.js';
+import { materializeFormState } from './stages/form-state.js';
+import { flattenShadowRootsAsync } from './shadow-dom.js';
+import { materializeMediaAsync } from './stages/media.js';
+
+// 读取资源并转换为 data URI（异步）
+// 参数：url - 资源绝对地址
+// 返回：data URI 字符串；请求失败（含跨域被拒）时抛出异常
+export async function fetchAsDataUrl(url) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  const blob = await res.blob();
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+// 内联样式文本中的 url() 资源（异步）
+// 参数：cssText - 样式文本；baseURL - 解析相对地址的基准；failures - 失败资源收集数组
+// 返回：url() 已替换为 data URI 的样式文本；失败的资源保持原地址并记录
+export async function inlineCssUrlsAsync(cssText, baseURL, failures = []) {
+  const pattern = /url\(\s*(['"]?)([^'")]+)\1\s*\)/g;
+  const urls = new Set();
+  let m;
+  while ((m = pattern.exec(cssText))) {
+    if (!/^(data|blob):/i.test(m[2])) urls.add(m[2]);
+  }
+  const map = new Map();
+  await Promise.all(Array.from(urls).map(async (raw) => {
+    try {
+      map.set(raw, await fetchAsDataUrl(new URL(raw, baseURL).href));
+    } catch (e) {
+      failures.push({ url: raw, reason: e && e.message });
+    }
+  }));
+  return cssText.replace(pattern, (all, q, raw) => (map.has(raw) ? `url("${map.get(raw)}")` : all));
+}
+
+// 内联文档克隆中的样式表（异步）
+// 参数：origDoc - 原始文档；clone - 克隆的 <html> 元素；failures - 失败资源收集数组
+// 作用：将 <link rel="stylesheet"> 替换为内联 <style>，并内联所有样式中的 url() 资源
+async function inlineStylesheetsAsync(origDoc, clone, failures) {
+  log('inlineStylesheetsAsync:start');
+  const links = Array.from(clone.querySelectorAll('link[rel="stylesheet"]'));
+  await Promise.all(links.map(async (link) => {
+    const href = link.getAttribute('href');
+    try {
+      const url = new URL(href, origDoc.baseURI).href;
+      const res = await fetch(url);
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const style = origDoc.createElement('style');
+      style.textContent = await inlineCssUrlsAsync(await res.text(), url, failures);
+      link.replaceWith(style);
+    } catch (e) {
+      failures.push({ url: href, reason: e && e.message });
+    }
+  }));
+  const styles = Array.from(clone.querySelectorAll('style'));
+  for (const style of styles) {
+    style.textContent = await inlineCssUrlsAsync(style.textContent || '', origDoc.baseURI, failures);
+  }
+  log('inlineStylesheetsAsync:done', { links: links.length, styles: styles.length });
+}
+
+// 内联文档克隆中的图片（异步）
+// 参数：origDoc - 原始文档；clone - 克隆的 <html> 元素；failures - 失败资源收集数组
+// 作用：将 <img> 的地址替换为 data URI，并移除 srcset 以免离线时回退到网络地址
+async function inlineImagesAsync(origDoc, clone, failures) {
+  log('inlineImagesAsync:start');
+  const imgs = Array.from(clone.querySelectorAll('img[src]')).filter((img) => !/^data:/i.test(img.getAttribute('src')));
+  await Promise.all(imgs.map(async (img) => {
+    const src = img.getAttribute('src');
+    try {
+      img.setAttribute('src', await fetchAsDataUrl(new URL(src, origDoc.baseURI).href));
+      img.removeAttribute('srcset');
+    } catch (e) {
+      failures.push({ url: src, reason: e && e.message });
+    }
+  }));
+  log('inlineImagesAsync:done', { count: imgs.length });
+}
+
+// 克隆已准备好的打印文档（异步）
+// 参数：ctx - session.prepare 返回的打印上下文；failures - 失败资源收集数组
+// 返回：克隆的 <html> 元素（属于 ctx.doc，未插入文档）
+// 作用：克隆整份文档并固化表单、媒体资源与画布，展开开放影子树，移除脚本、子页面与不在打印范围内的面板；
+// 不内联资源、不提升打印规则，供单文件导出与批量打印复用
+export async function clonePrintDocumentAsync(ctx, failures = []) {
+  log('clonePrintDocumentAsync:start');
+  const doc = ctx.doc;
+  const clone = doc.documentElement.cloneNode(true);
+  const staticForms = !!(ctx.state['form-state'] && ctx.state['form-state'].static);
+  // 媒体处理按元素顺序配对，需在表单静态化替换节点之前完成
+  failures.push(...await materializeMediaAsync(doc, clone, { tx: ctx.tx }));
+  materializeFormState(doc, clone, { staticText: staticForms, locale: ctx.locale });
+  await copyCanvasBitmapsAsync(doc, clone, ctx.locale);
+  await flattenShadowRootsAsync(doc, clone);
+  // 表单状态阶段为页面打印生成的静态文本与显示规则在导出中由上面的静态化替代
+  clone.querySelectorAll('.print-static-value[data-print-generated], style[data-print-static-forms]').forEach((el) => el.remove());
+  clone.querySelectorAll('.print-static-control').forEach((el) => el.classList.remove('print-static-control'));
+
+  // 移除脚本、子页面（已由快照替代）、被所选内容快照或脱敏副本替代的原始内容以及不在本次打印范围内的面板；
+  // 脱敏副本的屏幕隐藏规则一并移除，导出文件只包含脱敏结果
+  clone.querySelectorAll('script, iframe, link[rel="preload"], link[rel="modulepreload"], .print-selection-hidden, .print-redaction-hidden, style[data-print-redaction]').forEach((el) => el.remove());
+  clone.querySelectorAll('.tab-panel').forEach((panel) => {
+    const visible = panel.classList.contains('print-include')
+      || (panel.classList.contains('active') && !panel.classList.contains('print-exclude'));
+    if (!visible) panel.remove();
+  });
+  log('clonePrintDocumentAsync:done');
+  return clone;
+}
+
+// 内联文档克隆中的样式表与图片（异步）
+// 参数：doc - 原始文档；clone - 克隆的 <html> 元素；failures - 失败资源收集数组
+export async function inlineDocumentResourcesAsync(doc, clone, failures = []) {
+  await inlineStylesheetsAsync(doc, clone, failures);
+  await inlineImagesAsync(doc, clone, failures);
+}
+
+// 将 @media print 规则提升为屏幕规则
+// 参数：doc - 原始文档（读取其中的打印规则）；clone - 克隆的 <html> 元素
+// 作用：在克隆的 <head> 末尾追加 style[data-print-export]，使结果在屏幕上即呈现打印版式
+export function appendPrintRules(doc, clone) {
+  const printStyle = doc.createElement('style');
+  printStyle.setAttribute('data-print-export', '');
+  printStyle.textContent = collectPrintRules(doc).join('\n');
+  const head = clone.querySelector('head');
+  if (head) head.appendChild(printStyle);
+}
+
+// 序列化已准备好的打印文档（异步）
+// 参数：ctx - session.prepare 返回的打印上下文；options - { inline: 是否内联样式与图片（默认 true）}
+// 返回：{ html, failures }；failures 为无法内联的资源列表 [{ url, reason }]
+// 作用：克隆并固化打印文档（见 clonePrintDocumentAsync），将 @media print 规则提升为屏幕规则，
+// 使结果在屏幕上即呈现打印版式；不执行准备与清理
+export async function serializePrintDocumentAsync(ctx, options = {}) {
+  log('serializePrintDocumentAsync:start', { inline: options.inline !== false });
+  const failures = [];
+  const clone = await clonePrintDocumentAsync(ctx, failures);
+  if (options.inline !== false) await inlineDocumentResourcesAsync(ctx.doc, clone, failures);
+  appendPrintRules(ctx.doc, clone);
+
+  const html = `<!doctype html>\n${clone.outerHTML}`;
+  log('serializePrintDocumentAsync:done', { bytes: html.length, failures: failures.length });
+  return { html, failures };
+}
+
+// 构建独立 HTML 快照（异步）
+// 参数：session - 打印会话；printOptions - 单次打印参数 { tabs, selection, locale }
+// 返回：{ html, failures }；failures 为无法内联的资源列表 [{ url, reason }]
+// 作用：复用打印会话的全部阶段准备页面，序列化为内联了样式与图片的单文件 HTML，
+// 离线打开即呈现打印版式；完成后清理会话
+export async function buildStandaloneHtmlAsync(session, printOptions) {
+  log('buildStandaloneHtmlAsync:start', printOptions);
+  const ctx = await session.prepare(printOptions);
+  // 清理时审计阶段据此记录导出
+  ctx.auditAction = 'export';
+  try {
+    const result = await serializePrintDocumentAsync(ctx);
+    log('buildStandaloneHtmlAsync:done', { bytes: result.html.length, failures: result.failures.length });
+    return result;
+  } finally {
+    await session.cleanup();
+  }
+}
+
+// 下载 HTML 文本为文件
+// 参数：doc - 当前文档；html - 文件内容；filename - 文件名
+export function downloadHtml(doc, html, filename) {
+  log('downloadHtml:start', { filename });
+  const blob = new Blob([html], { type: 'text/html;charset=utf-8' });
+  const url = URL.createObjectURL(blob);
+  const a = doc.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.style.display = 'none';
+  doc.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+  log('downloadHtml:done');
+}
+
+// 导出打印快照为独立 HTML 文件（异步）
+// 参数：session - 打印会话；options - { tabs, selection, locale, filename }
+// 返回：{ html, failures }
+// 作用：不经过浏览器打印对话框，生成可离线打开、可归档或邮件发送的单文件快照
+export async function exportSnapshotHtml(session, options = {}) {
+  log('exportSnapshotHtml:start', options);
+  const { html, failures } = await buildStandaloneHtmlAsync(session, { tabs: options.tabs, selection: options.selection, locale: options.locale });
+  const doc = session.doc;
+  const filename = options.filename || `${(doc.title || 'print').replace(/[\\/:*?"<>|]/g, '_')}.html`;
+  downloadHtml(doc, html, filename);
+  if (failures.length) log('exportSnapshotHtml:failures', failures);
+  log('exportSnapshotHtml:done');
+  return { html, failures };
+}
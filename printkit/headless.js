@@ -0,0 +1,88 @@
+import { log } from './log.js';
+
+// 页面上暴露给无头浏览器的接口名称（window[HEADLESS_GLOBAL]）
+export const HEADLESS_GLOBAL = '__printkitHeadless';
+
+// 无头打印接口版本，Node 端据此判断页面是否兼容
+export const HEADLESS_VERSION = 1;
+
+// 描述纸张设置（供 Node 端传给 PDF 生成）
+// 参数：page - resolvePageSetup 的返回值
+// 返回：{ size, orientation, width, height, margin: { top, right, bottom, left } }，长度为带 mm 单位的字符串
+export function describePageForPdf(page) {
+  const mm = (px) => `${Math.round((px * 25.4 * 100) / 96) / 100}mm`;
+  const { top, right, bottom, left } = page.margin;
+  return {
+    size: page.size,
+    orientation: page.orientation,
+    width: mm(page.paperWidth),
+    height: mm(page.paperHeight),
+    margin: { top: `${top}mm`, right: `${right}mm`, bottom: `${bottom}mm`, left: `${left}mm` },
+  };
+}
+
+// 暴露无头打印接口
+// 参数：win - 页面 window；options - {
+//   createSession: (profileId, overrides) => session 按打印方案创建打印会话（overrides 含 printer，需合并到会话选项）,
+//   onStart?: () => void 任务开始前回调（如解除页面会话对 beforeprint/afterprint 的绑定，避免生成 PDF 时重复准备）,
+//   onEnd?: () => void 任务结束后回调 }
+// 返回：接口对象 { version, prepare, finish }
+// 作用：无头浏览器调用 prepare({ profile, tabs, selection, locale }) 走与页面打印相同的流程（生命周期事件、全部阶段准备），
+// 在本应调用浏览器打印时返回 { ok: true, page, tabs, outline }（outline 为语义结构阶段收集的大纲 [{ level, text, id }]），
+// 由 Node 端生成 PDF 后调用 finish() 清理页面（审计记录的操作为 'pdf'）；
+// 被监听器取消或出错时返回 { ok: false }。同一时间只处理一个任务
+export function exposeHeadlessApi(win, options = {}) {
+  log('exposeHeadlessApi:start');
+  let job = null;
+
+  async function prepare(params = {}) {
+    log('headless.prepare:start', params);
+    if (job) throw new Error('headless print job already running');
+    if (options.onStart) options.onStart();
+    let ready = null;
+    let release = null;
+    const readyP = new Promise((resolve) => { ready = resolve; });
+    const releaseP = new Promise((resolve) => { release = resolve; });
+    const session = options.createSession(params.profile || null, {
+      printer: (ctx) => {
+        ctx.auditAction = 'pdf';
+        const semantics = ctx.state.semantics;
+        ready({ ok: true, page: describePageForPdf(ctx.page), tabs: ctx.tabs, outline: (semantics && semantics.outline) || [] });
+        return releaseP;
+      },
+    });
+    const printOptions = { tabs: params.tabs, selection: params.selection, locale: params.locale };
+    job = {
+      release,
+      done: session.print(printOptions).then((printed) => {
+        if (!printed) ready({ ok: false });
+        return printed;
+      }, (e) => {
+        ready({ ok: false, error: e && e.message });
+        return false;
+      }),
+    };
+    const result = await readyP;
+    if (!result.ok) await finish();
+    log('headless.prepare:done', { ok: result.ok });
+    return result;
+  }
+
+  // 结束当前任务：放行打印实现并等待会话清理完成
+  async function finish() {
+    if (!job) return false;
+    log('headless.finish:start');
+    const current = job;
+    current.release();
+    const printed = await current.done;
+    job = null;
+    if (options.onEnd) options.onEnd();
+    log('headless.finish:done', { printed });
+    return printed;
+  }
+
+  const api = { version: HEADLESS_VERSION, prepare, finish };
+  win[HEADLESS_GLOBAL] = api;
+  log('exposeHeadlessApi:done');
+  return api;
+}
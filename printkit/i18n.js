@@ -0,0 +1,204 @@
+import { log } from './log.js';
+
+// 默认语言（未指定语言且页面未声明 lang 时使用）
+export const DEFAULT_LOCALE = 'zh-CN';
+
+// 各语言的默认币种（金额字段未指定币种时使用）
+export const DEFAULT_CURRENCIES = { 'zh-CN': 'CNY', 'en-US': 'USD', 'ja-JP': 'JPY' };
+
+// 打印生成文本的消息目录
+// 说明：{name} 为参数占位符；缺少参数的占位符原样保留（如页眉页脚模板中的 {page}、{printId}），由模板渲染填充
+const MESSAGES = {
+  'zh-CN': {
+    'list.separator': '、',
+    'page.portrait': '纵向',
+    'page.landscape': '横向',
+    'watermark.preview': '打印预览 {time}',
+    'watermark.frame': '子页面打印 {time}',
+    'headerFooter.printedBy': '打印人：{user}',
+    'headerFooter.pageOf': '第 {page} 页 / 共 {pages} 页',
+    'snapshot.frameTitle': '子页面 #{index}',
+    'wideTable.table': '表格',
+    'wideTable.sliceTitle': '{label} · 列切片 #{index}（列 {from} ~ {to}{frozen}）',
+    'wideTable.frozenColumns': '，固定列 {columns}',
+    'canvas.alt': '画布图像',
+    'form.noFile': '未选择文件',
+    'dataSources.loading': '正在加载打印数据：{label} {progress}',
+    'dataSources.truncated': '已达到打印行数上限 {loaded} 行，其余数据未打印',
+    'dataSources.truncatedCount': '已达到打印行数上限 {loaded} 行，其余 {rest} 行未打印',
+    'dataSources.incomplete': '打印数据未加载完整，已打印 {loaded} 行，其余数据未打印',
+    'dataSources.incompleteCount': '打印数据未加载完整，已打印 {loaded} 行，其余 {rest} 行未打印',
+    'audit.printId': '打印编号 {printId}',
+    'batch.recordCount': '共 {count} 份记录',
+    'batch.generatedAt': '生成时间：{time}',
+    'batch.toc': '目录',
+    'preview.title': '打印预览',
+    'preview.frameTitle': '打印预览页面',
+    'preview.thumbnails': '页面缩略图',
+    'preview.page': '第 {page} 页',
+    'preview.summary': '{size} {orientation} · 共 {pages} 页',
+    'preview.zoomIn': '放大',
+    'preview.zoomOut': '缩小',
+    'preview.print': '打印',
+    'preview.export': '导出 HTML',
+    'preview.close': '关闭',
+  },
+  'en-US': {
+    'list.separator': ', ',
+    'page.portrait': 'portrait',
+    'page.landscape': 'landscape',
+    'watermark.preview': 'Print preview {time}',
+    'watermark.frame': 'Embedded page print {time}',
+    'headerFooter.printedBy': 'Printed by: {user}',
+    'headerFooter.pageOf': 'Page {page} of {pages}',
+    'snapshot.frameTitle': 'Embedded page #{index}',
+    'wideTable.table': 'Table',
+    'wideTable.sliceTitle': '{label} · Column slice #{index} (columns {from}–{to}{frozen})',
+    'wideTable.frozenColumns': ', frozen columns {columns}',
+    'canvas.alt': 'Canvas image',
+    'form.noFile': 'No file selected',
+    'dataSources.loading': 'Loading print data: {label} {progress}',
+    'dataSources.truncated': 'Print row limit of {loaded} reached; remaining data not printed',
+    'dataSources.truncatedCount': 'Print row limit of {loaded} reached; {rest} more rows not printed',
+    'dataSources.incomplete': 'Print data did not finish loading; {loaded} rows printed, remaining data not printed',
+    'dataSources.incompleteCount': 'Print data did not finish loading; {loaded} rows printed, {rest} more rows not printed',
+    'audit.printId': 'Print ID {printId}',
+    'batch.recordCount': '{count} records',
+    'batch.generatedAt': 'Generated: {time}',
+    'batch.toc': 'Contents',
+    'preview.title': 'Print preview',
+    'preview.frameTitle': 'Print preview pages',
+    'preview.thumbnails': 'Page thumbnails',
+    'preview.page': 'Page {page}',
+    'preview.summary': '{size} {orientation} · {pages} pages',
+    'preview.zoomIn': 'Zoom in',
+    'preview.zoomOut': 'Zoom out',
+    'preview.print': 'Print',
+    'preview.export': 'Export HTML',
+    'preview.close': 'Close',
+  },
+  'ja-JP': {
+    'list.separator': '、',
+    'page.portrait': '縦',
+    'page.landscape': '横',
+    'watermark.preview': '印刷プレビュー {time}',
+    'watermark.frame': '子ページ印刷 {time}',
+    'headerFooter.printedBy': '印刷者：{user}',
+    'headerFooter.pageOf': '{page} / {pages} ページ',
+    'snapshot.frameTitle': '埋め込みページ #{index}',
+    'wideTable.table': '表',
+    'wideTable.sliceTitle': '{label} · 列分割 #{index}（列 {from}～{to}{frozen}）',
+    'wideTable.frozenColumns': '、固定列 {columns}',
+    'canvas.alt': 'キャンバス画像',
+    'form.noFile': 'ファイル未選択',
+    'dataSources.loading': '印刷データを読み込み中：{label} {progress}',
+    'dataSources.truncated': '印刷行数の上限 {loaded} 行に達しました。残りのデータは印刷されません',
+    'dataSources.truncatedCount': '印刷行数の上限 {loaded} 行に達しました。残り {rest} 行は印刷されません',
+    'dataSources.incomplete': '印刷データを最後まで読み込めませんでした。{loaded} 行を印刷し、残りのデータは印刷されません',
+    'dataSources.incompleteCount': '印刷データを最後まで読み込めませんでした。{loaded} 行を印刷し、残り {rest} 行は印刷されません',
+    'audit.printId': '印刷番号 {printId}',
+    'batch.recordCount': '全 {count} 件',
+    'batch.generatedAt': '作成日時：{time}',
+    'batch.toc': '目次',
+    'preview.title': '印刷プレビュー',
+    'preview.frameTitle': '印刷プレビューページ',
+    'preview.thumbnails': 'ページのサムネイル',
+    'preview.page': '{page} ページ',
+    'preview.summary': '{size} {orientation} · 全 {pages} ページ',
+    'preview.zoomIn': '拡大',
+    'preview.zoomOut': '縮小',
+    'preview.print': '印刷',
+    'preview.export': 'HTML を書き出す',
+    'preview.close': '閉じる',
+  },
+};
+
+// 读取已登记的语言
+// 返回：语言标签数组（如 ['zh-CN', 'en-US', 'ja-JP']）
+export function getSupportedLocales() {
+  return Object.keys(MESSAGES);
+}
+
+// 登记或覆盖消息
+// 参数：locale - 语言标签；messages - { key: 文本 }
+// 作用：扩展新语言或覆盖内置文本（如页面自己的页脚文字）；新语言缺少的消息回退到默认语言
+export function registerMessages(locale, messages = {}) {
+  log('registerMessages', { locale, count: Object.keys(messages).length });
+  MESSAGES[locale] = { ...(MESSAGES[locale] || {}), ...messages };
+}
+
+// 解析语言
+// 参数：value - 语言标签（如 'en'、'ja-JP'、'zh-Hans-CN'），可为空
+// 返回：已登记的语言标签；先精确匹配（不区分大小写），再按主语言匹配，均无时为默认语言
+export function resolveLocale(value) {
+  const tag = String(value || '').trim().replace(/_/g, '-').toLowerCase();
+  if (!tag) return DEFAULT_LOCALE;
+  const locales = getSupportedLocales();
+  const exact = locales.find((l) => l.toLowerCase() === tag);
+  if (exact) return exact;
+  const lang = tag.split('-')[0];
+  return locales.find((l) => l.toLowerCase().split('-')[0] === lang) || DEFAULT_LOCALE;
+}
+
+// 读取并填充消息
+// 参数：locale - 语言标签；key - 消息键；params - 占位符参数
+// 返回：填充后的文本；当前语言缺少该消息时回退到默认语言，仍缺少时返回 key
+export function formatMessage(locale, key, params = {}) {
+  const messages = MESSAGES[resolveLocale(locale)] || {};
+  const template = messages[key] ?? MESSAGES[DEFAULT_LOCALE][key] ?? key;
+  return template.replace(/\{(\w+)\}/g, (all, name) => (params[name] !== undefined && params[name] !== null ? String(params[name]) : all));
+}
+
+// 格式化日期时间
+// 参数：value - Date、时间戳或可解析的日期字符串（默认当前时间）；locale - 语言标签；options - Intl.DateTimeFormat 选项
+// 返回：按语言格式化的文本（默认年月日与时分）；无效日期返回空串
+export function formatDateTime(value = new Date(), locale = DEFAULT_LOCALE, options = { dateStyle: 'medium', timeStyle: 'short' }) {
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) return '';
+  return new Intl.DateTimeFormat(resolveLocale(locale), options).format(date);
+}
+
+// 格式化数字（页码、行数等）
+// 参数：value - 数字；locale - 语言标签；options - Intl.NumberFormat 选项
+export function formatNumber(value, locale = DEFAULT_LOCALE, options = {}) {
+  return new Intl.NumberFormat(resolveLocale(locale), options).format(value);
+}
+
+// 格式化金额
+// 参数：amount - 金额（以元为单位）；locale - 语言标签；currency - 币种代码（默认按语言取 DEFAULT_CURRENCIES）
+// 返回：如 '¥1,234.50'、'$1,234.50'、'￥1,235'
+export function formatCurrency(amount, locale = DEFAULT_LOCALE, currency = null) {
+  const resolved = resolveLocale(locale);
+  return new Intl.NumberFormat(resolved, { style: 'currency', currency: currency || DEFAULT_CURRENCIES[resolved] || 'CNY' }).format(amount);
+}
+
+// 格式化列表
+// 参数：items - 文本数组；locale - 语言标签
+// 返回：以该语言的列表分隔符连接的文本（如中文“、”、英文“, ”）
+export function formatList(items, locale = DEFAULT_LOCALE) {
+  return items.join(formatMessage(locale, 'list.separator'));
+}
+
+// 解析子页面使用的文本
+// 参数：locale - 语言标签
+// 返回：{ separator, noFile, canvas, watermark }（已按语言填充，watermark 含当前时间），随打印与序列化请求的 payload.messages 下发，
+// 子页面（print-child.js、child.js）直接使用，不再各自维护消息目录
+export function getFrameMessages(locale = DEFAULT_LOCALE) {
+  return {
+    separator: formatMessage(locale, 'list.separator'),
+    noFile: formatMessage(locale, 'form.noFile'),
+    canvas: formatMessage(locale, 'canvas.alt'),
+    watermark: formatMessage(locale, 'watermark.frame', { time: formatDateTime(new Date(), locale) }),
+  };
+}
+
+// 按值的类型格式化字段（页眉页脚与水印）
+// 参数：value - 字段值；locale - 语言标签；currency - 默认币种
+// 返回：Date 为日期时间，数字为本地数字格式，{ amount, currency? } 为金额，null/undefined 为空串，其余转为字符串
+export function formatFieldValue(value, locale = DEFAULT_LOCALE, currency = null) {
+  if (value == null) return '';
+  if (value instanceof Date) return formatDateTime(value, locale);
+  if (typeof value === 'number') return formatNumber(value, locale);
+  if (typeof value === 'object' && typeof value.amount === 'number') return formatCurrency(value.amount, locale, value.currency || currency);
+  return String(value);
+}
@@ -0,0 +1,56 @@
+// PrintKit：可复用的打印流水线（ES Module）
+// 说明：页面通过 createPrintSession(root, options) 创建打印会话；内置阶段按固定顺序执行，
+// 可通过 options.stages 开关或传参，通过 options.plugins / registerStage 追加自定义阶段。
+import { registerStage } from './session.js';
+import { pageSetupStage } from './stages/page-setup.js';
+import { panelsStage } from './stages/panels.js';
+import { dataSourcesStage } from './stages/data-sources.js';
+import { selectionStage } from './stages/selection.js';
+import { iframeExpansionStage } from './stages/iframe-expansion.js';
+import { mediaStage } from './stages/media.js';
+import { snapshotStage } from './stages/snapshot.js';
+import { formStateStage } from './stages/form-state.js';
+import { wideTableStage } from './stages/wide-table.js';
+import { redactionStage } from './stages/redaction.js';
+import { pageBreakStage } from './stages/page-break.js';
+import { auditStage } from './stages/audit.js';
+import { semanticsStage } from './stages/semantics.js';
+import { headerFooterStage } from './stages/header-footer.js';
+import { watermarkStage } from './stages/watermark.js';
+
+// 内置阶段（order 越小越先执行，清理时逆序）
+[pageSetupStage, panelsStage, dataSourcesStage, selectionStage, iframeExpansionStage, mediaStage, snapshotStage, formStateStage, wideTableStage, redactionStage, pageBreakStage, auditStage, semanticsStage, headerFooterStage, watermarkStage].forEach(registerStage);
+
+export { createPrintSession, registerStage, getRegisteredStages, getActiveTabId, resolvePrintTabs } from './session.js';
+export { getTabLabel, expandPrintPanels } from './stages/panels.js';
+export { DEFAULT_MAX_ROWS, DEFAULT_PAGE_TIMEOUT, showPrintProgress, loadDataSourceAsync } from './stages/data-sources.js';
+export { DEFAULT_SELECTION_SELECTOR, togglePrintSelected, clearPrintSelection, buildSelectionSnapshot } from './stages/selection.js';
+export { PROTOCOL_CHANNEL, PROTOCOL_VERSION, MESSAGE_TYPES, DEFAULT_FRAME_TIMEOUT, createMessageId, getFrameOrigin, isProtocolMessage, requestFrame, requestFrames } from './protocol.js';
+export { notifySubframes, adjustSubframeHeightsForPrint, restoreSubframeHeights } from './stages/iframe-expansion.js';
+export { buildPrintClonesAsync, sanitizeSerializedHtml, scopeStyleText, buildSectionFromSerialized, extractStylesFromDocAsync, materializeFormValues, copyCanvasBitmapsAsync, clearPrintClones } from './stages/snapshot.js';
+export { FORM_CONTROL_SELECTOR, getStructuralPath, resolveStructuralPath, describeControlValue, createStaticValue, materializeFormState } from './stages/form-state.js';
+export { decodeImageAsync, loadLazyImagesAsync, restoreLazyImages, captureVideoFrame, inlineSvgUsesAsync, materializeMediaAsync } from './stages/media.js';
+export { DEFAULT_SLICE_RATIO, DEFAULT_MIN_FONT_SIZE, LANDSCAPE_PAGE_NAME, chooseWideTableStrategy, prepareWideTablesForPrint, scaleToPrintableWidth, getFrozenColumns, groupColumns, ensureTableHead, buildTableColumnSlices, processWideTablesInCloneRoot } from './stages/wide-table.js';
+export { DEFAULT_MASK_CHAR, DEFAULT_MASK_KEEP, maskText, normalizeRedactionRule, findRedactionTargets, applyRedactionRules, redactPrintContent, redactLateClone } from './stages/redaction.js';
+export { PAPER_SIZES, DEFAULT_PAGE, toMillimeters, resolvePageSetup, buildPageRule, collectPrintRules, enterMeasureMode, estimatePageCount, paginate } from './pagination.js';
+export { COLUMNS_STORAGE_KEY, getColumnTableKey, readColumnHeaders, normalizeColumnConfig, loadColumnConfigs, saveColumnConfig, resetColumnConfig, applyColumnConfig, restoreColumnConfig, openColumnChooser } from './columns.js';
+export { PROFILES_STORAGE_KEY, ACTIVE_PROFILE_STORAGE_KEY, DEFAULT_PROFILES, normalizeProfile, loadProfiles, saveProfile, removeProfile, getActiveProfileId, setActiveProfileId, profileToSessionOptions, renderProfileSelect } from './profiles.js';
+export { fetchAsDataUrl, inlineCssUrlsAsync, clonePrintDocumentAsync, inlineDocumentResourcesAsync, appendPrintRules, serializePrintDocumentAsync, buildStandaloneHtmlAsync, downloadHtml, exportSnapshotHtml } from './export.js';
+export { buildBatchDocumentAsync, printBatchAsync, exportBatchHtml } from './batch.js';
+export { HEADLESS_GLOBAL, HEADLESS_VERSION, describePageForPdf, exposeHeadlessApi } from './headless.js';
+export { scopeShadowSelector, collectShadowStyles, flattenShadowRootsAsync } from './shadow-dom.js';
+export { computePageOffsets, openPrintPreview, closePrintPreview } from './preview.js';
+export { injectPageRule } from './stages/page-setup.js';
+export { togglePageBreaks } from './stages/page-break.js';
+export { DEFAULT_HEADER_FOOTER, getDefaultHeaderFooter, resolveTemplateFields, renderTemplate, templateToCssContent, buildMarginBoxRule, applyHeaderFooter } from './stages/header-footer.js';
+export { injectWatermark } from './stages/watermark.js';
+export { DEFAULT_AUDIT_LINK, collectPrintableText, injectAuditStamp } from './stages/audit.js';
+export { applyPrintSemantics } from './stages/semantics.js';
+export { DEFAULT_LOCALE, DEFAULT_CURRENCIES, getSupportedLocales, registerMessages, resolveLocale, formatMessage, formatDateTime, formatNumber, formatCurrency, formatList, formatFieldValue, getFrameMessages } from './i18n.js';
+export { HEADING_SELECTOR, createPrintElementId, getHeadingLevel, findPrecedingHeading, resolveSectionLevel, createHeading, createLabelledSection, nestHeadings, getTableLabel, describeCanvas, annotateTableHeaders, collectOutline } from './semantics.js';
+export { AUDIT_STORAGE_KEY, DEFAULT_AUDIT_LIMIT, createPrintId, hashTextAsync, createConsoleSink, createStorageSink, createHttpSink, writeAuditEntryAsync } from './audit.js';
+export { encodeQr, createQrSvg } from './qrcode.js';
+export { pageSetupStage, panelsStage, dataSourcesStage, selectionStage, iframeExpansionStage, mediaStage, snapshotStage, formStateStage, wideTableStage, redactionStage, pageBreakStage, auditStage, semanticsStage, headerFooterStage, watermarkStage };
+export { createPrintTransaction } from './transaction.js';
+export { PRINT_EVENTS, DEFAULT_HOOK_TIMEOUT, dispatchPrintEvent, waitForPrintHooks } from './events.js';
+export { log } from './log.js';
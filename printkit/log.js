@@ -0,0 +1,7 @@
+// 统一日志输出（PrintKit）
+// 参数：name - 方法名或标签；args - 额外信息
+// 作用：在每个方法执行时输出结构化日志，含时间戳与上下文信息。
+export function log(name, ...args) {
+  const ts = new Date().toISOString();
+  console.log(`[PRINTKIT ${ts}]`, name, ...args);
+}
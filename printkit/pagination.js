@@ -0,0 +1,196 @@
+import { log } from './log.js';
+
+// CSS 像素换算：1in = 96px = 25.4mm
+const PX_PER_MM = 96 / 25.4;
+
+// 常用纸张尺寸（纵向，单位 mm）
+export const PAPER_SIZES = {
+  A4: { width: 210, height: 297 },
+  A3: { width: 297, height: 420 },
+  Letter: { width: 215.9, height: 279.4 },
+  Legal: { width: 215.9, height: 355.6 },
+};
+
+// 默认页面设置，与 index.html 中的 @page { size: A4; margin: 12mm; } 保持一致
+export const DEFAULT_PAGE = { size: 'A4', orientation: 'portrait', margin: 12 };
+
+// 长度换算为 mm
+// 参数：value - 数字（视为 mm）或带单位字符串（mm/cm/in/px）
+// 返回：mm 数值；无法识别时返回 0
+export function toMillimeters(value) {
+  if (typeof value === 'number') return value;
+  const m = /^\s*([\d.]+)\s*(mm|cm|in|px)?\s*$/.exec(String(value || ''));
+  if (!m) return 0;
+  const n = parseFloat(m[1]);
+  const unit = m[2] || 'mm';
+  if (unit === 'cm') return n * 10;
+  if (unit === 'in') return n * 25.4;
+  if (unit === 'px') return n / PX_PER_MM;
+  return n;
+}
+
+// 解析页面设置并计算可打印区域
+// 参数：page - { size: 'A4'|'A3'|'Letter'|'Legal', orientation: 'portrait'|'landscape', margin: 数值/字符串 或 { top, right, bottom, left } }
+// 返回：{ size, orientation, margin(mm), paperWidth, paperHeight, contentWidth, contentHeight }，宽高单位为 CSS px
+export function resolvePageSetup(page = {}) {
+  const setup = { ...DEFAULT_PAGE, ...page };
+  const paper = PAPER_SIZES[setup.size] || PAPER_SIZES[DEFAULT_PAGE.size];
+  const landscape = setup.orientation === 'landscape';
+  const widthMm = landscape ? paper.height : paper.width;
+  const heightMm = landscape ? paper.width : paper.height;
+  const m = typeof setup.margin === 'object' && setup.margin
+    ? setup.margin
+    : { top: setup.margin, right: setup.margin, bottom: setup.margin, left: setup.margin };
+  const margin = {
+    top: toMillimeters(m.top),
+    right: toMillimeters(m.right),
+    bottom: toMillimeters(m.bottom),
+    left: toMillimeters(m.left),
+  };
+  return {
+    size: PAPER_SIZES[setup.size] ? setup.size : DEFAULT_PAGE.size,
+    orientation: landscape ? 'landscape' : 'portrait',
+    margin,
+    paperWidth: widthMm * PX_PER_MM,
+    paperHeight: heightMm * PX_PER_MM,
+    contentWidth: (widthMm - margin.left - margin.right) * PX_PER_MM,
+    contentHeight: (heightMm - margin.top - margin.bottom) * PX_PER_MM,
+  };
+}
+
+// 生成 @page 规则文本
+// 参数：page - resolvePageSetup 的返回值
+// 返回：如 "@page { size: A4 portrait; margin: 12mm 12mm 12mm 12mm; }"
+export function buildPageRule(page, name = '') {
+  const { top, right, bottom, left } = page.margin;
+  return `@page${name ? ` ${name}` : ''} { size: ${page.size} ${page.orientation}; margin: ${top}mm ${right}mm ${bottom}mm ${left}mm; }`;
+}
+
+// 收集文档中 @media print 下的样式规则
+// 参数：doc - 目标文档
+// 返回：规则文本数组（跨域样式表无法读取，跳过）
+export function collectPrintRules(doc) {
+  const texts = [];
+  const walk = (rules) => {
+    Array.from(rules || []).forEach((rule) => {
+      if (rule.media && Array.from(rule.media).includes('print')) {
+        Array.from(rule.cssRules).forEach((r) => texts.push(r.cssText));
+      } else if (rule.cssRules && !rule.media) {
+        walk(rule.cssRules);
+      }
+    });
+  };
+  Array.from(doc.styleSheets).forEach((sheet) => {
+    try {
+      walk(sheet.cssRules);
+    } catch (e) {
+      log('collectPrintRules:error', e && e.message);
+    }
+  });
+  return texts;
+}
+
+// 进入测量模式
+// 参数：doc - 目标文档；page - 页面设置
+// 返回：恢复函数
+// 作用：在屏幕媒体下临时套用 @media print 规则，并将 body 宽度设为可打印宽度，使测得的块高度接近打印排版
+export function enterMeasureMode(doc, page) {
+  log('enterMeasureMode:start', { width: page.contentWidth });
+  const style = doc.createElement('style');
+  style.setAttribute('data-print-measure', '');
+  style.textContent = collectPrintRules(doc).join('\n')
+    + `\nbody { width: ${page.contentWidth}px !important; margin: 0 !important; }`;
+  doc.head.appendChild(style);
+  log('enterMeasureMode:done');
+  return () => style.remove();
+}
+
+// 判断元素在当前排版中是否可见
+function isRendered(el) {
+  return el.getClientRects().length > 0;
+}
+
+// 按文档顺序排序节点
+function byDocumentOrder(a, b) {
+  if (a === b) return 0;
+  return a.compareDocumentPosition(b) & 4 ? -1 : 1;
+}
+
+// 估算打印页数
+// 参数：doc - 目标文档；page - 页面设置
+// 返回：页数（至少 1）
+// 作用：测量模式下按正文总高度与可打印高度估算，已有的 .page-break 视为强制换页；浏览器打印的实际页数可能因命名页、
+// 分页保护等略有出入
+export function estimatePageCount(doc, page) {
+  log('estimatePageCount:start', { height: page.contentHeight });
+  const restore = enterMeasureMode(doc, page);
+  let count = 1;
+  try {
+    const origin = doc.body.getBoundingClientRect().top;
+    const H = page.contentHeight;
+    let shift = 0;
+    Array.from(doc.querySelectorAll('.page-break')).filter(isRendered).sort(byDocumentOrder).forEach((el) => {
+      const offset = (el.getBoundingClientRect().top - origin + shift) % H;
+      if (offset > 0) shift += H - offset;
+    });
+    count = Math.max(1, Math.ceil((doc.body.scrollHeight + shift) / H));
+  } finally {
+    restore();
+  }
+  log('estimatePageCount:done', { count });
+  return count;
+}
+
+// 测量分页：在容器的条目之间插入分页标记
+// 参数：doc - 目标文档；page - 页面设置；options - { containers: Element[], itemSelector: 默认 '.item' }
+// 返回：本次插入的分页标记数组
+// 作用：测量模式下读取真实块位置，模拟打印流式排版逐页累加；条目将跨越页边界时在其前插入 .page-break，
+// 已有的 .page-break（手动标记、页签标题等）视为强制换页参与计算；单个条目高于一页时无法避免切割，保持原位。
+export function paginate(doc, page, options = {}) {
+  log('paginate:start', { size: page.size, orientation: page.orientation, height: page.contentHeight });
+  const containers = (options.containers || []).filter(Boolean);
+  const itemSelector = options.itemSelector || '.item';
+  const restore = enterMeasureMode(doc, page);
+  const inserted = [];
+  try {
+    const all = new Set();
+    containers.forEach((c) => c.querySelectorAll(itemSelector).forEach((el) => all.add(el)));
+    // 嵌套条目只按最外层处理
+    const items = Array.from(all).filter((el) => {
+      const outer = el.parentElement && el.parentElement.closest(itemSelector);
+      return !outer || !all.has(outer);
+    });
+    const forced = Array.from(doc.querySelectorAll('.page-break')).filter(isRendered);
+    const entries = items.filter(isRendered).map((el) => ({ el, forced: false }))
+      .concat(forced.map((el) => ({ el, forced: true })))
+      .sort((a, b) => byDocumentOrder(a.el, b.el));
+    // 先统一测量，避免插入过程中触发重排
+    const origin = doc.body.getBoundingClientRect().top;
+    entries.forEach((e) => { e.rect = e.el.getBoundingClientRect(); });
+
+    const H = page.contentHeight;
+    let shift = 0;
+    entries.forEach(({ el, forced: isForced, rect }) => {
+      const top = rect.top - origin + shift;
+      const offset = top % H;
+      if (isForced) {
+        if (offset > 0) shift += H - offset;
+        return;
+      }
+      const h = rect.height;
+      const crosses = Math.floor(top / H) !== Math.floor((top + h - 0.5) / H);
+      if (crosses && h <= H && offset > 0) {
+        const br = doc.createElement('div');
+        br.className = 'page-break';
+        br.setAttribute('data-print-generated', '1');
+        el.before(br);
+        inserted.push(br);
+        shift += H - offset;
+      }
+    });
+  } finally {
+    restore();
+  }
+  log('paginate:done', { count: inserted.length });
+  return inserted;
+}
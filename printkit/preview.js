@@ -0,0 +1,417 @@
+import { log } from './log.js';
+import { serializePrintDocumentAsync, exportSnapshotHtml } from './export.js';
+import { renderTemplate } from './stages/header-footer.js';
+import { formatMessage, formatNumber } from './i18n.js';
+
+// 缩放档位
+const ZOOM_STEPS = [0.5, 0.75, 1, 1.25, 1.5, 2];
+
+// 缩略图缩放比例
+const THUMB_SCALE = 0.16;
+
+// 预览中按 break-inside: avoid 处理的元素（与 index.html 打印样式保持一致）
+const AVOID_SELECTOR = '.item, tr';
+
+// 预览外层（父页面）样式
+const OVERLAY_CSS = `
+.print-preview-overlay { position: fixed; inset: 0; z-index: 10000; display: flex; flex-direction: column; background: rgba(17, 24, 39, 0.72); }
+.print-preview-toolbar { display: flex; align-items: center; gap: 8px; padding: 8px 12px; background: #fff; border-bottom: 1px solid #e5e7eb; font-size: 13px; }
+.print-preview-toolbar button { padding: 6px 10px; border-radius: 6px; border: 1px solid #d1d5db; background: #f9fafb; cursor: pointer; }
+.print-preview-info { flex: 1; color: #374151; }
+.print-preview-zoom { min-width: 48px; text-align: center; color: #374151; }
+.print-preview-frame { flex: 1; width: 100%; border: 0; background: #e5e7eb; }
+`;
+
+// 预览文档（iframe 内）样式；--pk-zoom 控制主视图缩放
+const FRAME_CSS = `
+html { --pk-zoom: 1; }
+body.pk-preview { margin: 0 !important; width: auto !important; display: flex; height: 100vh; overflow: hidden; background: #e5e7eb; }
+.pk-thumbs { flex: none; width: calc(var(--pk-page-w) * ${THUMB_SCALE} + 32px); overflow: auto; padding: 12px 16px; box-sizing: border-box; background: #f3f4f6; border-right: 1px solid #d1d5db; }
+.pk-thumb { display: block; margin: 0 auto 12px; padding: 0; border: 2px solid transparent; background: none; cursor: pointer; }
+.pk-thumb.active { border-color: #2563eb; }
+.pk-thumb-slot { width: calc(var(--pk-page-w) * ${THUMB_SCALE}); height: calc(var(--pk-page-h) * ${THUMB_SCALE}); overflow: hidden; pointer-events: none; }
+.pk-thumb-slot > .pk-page { transform: scale(${THUMB_SCALE}); }
+.pk-thumb-label { display: block; font-size: 11px; color: #6b7280; text-align: center; }
+.pk-main { flex: 1; overflow: auto; padding: 24px; box-sizing: border-box; }
+.pk-page-slot { width: calc(var(--pk-page-w) * var(--pk-zoom)); height: calc(var(--pk-page-h) * var(--pk-zoom)); margin: 0 auto 24px; }
+.pk-page-slot > .pk-page { transform: scale(var(--pk-zoom)); }
+.pk-page { position: relative; width: var(--pk-page-w); height: var(--pk-page-h); box-sizing: border-box; background: #fff; box-shadow: 0 1px 4px rgba(0, 0, 0, 0.2); transform-origin: top left; overflow: hidden; }
+.pk-page-content { position: absolute; overflow: hidden; }
+.pk-page-flow { position: relative; }
+.pk-page-header, .pk-page-footer { position: absolute; display: flex; justify-content: space-between; align-items: center; gap: 8px; font-size: 9pt; color: #6b7280; white-space: nowrap; }
+.pk-page-header span, .pk-page-footer span { flex: 1; overflow: hidden; text-overflow: ellipsis; }
+.pk-page-header span:nth-child(2), .pk-page-footer span:nth-child(2) { text-align: center; }
+.pk-page-header span:nth-child(3), .pk-page-footer span:nth-child(3) { text-align: right; }
+.pk-page-watermark { position: absolute; top: 50%; left: 50%; transform: translate(-50%, -50%) rotate(-20deg); font-size: 120px; opacity: 0.08; color: #000; white-space: nowrap; pointer-events: none; }
+`;
+
+// 当前打开的预览（同一时间只保留一个）
+let activePreview = null;
+
+// 毫米换算为 CSS 像素
+function mmToPx(mm) {
+  return (mm * 96) / 25.4;
+}
+
+// 注入预览外层样式（每个文档只注入一次）
+function ensureOverlayStyle(doc) {
+  if (doc.querySelector('style[data-print-preview]')) return;
+  const style = doc.createElement('style');
+  style.setAttribute('data-print-preview', '');
+  style.textContent = OVERLAY_CSS;
+  doc.head.appendChild(style);
+}
+
+// 计算分页位置
+// 参数：container - 以可打印宽度排版的内容容器；page - 页面设置（resolvePageSetup 的返回值）
+// 返回：[{ top, height }] 每页内容在容器中的起点与高度（像素）
+// 作用：按可打印高度逐页推进；.page-break 作为强制换页（break-before）；跨越页边界且不高于一页的
+// 避免切割元素（条目、表格行）整体移到下一页，与打印样式的 break-inside: avoid 保持一致
+export function computePageOffsets(container, page) {
+  log('computePageOffsets:start', { height: page.contentHeight });
+  const origin = container.getBoundingClientRect().top;
+  const rectOf = (el) => {
+    const r = el.getBoundingClientRect();
+    return { top: r.top - origin, bottom: r.bottom - origin };
+  };
+  const rendered = (el) => el.getClientRects().length > 0;
+  const forced = Array.from(container.querySelectorAll('.page-break')).filter(rendered).map((el) => rectOf(el).top);
+  const avoid = Array.from(container.querySelectorAll(AVOID_SELECTOR)).filter(rendered).map(rectOf);
+  const total = container.scrollHeight;
+  const H = page.contentHeight;
+  const pages = [];
+  let start = 0;
+  // 至少一页；最多按内容高度推算的页数加上强制换页数，防止异常排版导致死循环
+  const limit = Math.ceil(total / H) + forced.length + avoid.length + 1;
+  while (pages.length < limit) {
+    let end = start + H;
+    const f = forced.filter((t) => t > start + 1 && t < end).sort((a, b) => a - b)[0];
+    if (f !== undefined) {
+      end = f;
+    } else {
+      const cut = avoid.filter((r) => r.top > start + 1 && r.top < end && r.bottom > end && r.bottom - r.top <= H)
+        .sort((a, b) => a.top - b.top)[0];
+      if (cut) end = cut.top;
+    }
+    pages.push({ top: start, height: Math.min(end, total) - start });
+    if (end >= total - 1) break;
+    start = end;
+  }
+  log('computePageOffsets:done', { pages: pages.length });
+  return pages;
+}
+
+// 等待 iframe 加载 srcdoc
+// 参数：frame - iframe 元素；html - 文档内容
+function loadFrameAsync(frame, html) {
+  return new Promise((resolve) => {
+    frame.addEventListener('load', () => resolve(frame.contentDocument), { once: true });
+    frame.srcdoc = html;
+  });
+}
+
+// 生成页眉或页脚行
+// 参数：doc - 预览文档；className - 类名；row - { left, center, right } 模板；fields - 字段；pageText - { page, pages }
+function createRunningRow(doc, className, row, fields, pageText) {
+  const el = doc.createElement('div');
+  el.className = className;
+  ['left', 'center', 'right'].forEach((pos) => {
+    const span = doc.createElement('span');
+    span.textContent = renderTemplate(row && row[pos], fields, pageText);
+    el.appendChild(span);
+  });
+  return el;
+}
+
+// 计算带 id 的元素所在的页
+// 参数：container - 以可打印宽度排版的内容容器；slices - computePageOffsets 的结果
+// 返回：Map<id, 页序号>；元素起点所在的页保留其 id，预览中每个 id 只出现一次（锚点链接与 aria-labelledby 等引用指向唯一的元素）
+function mapIdsToPages(container, slices) {
+  const origin = container.getBoundingClientRect().top;
+  const owners = new Map();
+  container.querySelectorAll('[id]').forEach((el) => {
+    if (owners.has(el.id)) return;
+    const top = el.getBoundingClientRect().top - origin;
+    let idx = 0;
+    while (idx + 1 < slices.length && slices[idx + 1].top <= top) idx += 1;
+    owners.set(el.id, idx);
+  });
+  return owners;
+}
+
+// 按需渲染页面
+// 参数：scroller - 滚动容器；slots - 固定尺寸的占位元素数组（dataset.index 为页序号）；render(idx) - 生成该页的元素
+// 返回：{ ensure(idx) } 立即渲染某页（如锚点跳转的目标页）
+// 作用：占位元素进入滚动容器的可视范围（上下各预留一屏）时渲染其页面，离开后清空，任一时刻只保留可视范围附近的页面副本，
+// 页数再多内存也不随之成倍增长；不支持 IntersectionObserver 时全部渲染
+function renderSlotsLazily(scroller, slots, render) {
+  const ensure = (idx) => {
+    const slot = slots[idx];
+    if (slot && !slot.firstChild) slot.appendChild(render(idx));
+  };
+  const Observer = scroller.ownerDocument.defaultView && scroller.ownerDocument.defaultView.IntersectionObserver;
+  if (!Observer) {
+    slots.forEach((slot, idx) => ensure(idx));
+    return { ensure };
+  }
+  const observer = new Observer((entries) => {
+    entries.forEach((entry) => {
+      if (entry.isIntersecting) ensure(Number(entry.target.dataset.index));
+      else entry.target.replaceChildren();
+    });
+  }, { root: scroller, rootMargin: '100% 0px' });
+  slots.forEach((slot) => observer.observe(slot));
+  return { ensure };
+}
+
+// 构建单个预览页
+// 参数：doc - 预览文档；source - 内容容器；slice - { top, height }；index/count - 页序号与总页数；
+// decor - { page, headerFooter, watermark, stamp, locale }；owners - mapIdsToPages 的结果（缩略图传 null，不保留任何 id）
+// 返回：.pk-page 元素（页边距内放置内容窗口，边距区域放置页眉页脚）；内容窗口中的副本只保留起点在本页的元素的 id
+function buildPreviewPage(doc, source, slice, index, count, decor, owners = null) {
+  const { page, headerFooter, watermark } = decor;
+  const m = page.margin;
+  const el = doc.createElement('div');
+  el.className = 'pk-page';
+  el.dataset.page = String(index + 1);
+
+  const content = doc.createElement('div');
+  content.className = 'pk-page-content';
+  Object.assign(content.style, {
+    top: `${mmToPx(m.top)}px`,
+    left: `${mmToPx(m.left)}px`,
+    width: `${page.contentWidth}px`,
+    height: `${slice.height}px`,
+  });
+  const flow = source.cloneNode(true);
+  flow.className = 'pk-page-flow';
+  flow.removeAttribute('id');
+  flow.style.top = `${-slice.top}px`;
+  flow.querySelectorAll('[id]').forEach((node) => {
+    if (!owners || owners.get(node.id) !== index) node.removeAttribute('id');
+  });
+  content.appendChild(flow);
+  el.appendChild(content);
+
+  if (headerFooter && headerFooter.templates) {
+    const pageText = { page: formatNumber(index + 1, decor.locale), pages: formatNumber(count, decor.locale) };
+    const box = { left: `${mmToPx(m.left)}px`, right: `${mmToPx(m.right)}px` };
+    const header = createRunningRow(doc, 'pk-page-header', headerFooter.templates.header, headerFooter.fields, pageText);
+    Object.assign(header.style, box, { top: '0', height: `${mmToPx(m.top)}px` });
+    const footer = createRunningRow(doc, 'pk-page-footer', headerFooter.templates.footer, headerFooter.fields, pageText);
+    Object.assign(footer.style, box, { bottom: '0', height: `${mmToPx(m.bottom)}px` });
+    el.appendChild(header);
+    el.appendChild(footer);
+  }
+  if (watermark) {
+    const wm = doc.createElement('div');
+    wm.className = 'pk-page-watermark';
+    wm.textContent = watermark;
+    el.appendChild(wm);
+  }
+  // 打印编号标记在打印时固定于每页内容区右下角
+  if (decor.stamp) {
+    const stamp = decor.stamp.cloneNode(true);
+    Object.assign(stamp.style, { position: 'absolute', right: `${mmToPx(m.right)}px`, bottom: `${mmToPx(m.bottom)}px` });
+    el.appendChild(stamp);
+  }
+  return el;
+}
+
+// 在预览文档中排版分页
+// 参数：doc - 预览文档（已加载序列化的打印文档）；decor - { page, headerFooter, watermark, locale }
+// 返回：页数
+// 作用：将 body 内容包入以可打印宽度排版的容器并测量分页，随后生成缩略图栏与主视图；两者只放置固定尺寸的占位，
+// 页面在滚动到可视范围附近时才由同一份内容容器生成（renderSlotsLazily），缩略图不保留 id；
+// 主视图中的页内锚点链接跳转到目标元素所在的页
+function layoutPreviewDocument(doc, decor) {
+  log('layoutPreviewDocument:start');
+  const { page } = decor;
+  const body = doc.body;
+  // 水印、固定页眉页脚与打印编号标记按页单独渲染，不随内容克隆
+  body.querySelectorAll('.watermark, .print-running-header, .print-running-footer').forEach((el) => el.remove());
+  const stamp = body.querySelector('.print-audit-stamp');
+  if (stamp) stamp.remove();
+  const pageDecor = { ...decor, stamp };
+
+  const source = doc.createElement('div');
+  source.style.width = `${page.contentWidth}px`;
+  while (body.firstChild) source.appendChild(body.firstChild);
+  body.appendChild(source);
+
+  const style = doc.createElement('style');
+  style.textContent = FRAME_CSS;
+  doc.head.appendChild(style);
+  doc.documentElement.style.setProperty('--pk-page-w', `${page.paperWidth}px`);
+  doc.documentElement.style.setProperty('--pk-page-h', `${page.paperHeight}px`);
+
+  const slices = computePageOffsets(source, page);
+  const owners = mapIdsToPages(source, slices);
+  source.remove();
+  body.className = 'pk-preview';
+
+  const thumbs = doc.createElement('nav');
+  thumbs.className = 'pk-thumbs';
+  thumbs.setAttribute('aria-label', formatMessage(decor.locale, 'preview.thumbnails'));
+  const main = doc.createElement('div');
+  main.className = 'pk-main';
+  const pageSlots = [];
+  const thumbSlots = [];
+  slices.forEach((slice, idx) => {
+    const slot = doc.createElement('div');
+    slot.className = 'pk-page-slot';
+    slot.dataset.index = String(idx);
+    main.appendChild(slot);
+    pageSlots.push(slot);
+
+    const thumb = doc.createElement('button');
+    thumb.type = 'button';
+    thumb.className = `pk-thumb${idx === 0 ? ' active' : ''}`;
+    thumb.setAttribute('aria-label', formatMessage(decor.locale, 'preview.page', { page: formatNumber(idx + 1, decor.locale) }));
+    const thumbSlot = doc.createElement('div');
+    thumbSlot.className = 'pk-thumb-slot';
+    thumbSlot.dataset.index = String(idx);
+    thumbSlot.setAttribute('aria-hidden', 'true');
+    thumbSlots.push(thumbSlot);
+    const label = doc.createElement('span');
+    label.className = 'pk-thumb-label';
+    label.textContent = formatNumber(idx + 1, decor.locale);
+    thumb.appendChild(thumbSlot);
+    thumb.appendChild(label);
+    thumb.addEventListener('click', () => {
+      thumbs.querySelectorAll('.pk-thumb').forEach((t) => t.classList.toggle('active', t === thumb));
+      slot.scrollIntoView({ block: 'start' });
+    });
+    thumbs.appendChild(thumb);
+  });
+  body.appendChild(thumbs);
+  body.appendChild(main);
+  const pages = renderSlotsLazily(main, pageSlots, (idx) => buildPreviewPage(doc, source, slices[idx], idx, slices.length, pageDecor, owners));
+  renderSlotsLazily(thumbs, thumbSlots, (idx) => buildPreviewPage(doc, source, slices[idx], idx, slices.length, pageDecor));
+  main.addEventListener('click', (evt) => {
+    const link = evt.target.closest && evt.target.closest('a[href^="#"]');
+    if (!link) return;
+    let id;
+    try {
+      id = decodeURIComponent(link.getAttribute('href').slice(1));
+    } catch (e) {
+      return;
+    }
+    if (!owners.has(id)) return;
+    evt.preventDefault();
+    pages.ensure(owners.get(id));
+    const target = doc.getElementById(id);
+    if (target) target.scrollIntoView({ block: 'start' });
+  });
+  log('layoutPreviewDocument:done', { pages: slices.length });
+  return slices.length;
+}
+
+// 创建预览工具栏按钮
+function createToolbarButton(doc, action, text, label) {
+  const btn = doc.createElement('button');
+  btn.type = 'button';
+  btn.dataset.action = action;
+  btn.textContent = text;
+  if (label) btn.setAttribute('aria-label', label);
+  return btn;
+}
+
+// 关闭当前打开的应用内打印预览
+export function closePrintPreview() {
+  log('closePrintPreview:start', { open: !!activePreview });
+  if (activePreview) activePreview.close();
+  log('closePrintPreview:done');
+}
+
+// 打开应用内打印预览（异步）
+// 参数：session - 打印会话；options - { tabs, selection, locale, filename, onPrint, onExport }
+// 返回：{ overlay, pages, close }
+// 作用：复用打印会话的全部阶段（快照、宽表切片、分页标记、页眉页脚、水印）生成打印文档，在覆盖层中
+// 按会话纸张分页展示缩略图与页面，支持缩放；“打印”“导出”按钮默认以同一组打印参数（页签、所选内容、语言）调用 session.print 与 exportSnapshotHtml
+export async function openPrintPreview(session, options = {}) {
+  log('openPrintPreview:start', { tabs: options.tabs });
+  const doc = session.doc;
+  const printOptions = { tabs: options.tabs, selection: options.selection, locale: options.locale };
+  const ctx = await session.prepare(printOptions);
+  let html;
+  let decor;
+  try {
+    ({ html } = await serializePrintDocumentAsync(ctx, { inline: false }));
+    const wmNode = ctx.state.watermark && ctx.state.watermark.node;
+    decor = { page: ctx.page, headerFooter: ctx.state['header-footer'], watermark: wmNode ? wmNode.textContent : '', locale: ctx.locale };
+  } finally {
+    await session.cleanup();
+  }
+
+  closePrintPreview();
+  ensureOverlayStyle(doc);
+  const overlay = doc.createElement('div');
+  overlay.className = 'print-preview-overlay';
+  overlay.setAttribute('role', 'dialog');
+  overlay.setAttribute('aria-modal', 'true');
+  const text = (key) => formatMessage(decor.locale, key);
+  overlay.setAttribute('aria-label', text('preview.title'));
+
+  const toolbar = doc.createElement('div');
+  toolbar.className = 'print-preview-toolbar';
+  const info = doc.createElement('span');
+  info.className = 'print-preview-info';
+  const zoomOut = createToolbarButton(doc, 'zoom-out', '−', text('preview.zoomOut'));
+  const zoomText = doc.createElement('span');
+  zoomText.className = 'print-preview-zoom';
+  const zoomIn = createToolbarButton(doc, 'zoom-in', '+', text('preview.zoomIn'));
+  const btnPrint = createToolbarButton(doc, 'print', text('preview.print'));
+  const btnExport = createToolbarButton(doc, 'export', text('preview.export'));
+  const btnClose = createToolbarButton(doc, 'close', text('preview.close'));
+  [info, zoomOut, zoomText, zoomIn, btnPrint, btnExport, btnClose].forEach((el) => toolbar.appendChild(el));
+
+  const frame = doc.createElement('iframe');
+  frame.className = 'print-preview-frame';
+  frame.title = text('preview.frameTitle');
+  overlay.appendChild(toolbar);
+  overlay.appendChild(frame);
+  doc.body.appendChild(overlay);
+
+  const frameDoc = await loadFrameAsync(frame, html);
+  const pages = layoutPreviewDocument(frameDoc, decor);
+  const orientation = text(decor.page.orientation === 'landscape' ? 'page.landscape' : 'page.portrait');
+  info.textContent = formatMessage(decor.locale, 'preview.summary', { size: decor.page.size, orientation, pages: formatNumber(pages, decor.locale) });
+
+  let zoomIndex = ZOOM_STEPS.indexOf(1);
+  const applyZoom = () => {
+    const z = ZOOM_STEPS[zoomIndex];
+    frameDoc.documentElement.style.setProperty('--pk-zoom', String(z));
+    zoomText.textContent = `${Math.round(z * 100)}%`;
+    zoomOut.disabled = zoomIndex === 0;
+    zoomIn.disabled = zoomIndex === ZOOM_STEPS.length - 1;
+  };
+  applyZoom();
+
+  const onKeydown = (evt) => {
+    if (evt.key === 'Escape') close();
+  };
+  function close() {
+    doc.removeEventListener('keydown', onKeydown);
+    overlay.remove();
+    if (activePreview && activePreview.overlay === overlay) activePreview = null;
+    log('openPrintPreview:closed');
+  }
+  doc.addEventListener('keydown', onKeydown);
+  zoomOut.addEventListener('click', () => { zoomIndex = Math.max(0, zoomIndex - 1); applyZoom(); });
+  zoomIn.addEventListener('click', () => { zoomIndex = Math.min(ZOOM_STEPS.length - 1, zoomIndex + 1); applyZoom(); });
+  btnClose.addEventListener('click', close);
+  btnPrint.addEventListener('click', () => {
+    close();
+    if (options.onPrint) options.onPrint(printOptions);
+    else session.print(printOptions);
+  });
+  btnExport.addEventListener('click', () => {
+    if (options.onExport) options.onExport(printOptions);
+    else exportSnapshotHtml(session, { ...printOptions, filename: options.filename });
+  });
+  btnClose.focus();
+  activePreview = { overlay, pages, close };
+  log('openPrintPreview:done', { pages });
+  return activePreview;
+}
@@ -0,0 +1,190 @@
+import { log } from './log.js';
+import { DEFAULT_SLICE_RATIO } from './stages/wide-table.js';
+import { readJson, writeJson } from './storage.js';
+
+// 打印方案在 localStorage 中的存储键
+export const PROFILES_STORAGE_KEY = 'printkit:profiles';
+export const ACTIVE_PROFILE_STORAGE_KEY = 'printkit:active-profile';
+
+// 打印方案字段默认值（与未启用方案时的会话行为一致）
+const PROFILE_DEFAULTS = {
+  page: { size: 'A4', orientation: 'portrait', margin: 12 },
+  sliceRatio: DEFAULT_SLICE_RATIO,
+  wideTable: 'auto',
+  watermark: null,
+  tabs: 'active',
+  pageBreaks: false,
+  staticForms: false,
+  redaction: [],
+  locale: null,
+};
+
+// 内置打印方案
+// 字段：id/name - 标识与显示名称；page - 纸张设置（同 createPrintSession 的 page）；
+// sliceRatio - 宽表切片阈值（可打印宽度 / 表格宽度 小于该值时切片）；wideTable - 'auto' | 'scale' | 'landscape' | 'slice'；
+// watermark - 水印文本（空串不加水印，null 使用默认“打印预览 + 本地时间”）；
+// tabs - 'active' | 'all' | 页签ID数组；pageBreaks - 是否按纸张自动插入分页标记；
+// staticForms - 是否将表单控件打印为静态只读文本（页面与子页面快照）；
+// redaction - 脱敏规则数组（见 stages/redaction.js，pattern 以字符串保存），为空时不脱敏；
+// locale - 打印语言（如 'en-US'，见 i18n.js），null 时使用页面语言
+export const DEFAULT_PROFILES = [
+  {
+    id: 'customer',
+    name: '客户联',
+    page: { size: 'A4', orientation: 'portrait', margin: 12 },
+    sliceRatio: DEFAULT_SLICE_RATIO,
+    wideTable: 'auto',
+    watermark: '客户联',
+    tabs: 'active',
+    pageBreaks: false,
+    staticForms: true,
+    redaction: [
+      { column: 'phone', action: 'mask', keep: 4 },
+      { column: 'email', pattern: '^[^@]+', action: 'mask', keep: 1 },
+      { column: 'id', pattern: '\\d+', action: 'mask', keep: 2 },
+      { column: 'remark', action: 'hide' },
+      { attribute: 'data-print-internal', action: 'hide' },
+      { selector: '#notesTextarea', action: 'blank' },
+    ],
+  },
+  {
+    id: 'audit',
+    name: '内部审计',
+    page: { size: 'A4', orientation: 'portrait', margin: 12 },
+    sliceRatio: DEFAULT_SLICE_RATIO,
+    wideTable: 'slice',
+    watermark: '内部审计 · 严禁外传',
+    tabs: 'all',
+    pageBreaks: true,
+    staticForms: false,
+  },
+  {
+    id: 'compact',
+    name: '紧凑',
+    page: { size: 'A4', orientation: 'portrait', margin: 6 },
+    sliceRatio: 0.4,
+    wideTable: 'scale',
+    watermark: '',
+    tabs: 'active',
+    pageBreaks: false,
+    staticForms: false,
+  },
+];
+
+// 规范化打印方案
+// 参数：profile - 原始方案（可能来自存储，字段不全）
+// 返回：补齐默认字段后的方案
+export function normalizeProfile(profile = {}) {
+  const id = String(profile.id || 'custom');
+  return {
+    ...PROFILE_DEFAULTS,
+    ...profile,
+    id,
+    name: String(profile.name || id),
+    page: { ...PROFILE_DEFAULTS.page, ...(profile.page || {}) },
+    sliceRatio: Number(profile.sliceRatio) > 0 ? Number(profile.sliceRatio) : DEFAULT_SLICE_RATIO,
+    wideTable: ['auto', 'scale', 'landscape', 'slice'].includes(profile.wideTable) ? profile.wideTable : 'auto',
+    redaction: Array.isArray(profile.redaction) ? profile.redaction : [],
+  };
+}
+
+// 读取全部打印方案
+// 参数：storage - Storage 对象
+// 返回：内置方案与已保存方案合并后的数组（同 id 时已保存的方案覆盖内置方案）
+export function loadProfiles(storage) {
+  log('loadProfiles:start');
+  const saved = readJson(storage, PROFILES_STORAGE_KEY, []);
+  const byId = new Map(DEFAULT_PROFILES.map((p) => [p.id, normalizeProfile(p)]));
+  (Array.isArray(saved) ? saved : []).forEach((p) => {
+    if (p && p.id) byId.set(String(p.id), normalizeProfile({ ...byId.get(String(p.id)), ...p }));
+  });
+  const profiles = Array.from(byId.values());
+  log('loadProfiles:done', { count: profiles.length });
+  return profiles;
+}
+
+// 保存（新增或覆盖）打印方案
+// 参数：storage - Storage 对象；profile - 方案
+// 返回：保存后的全部方案
+export function saveProfile(storage, profile) {
+  log('saveProfile:start', { id: profile && profile.id });
+  const next = normalizeProfile(profile);
+  const saved = readJson(storage, PROFILES_STORAGE_KEY, []);
+  const list = (Array.isArray(saved) ? saved : []).filter((p) => p && p.id !== next.id);
+  list.push(next);
+  writeJson(storage, PROFILES_STORAGE_KEY, list);
+  log('saveProfile:done', { id: next.id });
+  return loadProfiles(storage);
+}
+
+// 删除已保存的打印方案
+// 参数：storage - Storage 对象；id - 方案ID
+// 返回：删除后的全部方案（内置方案删除后恢复为内置设置）
+export function removeProfile(storage, id) {
+  log('removeProfile:start', { id });
+  const saved = readJson(storage, PROFILES_STORAGE_KEY, []);
+  writeJson(storage, PROFILES_STORAGE_KEY, (Array.isArray(saved) ? saved : []).filter((p) => p && p.id !== id));
+  log('removeProfile:done', { id });
+  return loadProfiles(storage);
+}
+
+// 读取当前选中的打印方案ID
+// 参数：storage - Storage 对象；profiles - 可选方案列表
+// 返回：已保存且仍存在的方案ID，否则为第一个方案的ID
+export function getActiveProfileId(storage, profiles = loadProfiles(storage)) {
+  const id = readJson(storage, ACTIVE_PROFILE_STORAGE_KEY, null);
+  return profiles.some((p) => p.id === id) ? id : (profiles[0] && profiles[0].id);
+}
+
+// 保存当前选中的打印方案ID
+export function setActiveProfileId(storage, id) {
+  log('setActiveProfileId', { id });
+  writeJson(storage, ACTIVE_PROFILE_STORAGE_KEY, id);
+}
+
+// 由打印方案生成打印会话选项
+// 参数：profile - 打印方案；base - 页面的基础会话选项（如页眉页脚字段），同名阶段参数会被合并
+// 返回：createPrintSession 的 options，纸张、页签、宽表、水印、分页、表单静态化、脱敏规则与语言均取自方案，profile 记录方案标识与名称
+export function profileToSessionOptions(profile, base = {}) {
+  const p = normalizeProfile(profile);
+  const stages = { ...(base.stages || {}) };
+  const merge = (name, opts) => {
+    const prev = stages[name];
+    stages[name] = { ...(prev && typeof prev === 'object' ? prev : {}), ...opts };
+  };
+  merge('wide-table', { sliceRatio: p.sliceRatio, mode: p.wideTable });
+  if (p.watermark === '') stages.watermark = false;
+  else if (p.watermark != null) merge('watermark', { text: p.watermark });
+  if (p.pageBreaks) merge('page-break', {});
+  else stages['page-break'] = false;
+  if (p.staticForms) {
+    merge('form-state', { static: true });
+    merge('snapshot', { staticForms: true });
+  }
+  if (p.redaction.length) merge('redaction', { rules: p.redaction });
+  else stages.redaction = false;
+  return {
+    ...base,
+    page: { ...(base.page || {}), ...p.page },
+    tabs: p.tabs === 'active' ? undefined : p.tabs,
+    locale: p.locale || base.locale,
+    profile: { id: p.id, name: p.name },
+    stages,
+  };
+}
+
+// 渲染打印方案选择器
+// 参数：select - <select> 元素；profiles - 方案列表；activeId - 当前方案ID
+export function renderProfileSelect(select, profiles, activeId) {
+  log('renderProfileSelect:start', { count: profiles.length, activeId });
+  const doc = select.ownerDocument;
+  select.innerHTML = '';
+  profiles.forEach((p) => {
+    const opt = doc.createElement('option');
+    opt.value = p.id;
+    opt.textContent = p.name;
+    if (p.id === activeId) opt.selected = true;
+    select.appendChild(opt);
+  });
+  log('renderProfileSelect:done');
+}
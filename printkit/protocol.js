@@ -0,0 +1,123 @@
+import { log } from './log.js';
+
+// 父子页面打印协议
+// 说明：请求 { channel, version, id, type, payload }；应答 { channel, version, replyTo, type, payload, error }。
+// 子页面实现见 print-child.js（child.js 通过 bindMessageBridge 接入），两端 channel 与主版本号必须一致。
+export const PROTOCOL_CHANNEL = 'printkit';
+export const PROTOCOL_VERSION = 1;
+
+// 消息类型
+export const MESSAGE_TYPES = {
+  PREP: 'app-print-prep',
+  CLEAN: 'app-print-clean',
+  READY: 'app-print-ready',
+  ACK: 'app-print-ack',
+  SERIALIZE: 'app-print-serialize',
+  SNAPSHOT: 'app-print-snapshot',
+};
+
+// 请求类型对应的应答类型
+const REPLY_TYPES = {
+  [MESSAGE_TYPES.PREP]: MESSAGE_TYPES.READY,
+  [MESSAGE_TYPES.CLEAN]: MESSAGE_TYPES.ACK,
+  [MESSAGE_TYPES.SERIALIZE]: MESSAGE_TYPES.SNAPSHOT,
+};
+
+// 默认单帧超时（毫秒）
+export const DEFAULT_FRAME_TIMEOUT = 3000;
+
+let seq = 0;
+
+// 生成消息ID
+// 返回：当前页面内唯一的消息ID
+export function createMessageId() {
+  seq += 1;
+  return `pk-${Date.now().toString(36)}-${seq}`;
+}
+
+// 解析 iframe 的目标源
+// 参数：frame - iframe 元素；doc - 父文档
+// 返回：子页面 origin；about:blank/srcdoc 等继承父页面源
+export function getFrameOrigin(frame, doc) {
+  const src = frame.getAttribute('src');
+  if (!src || frame.hasAttribute('srcdoc') || /^about:/i.test(src)) return doc.defaultView.location.origin;
+  try {
+    return new URL(src, doc.baseURI).origin;
+  } catch {
+    return doc.defaultView.location.origin;
+  }
+}
+
+// 判断消息是否为协议消息
+// 参数：data - message 事件数据
+export function isProtocolMessage(data) {
+  return !!data && data.channel === PROTOCOL_CHANNEL && typeof data.version === 'number';
+}
+
+// 向单个 iframe 发送协议请求并等待应答（异步）
+// 参数：frame - iframe 元素；type - 请求类型；options - { payload, timeout, allowedOrigins }
+// 返回：{ frame, ok, reply, timedOut, error }，超时或出错时 ok 为 false，不抛出异常
+// 作用：以子页面的确切源作为 targetOrigin 发送；只接受来源窗口为该 iframe、源在允许列表内、replyTo 匹配的应答
+export function requestFrame(frame, type, options = {}) {
+  const doc = frame.ownerDocument;
+  const win = doc.defaultView;
+  const cw = frame.contentWindow;
+  const origin = getFrameOrigin(frame, doc);
+  const allowed = options.allowedOrigins || [origin];
+  const timeout = options.timeout || DEFAULT_FRAME_TIMEOUT;
+  const id = createMessageId();
+  const frameId = frame.id || null;
+  log('requestFrame:start', { frame: frameId, type, id, origin });
+  if (!cw) return Promise.resolve({ frame, ok: false, error: 'no-window' });
+  if (!allowed.includes(origin)) {
+    log('requestFrame:blocked', { frame: frameId, origin });
+    return Promise.resolve({ frame, ok: false, error: 'origin-not-allowed' });
+  }
+  return new Promise((resolve) => {
+    let timer = null;
+    const finish = (result) => {
+      win.removeEventListener('message', onMessage);
+      clearTimeout(timer);
+      log('requestFrame:done', { frame: frameId, type, id, ok: result.ok, timedOut: !!result.timedOut });
+      resolve({ frame, ...result });
+    };
+    const onMessage = (evt) => {
+      const data = evt.data;
+      if (evt.source !== cw || !isProtocolMessage(data) || data.replyTo !== id) return;
+      if (!allowed.includes(evt.origin)) {
+        log('requestFrame:reject-origin', { frame: frameId, origin: evt.origin });
+        return;
+      }
+      if (data.error) finish({ ok: false, reply: data, error: data.error });
+      else if (data.type === REPLY_TYPES[type]) finish({ ok: true, reply: data });
+    };
+    win.addEventListener('message', onMessage);
+    timer = setTimeout(() => finish({ ok: false, timedOut: true, error: 'timeout' }), timeout);
+    try {
+      cw.postMessage({
+        channel: PROTOCOL_CHANNEL,
+        version: PROTOCOL_VERSION,
+        id,
+        type,
+        payload: options.payload || {},
+      }, origin);
+    } catch (e) {
+      finish({ ok: false, error: e && e.message });
+    }
+  });
+}
+
+// 向范围内所有 iframe 发送协议请求（异步）
+// 参数：frames - iframe 元素数组；type - 请求类型；options - 同 requestFrame
+// 返回：每个 iframe 的结果数组（顺序与 frames 一致）；各帧独立超时，互不阻塞
+export function requestFrames(frames, type, options = {}) {
+  log('requestFrames:start', { type, count: frames.length });
+  return Promise.all(frames.map((f) => requestFrame(f, type, options))).then((results) => {
+    log('requestFrames:done', {
+      type,
+      ok: results.filter((r) => r.ok).length,
+      timedOut: results.filter((r) => r.timedOut).length,
+    });
+    return results;
+  });
+}
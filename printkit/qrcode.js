@@ -0,0 +1,297 @@
+import { log } from './log.js';
+
+// 二维码编码（字节模式、纠错等级 M、版本 1–10，最多 213 字节）
+// 说明：打印编号与审计链接较短，无需完整的 QR 实现；超出容量时抛出异常。
+
+// 各版本（1–10）纠错等级 M 的码字总数、每块纠错码字数与块数
+const VERSIONS = [
+  null,
+  { total: 26, ecc: 10, blocks: 1 },
+  { total: 44, ecc: 16, blocks: 1 },
+  { total: 70, ecc: 26, blocks: 1 },
+  { total: 100, ecc: 18, blocks: 2 },
+  { total: 134, ecc: 24, blocks: 2 },
+  { total: 172, ecc: 16, blocks: 4 },
+  { total: 196, ecc: 18, blocks: 4 },
+  { total: 242, ecc: 22, blocks: 4 },
+  { total: 292, ecc: 22, blocks: 5 },
+  { total: 346, ecc: 26, blocks: 5 },
+];
+
+// 各版本的对齐图形中心坐标
+const ALIGNMENT_POSITIONS = [null, [], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34], [6, 22, 38], [6, 24, 42], [6, 26, 46], [6, 28, 50]];
+
+// 纠错等级 M 的格式信息位
+const ECC_FORMAT_BITS_M = 0;
+
+// 掩码条件（x 为列，y 为行）
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+];
+
+// GF(256) 乘法（本原多项式 0x11D）
+function gfMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+// 生成 Reed-Solomon 除数多项式
+function rsDivisor(degree) {
+  const result = new Array(degree - 1).fill(0);
+  result.push(1);
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < result.length; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < result.length) result[j] ^= result[j + 1];
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+}
+
+// 计算 Reed-Solomon 纠错码字
+function rsRemainder(data, divisor) {
+  const result = divisor.map(() => 0);
+  data.forEach((b) => {
+    const factor = b ^ result.shift();
+    result.push(0);
+    divisor.forEach((coef, i) => { result[i] ^= gfMultiply(coef, factor); });
+  });
+  return result;
+}
+
+// 数据码字数
+function dataCapacity(version) {
+  const v = VERSIONS[version];
+  return v.total - v.ecc * v.blocks;
+}
+
+// 编码数据码字（模式指示、字符计数、数据、终止符与填充）
+function encodeData(bytes, version) {
+  const bits = [];
+  const push = (value, len) => { for (let i = len - 1; i >= 0; i--) bits.push((value >>> i) & 1); };
+  const capacity = dataCapacity(version) * 8;
+  push(0x4, 4);
+  push(bytes.length, version < 10 ? 8 : 16);
+  bytes.forEach((b) => push(b, 8));
+  push(0, Math.min(4, capacity - bits.length));
+  push(0, (8 - (bits.length % 8)) % 8);
+  for (let pad = 0xec; bits.length < capacity; pad ^= 0xec ^ 0x11) push(pad, 8);
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) codewords.push(parseInt(bits.slice(i, i + 8).join(''), 2));
+  return codewords;
+}
+
+// 分块计算纠错码字并交织
+function addEccAndInterleave(data, version) {
+  const { total, ecc, blocks: numBlocks } = VERSIONS[version];
+  const numShortBlocks = numBlocks - (total % numBlocks);
+  const shortBlockLen = Math.floor(total / numBlocks);
+  const divisor = rsDivisor(ecc);
+  const blocks = [];
+  for (let i = 0, k = 0; i < numBlocks; i++) {
+    const dat = data.slice(k, k + shortBlockLen - ecc + (i < numShortBlocks ? 0 : 1));
+    k += dat.length;
+    const block = dat.concat(rsRemainder(dat, divisor));
+    if (i < numShortBlocks) block.splice(dat.length, 0, 0);
+    blocks.push(block);
+  }
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      if (i !== shortBlockLen - ecc || j >= numShortBlocks) result.push(block[i]);
+    });
+  }
+  return result;
+}
+
+// 构建模块矩阵（功能图形与数据）
+function buildMatrix(version, codewords, mask) {
+  const size = version * 4 + 17;
+  const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+  const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+  const set = (x, y, dark) => {
+    modules[y][x] = dark;
+    isFunction[y][x] = true;
+  };
+
+  // 定时图形
+  for (let i = 0; i < size; i++) {
+    set(6, i, i % 2 === 0);
+    set(i, 6, i % 2 === 0);
+  }
+  // 定位图形（含分隔符）
+  [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx;
+        const y = cy + dy;
+        const dist = Math.max(Math.abs(dx), Math.abs(dy));
+        if (x >= 0 && x < size && y >= 0 && y < size) set(x, y, dist !== 2 && dist !== 4);
+      }
+    }
+  });
+  // 对齐图形（避开三个定位图形）
+  const pos = ALIGNMENT_POSITIONS[version];
+  const last = pos.length - 1;
+  pos.forEach((cx, i) => {
+    pos.forEach((cy, j) => {
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+      }
+    });
+  });
+  drawFormatBits(set, size, mask);
+  // 版本信息（版本 7 起）
+  if (version >= 7) {
+    let rem = version;
+    for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25);
+    const bits = (version << 12) | rem;
+    for (let i = 0; i < 18; i++) {
+      const dark = ((bits >>> i) & 1) === 1;
+      const a = size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      set(a, b, dark);
+      set(b, a, dark);
+    }
+  }
+
+  // 数据：自右下角起两列一组之字形放置，跳过定时图形所在列
+  let i = 0;
+  const totalBits = codewords.length * 8;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    for (let vert = 0; vert < size; vert++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        const upward = ((right + 1) & 2) === 0;
+        const y = upward ? size - 1 - vert : vert;
+        if (!isFunction[y][x] && i < totalBits) {
+          modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+          i++;
+        }
+      }
+    }
+  }
+  // 掩码
+  const cond = MASKS[mask];
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (!isFunction[y][x] && cond(x, y)) modules[y][x] = !modules[y][x];
+    }
+  }
+  return modules;
+}
+
+// 放置格式信息（纠错等级与掩码，两份）
+function drawFormatBits(set, size, mask) {
+  const data = (ECC_FORMAT_BITS_M << 3) | mask;
+  let rem = data;
+  for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+  const bits = ((data << 10) | rem) ^ 0x5412;
+  const bit = (i) => ((bits >>> i) & 1) === 1;
+  for (let i = 0; i <= 5; i++) set(8, i, bit(i));
+  set(8, 7, bit(6));
+  set(8, 8, bit(7));
+  set(7, 8, bit(8));
+  for (let i = 9; i < 15; i++) set(14 - i, 8, bit(i));
+  for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(i));
+  for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(i));
+  set(8, size - 8, true);
+}
+
+// 计算掩码惩罚分（连续同色、2×2 同色块、类定位图形、明暗比例）
+function penaltyScore(modules) {
+  const size = modules.length;
+  let score = 0;
+  const lines = [];
+  for (let y = 0; y < size; y++) lines.push(modules[y].map((m) => (m ? 1 : 0)).join(''));
+  for (let x = 0; x < size; x++) lines.push(modules.map((row) => (row[x] ? 1 : 0)).join(''));
+  lines.forEach((line) => {
+    (line.match(/0{5,}|1{5,}/g) || []).forEach((run) => { score += run.length - 2; });
+    score += ((line.match(/(?=10111010000|00001011101)/g) || []).length) * 40;
+  });
+  let dark = 0;
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (modules[y][x]) dark++;
+      if (y < size - 1 && x < size - 1) {
+        const c = modules[y][x];
+        if (c === modules[y][x + 1] && c === modules[y + 1][x] && c === modules[y + 1][x + 1]) score += 3;
+      }
+    }
+  }
+  score += Math.floor(Math.abs((dark * 20) - (size * size * 10)) / (size * size)) * 10;
+  return score;
+}
+
+// 生成二维码模块矩阵
+// 参数：text - 编码内容（按 UTF-8 编码）
+// 返回：二维布尔数组（true 为深色模块），边长为 版本 × 4 + 17
+// 作用：选择能容纳内容的最小版本，按惩罚分选择掩码；内容超过 213 字节时抛出异常
+export function encodeQr(text) {
+  const bytes = Array.from(new TextEncoder().encode(String(text)));
+  let version = 1;
+  while (version <= 10 && bytes.length + (version < 10 ? 2 : 3) > dataCapacity(version)) version++;
+  if (version > 10) throw new Error(`encodeQr: text too long (${bytes.length} bytes)`);
+  const codewords = addEccAndInterleave(encodeData(bytes, version), version);
+  let best = null;
+  let bestScore = Infinity;
+  for (let mask = 0; mask < 8; mask++) {
+    const modules = buildMatrix(version, codewords, mask);
+    const score = penaltyScore(modules);
+    if (score < bestScore) {
+      best = modules;
+      bestScore = score;
+    }
+  }
+  log('encodeQr:done', { version, bytes: bytes.length });
+  return best;
+}
+
+// 生成二维码 SVG 元素
+// 参数：doc - 目标文档；text - 编码内容；options - { size: CSS 尺寸（默认 '16mm'）, quiet: 静区模块数（默认 4）, title: 无障碍标题 }
+// 返回：<svg> 元素（深色模块合并为单个 path，缩放打印保持清晰）
+export function createQrSvg(doc, text, options = {}) {
+  const modules = encodeQr(text);
+  const quiet = options.quiet === undefined ? 4 : options.quiet;
+  const n = modules.length + quiet * 2;
+  const ns = 'http://www.w3.org/2000/svg';
+  const svg = doc.createElementNS(ns, 'svg');
+  svg.setAttribute('viewBox', `0 0 ${n} ${n}`);
+  svg.setAttribute('width', options.size || '16mm');
+  svg.setAttribute('height', options.size || '16mm');
+  svg.setAttribute('shape-rendering', 'crispEdges');
+  svg.setAttribute('role', 'img');
+  if (options.title) {
+    const title = doc.createElementNS(ns, 'title');
+    title.textContent = options.title;
+    svg.appendChild(title);
+  }
+  const bg = doc.createElementNS(ns, 'rect');
+  bg.setAttribute('width', String(n));
+  bg.setAttribute('height', String(n));
+  bg.setAttribute('fill', '#fff');
+  const path = doc.createElementNS(ns, 'path');
+  const d = [];
+  modules.forEach((row, y) => row.forEach((dark, x) => {
+    if (dark) d.push(`M${x + quiet} ${y + quiet}h1v1h-1z`);
+  }));
+  path.setAttribute('d', d.join(''));
+  path.setAttribute('fill', '#000');
+  svg.append(bg, path);
+  return svg;
+}
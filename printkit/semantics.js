@@ -0,0 +1,158 @@
+import { log } from './log.js';
+import { DEFAULT_LOCALE, formatMessage } from './i18n.js';
+
+// 标题元素选择器（含 role="heading"）
+export const HEADING_SELECTOR = 'h1, h2, h3, h4, h5, h6, [role="heading"]';
+
+// 打印生成元素的 ID 序号（同一页面内递增，避免多次打印或多个快照之间重复）
+let idSeq = 0;
+
+// 生成打印元素 ID
+// 参数：prefix - 前缀
+// 返回：如 'print-heading-3'
+export function createPrintElementId(prefix = 'print-el') {
+  idSeq += 1;
+  return `${prefix}-${idSeq}`;
+}
+
+// 读取标题级别
+// 参数：el - 标题元素
+// 返回：aria-level 优先，其次为 h1-h6 的级别；role="heading" 且无 aria-level 时为 2
+export function getHeadingLevel(el) {
+  const aria = Number(el.getAttribute('aria-level'));
+  if (aria >= 1) return Math.min(6, aria);
+  const m = /^H([1-6])$/.exec(el.tagName);
+  return m ? Number(m[1]) : 2;
+}
+
+// 查找内容之前最近的标题
+// 参数：node - 起点元素；boundary - 查找边界（不包含，缺省为文档根）
+// 返回：向上逐级查找的最近前置标题元素（只看各级祖先的前置兄弟，不进入兄弟内部），找不到时为 null
+export function findPrecedingHeading(node, boundary = null) {
+  for (let n = node; n && n !== boundary; n = n.parentElement) {
+    for (let prev = n.previousElementSibling; prev; prev = prev.previousElementSibling) {
+      if (prev.matches(HEADING_SELECTOR)) return prev;
+    }
+  }
+  return null;
+}
+
+// 解析快照段落的标题级别
+// 参数：container - 段落所在的快照容器
+// 返回：容器之前最近标题的下一级（如页面 h1 之后的快照容器为 2，多页签面板快照容器为 3），最深为 6
+export function resolveSectionLevel(container) {
+  const heading = container ? findPrecedingHeading(container) : null;
+  return Math.min(6, (heading ? getHeadingLevel(heading) : 1) + 1);
+}
+
+// 创建标题
+// 参数：doc - 目标文档；level - 级别（1-6）；text - 标题文本
+// 返回：带生成 ID 的 h1-h6 元素
+export function createHeading(doc, level, text) {
+  const heading = doc.createElement(`h${Math.min(6, Math.max(1, level))}`);
+  heading.id = createPrintElementId('print-heading');
+  heading.textContent = text;
+  return heading;
+}
+
+// 创建带标题的区域
+// 参数：doc - 目标文档；className - 类名；heading - 标题元素（createHeading 的返回值）
+// 返回：<section aria-labelledby>，辅助技术与带标签的 PDF 中作为区域地标
+export function createLabelledSection(doc, className, heading) {
+  const section = doc.createElement('section');
+  section.className = className;
+  section.setAttribute('aria-labelledby', heading.id);
+  section.appendChild(heading);
+  return section;
+}
+
+// 将克隆内容的标题嵌套到所在区域之下
+// 参数：root - 克隆内容（如子页面快照）；parentLevel - 所在区域标题的级别
+// 作用：以 aria-level 调整层级（最高一级为 parentLevel + 1，其余按相对级别顺延，最深为 6），不改变元素与样式
+export function nestHeadings(root, parentLevel) {
+  const headings = Array.from(root.querySelectorAll(HEADING_SELECTOR));
+  if (!headings.length) return;
+  const shift = parentLevel + 1 - Math.min(...headings.map(getHeadingLevel));
+  if (shift <= 0) return;
+  headings.forEach((h) => h.setAttribute('aria-level', String(Math.min(6, getHeadingLevel(h) + shift))));
+}
+
+// 读取表格的可访问名称
+// 参数：table - 表格
+// 返回：caption、aria-label 或 aria-labelledby 引用元素的文本，均无时为空串
+export function getTableLabel(table) {
+  const caption = table.caption && table.caption.textContent.trim();
+  if (caption) return caption;
+  const label = table.getAttribute('aria-label');
+  if (label) return label.trim();
+  const ref = table.getAttribute('aria-labelledby');
+  const doc = table.ownerDocument;
+  return ref ? ref.split(/\s+/).map((id) => doc.getElementById(id)).filter(Boolean).map((el) => el.textContent.trim()).join(' ') : '';
+}
+
+// 生成画布图像的替代文本
+// 参数：canvas - 原始画布；locale - 打印语言
+// 返回：aria-label、title 或画布的后备内容，均无时为“画布图像”（按打印语言）
+export function describeCanvas(canvas, locale = DEFAULT_LOCALE) {
+  return canvas.getAttribute('aria-label') || canvas.getAttribute('title') || canvas.textContent.trim() || formatMessage(locale, 'canvas.alt');
+}
+
+// 补全表格的表头关联
+// 参数：table - 表格；options - { prefix: 生成 ID 的前缀（同一文档内唯一，省略时只补 scope）,
+//   setAttribute: (el, name, value) => void 写入属性的方式（页面中的表格传入打印状态事务的方法）}
+// 作用：表头行中的 th 补 scope="col"，数据行首个 th 补 scope="row"；指定 prefix 时（列切片等克隆表格）表格内的 ID 加前缀，
+// 数据单元格写入 headers（列表头 + 行表头），原有 headers 同步改写，切片隐藏其余列后表头与单元格的关联仍然完整
+export function annotateTableHeaders(table, options = {}) {
+  const set = options.setAttribute || ((el, name, value) => el.setAttribute(name, value));
+  const rows = Array.from(table.rows);
+  const first = rows[0];
+  const headRows = table.tHead ? Array.from(table.tHead.rows) : (first && Array.from(first.cells).every((c) => c.tagName === 'TH') ? [first] : []);
+  const bodyRows = rows.filter((row) => !headRows.includes(row));
+  headRows.forEach((row) => Array.from(row.cells).forEach((cell) => {
+    if (cell.tagName === 'TH' && !cell.hasAttribute('scope')) set(cell, 'scope', 'col');
+  }));
+  bodyRows.forEach((row) => {
+    const cell = row.cells[0];
+    if (cell && cell.tagName === 'TH' && !cell.hasAttribute('scope')) set(cell, 'scope', 'row');
+  });
+  const prefix = options.prefix;
+  if (!prefix) return;
+  const renamed = new Map();
+  table.querySelectorAll('[id]').forEach((el) => {
+    renamed.set(el.id, `${prefix}-${el.id}`);
+    el.id = renamed.get(el.id);
+  });
+  const columns = [];
+  const lastHead = headRows[headRows.length - 1];
+  if (lastHead) {
+    Array.from(lastHead.cells).forEach((cell, idx) => {
+      if (cell.tagName !== 'TH') return;
+      if (!cell.id) cell.id = `${prefix}-col-${idx + 1}`;
+      columns[idx] = cell.id;
+    });
+  }
+  bodyRows.forEach((row, rowIdx) => {
+    const rowHeader = row.cells[0] && row.cells[0].tagName === 'TH' ? row.cells[0] : null;
+    if (rowHeader && !rowHeader.id) rowHeader.id = `${prefix}-row-${rowIdx + 1}`;
+    Array.from(row.cells).forEach((cell, idx) => {
+      if (cell === rowHeader) return;
+      const existing = cell.getAttribute('headers');
+      const refs = existing
+        ? existing.split(/\s+/).filter(Boolean).map((id) => renamed.get(id) || id)
+        : [columns[idx], rowHeader && rowHeader.id].filter(Boolean);
+      if (refs.length) cell.setAttribute('headers', refs.join(' '));
+    });
+  });
+}
+
+// 收集打印大纲
+// 参数：doc - 文档；include - (heading) => boolean 判断标题是否出现在打印输出中
+// 返回：[{ level, text, id, el }]，按文档顺序；供无头打印生成 PDF 书签或其他导出工具使用
+export function collectOutline(doc, include = () => true) {
+  const outline = Array.from(doc.body.querySelectorAll(HEADING_SELECTOR))
+    .filter(include)
+    .map((el) => ({ level: getHeadingLevel(el), text: el.textContent.replace(/\s+/g, ' ').trim(), id: el.id, el }))
+    .filter((item) => item.text);
+  log('collectOutline', { count: outline.length });
+  return outline;
+}
@@ -0,0 +1,361 @@
+import { log } from './log.js';
+import { resolvePageSetup } from './pagination.js';
+import { createPrintTransaction } from './transaction.js';
+import { PRINT_EVENTS, dispatchPrintEvent, waitForPrintHooks } from './events.js';
+import { resolveLocale } from './i18n.js';
+
+// 已注册的打印阶段（按名称索引）
+// 说明：内置阶段在 index.js 中注册；页面可通过 registerStage 追加或覆盖同名阶段。
+const registry = new Map();
+
+// 注册打印阶段（插件）
+// 参数：stage - { name, order, enabled?, required?, prepare?(ctx, opts), cleanup?(ctx, opts) }
+// 说明：required 为 true 的阶段（如脱敏）准备失败时中止本次打印，而不是跳过该阶段继续打印
+// 作用：将阶段加入全局注册表，之后创建的打印会话默认包含该阶段；同名阶段会被覆盖。
+export function registerStage(stage) {
+  log('registerStage:start', { name: stage && stage.name });
+  if (!stage || !stage.name) throw new Error('registerStage: stage.name is required');
+  registry.set(stage.name, normalizeStage(stage));
+  log('registerStage:done', { name: stage.name, order: stage.order });
+}
+
+// 读取已注册的阶段列表
+// 返回：按 order 升序排列的阶段数组（副本）
+export function getRegisteredStages() {
+  return sortStages(Array.from(registry.values()));
+}
+
+// 规范化阶段定义
+// 参数：stage - 原始阶段定义
+// 返回：补齐默认字段后的阶段对象
+function normalizeStage(stage) {
+  return {
+    name: stage.name,
+    order: Number.isFinite(stage.order) ? stage.order : 1000,
+    enabled: stage.enabled !== false,
+    required: stage.required === true,
+    prepare: typeof stage.prepare === 'function' ? stage.prepare : null,
+    cleanup: typeof stage.cleanup === 'function' ? stage.cleanup : null,
+  };
+}
+
+// 按固定顺序排序阶段
+// 参数：stages - 阶段数组
+// 返回：按 order 升序、同序按名称排序的新数组
+function sortStages(stages) {
+  return stages.slice().sort((a, b) => (a.order - b.order) || a.name.localeCompare(b.name));
+}
+
+// 获取当前激活的页签ID
+// 参数：root - 查询范围（Document 或元素）
+// 作用：未指定打印页签时，以激活面板作为快照与宽表处理的作用范围
+export function getActiveTabId(root) {
+  log('getActiveTabId:start');
+  const panel = root.querySelector('.tab-panel.active');
+  const id = panel ? panel.id : null;
+  log('getActiveTabId:done', { id });
+  return id;
+}
+
+// 解析本次打印包含的页签
+// 参数：root - 查询范围；tabs - 页签ID数组或 'all'；activeTab - 当前激活页签ID
+// 返回：页签ID数组（按页面中的面板顺序）；页面无页签时返回空数组
+export function resolvePrintTabs(root, tabs, activeTab) {
+  const all = Array.from(root.querySelectorAll('.tab-panel')).map((p) => p.id).filter(Boolean);
+  if (tabs === 'all') return all;
+  if (Array.isArray(tabs) && tabs.length) return all.filter((id) => tabs.includes(id));
+  return activeTab ? [activeTab] : [];
+}
+
+// 判断元素是否处于本次打印范围
+// 参数：ctx - 打印会话上下文；el - 目标元素
+// 返回：元素不在任何页签面板内，或其所在面板被选中打印时为 true；位于 ctx.excluded 登记的节点内时为 false
+function isInPrintScope(ctx, el) {
+  if (ctx.excluded.some((node) => node.contains(el))) return false;
+  const panel = el.closest('.tab-panel');
+  return !panel || ctx.panels.includes(panel);
+}
+
+// 解析元素对应的快照输出容器
+// 参数：ctx - 打印会话上下文；el - 快照来源元素（iframe、宽表等）
+// 返回：所在面板登记的快照容器（多页签模式），否则为全局打印快照容器
+function resolveCloneTarget(ctx, el) {
+  const panel = el && el.closest('.tab-panel');
+  return (panel && ctx.cloneTargets.get(panel)) || ctx.cloneRoot;
+}
+
+// 解析会话启用的阶段及其参数
+// 参数：options - createPrintSession 的选项
+// 返回：[{ stage, opts }]，opts 为该阶段的参数对象
+function resolveStages(options) {
+  const byName = new Map(registry);
+  (options.plugins || []).forEach((p) => byName.set(p.name, normalizeStage(p)));
+  const switches = options.stages || {};
+  const resolved = [];
+  sortStages(Array.from(byName.values())).forEach((stage) => {
+    const sw = switches[stage.name];
+    const on = sw === undefined ? stage.enabled : sw !== false;
+    if (!on) return;
+    resolved.push({ stage, opts: sw && typeof sw === 'object' ? sw : {} });
+  });
+  return resolved;
+}
+
+// 创建打印会话
+// 参数：root - 打印作用范围（Document 或元素）；options - {
+//   stages: { [name]: boolean | object } 阶段开关或阶段参数,
+//   plugins: Array 仅对本会话生效的附加阶段,
+//   cloneRoot: string | Element 打印快照容器（默认 #print-clone-root）,
+//   getActiveTab: (root) => string | null 激活页签解析函数,
+//   tabs: string[] | 'all' 默认打印的页签（缺省为当前激活页签）,
+//   page: { size, orientation, margin } 纸张设置（默认 A4 纵向、12mm 页边距）,
+//   profile: { id, name } 当前打印方案（随生命周期事件传给监听器）,
+//   locale: 打印生成文本与日期、页码、金额的语言（默认取页面 html 的 lang，见 i18n.js）, currency: 金额字段的默认币种,
+//   events: boolean 是否派发打印生命周期事件（默认 true）, hookTimeout: 等待监听器任务的超时（毫秒，默认 10000）,
+//   printer: async (ctx) => void 替代 window.print 的打印实现（如无头浏览器生成 PDF），完成后立即清理 }
+// 返回：{ prepare, cleanup, print, bind, unbind, stageNames, page, doc }
+// 作用：按固定顺序执行各阶段的 prepare，打印结束后逆序执行 cleanup 并回滚打印状态事务（ctx.tx）；阶段异常只记录日志，不中断其余阶段，
+// required 阶段的异常除外：prepare 清理后抛出该异常（print 据此派发 print:error 并中止打印）。
+export function createPrintSession(root = document, options = {}) {
+  log('createPrintSession:start');
+  const doc = root.nodeType === 9 ? root : root.ownerDocument;
+  const win = options.window || doc.defaultView;
+  const stages = resolveStages(options);
+  const page = resolvePageSetup(options.page);
+  let ctx = null;
+  let pending = null;
+  let settling = null;
+  let bound = false;
+
+  // 构建阶段上下文
+  // 参数：printOptions - 单次打印参数 { tabs: string[] | 'all', selection?: true | { range }, locale?: 本次打印的语言（优先于会话选项）}
+  // 作用：每次打印新建一份上下文，阶段私有状态存放于 ctx.state[name]；阶段可将节点登记到 ctx.excluded 使其退出打印范围；
+  // ctx.locale 为解析后的语言，阶段生成文本与格式化日期、数字时使用；ctx.sync 为 true 时为同步准备（Ctrl+P），异步阶段可能晚于后续阶段完成；
+  // 阶段对页面的改动通过 ctx.tx（见 transaction.js）记录，清理时统一回滚
+  function createContext(printOptions = {}) {
+    const cloneRoot = typeof options.cloneRoot === 'object' && options.cloneRoot
+      ? options.cloneRoot
+      : doc.querySelector(options.cloneRoot || '#print-clone-root');
+    const resolveTab = options.getActiveTab || getActiveTabId;
+    const activeTab = resolveTab(root);
+    const tabs = resolvePrintTabs(root, printOptions.tabs || options.tabs, activeTab);
+    const panels = tabs.map((id) => doc.getElementById(id)).filter(Boolean);
+    const locale = resolveLocale(printOptions.locale || options.locale || doc.documentElement.lang);
+    const currency = options.currency || null;
+    const next = { root, doc, win, options, printOptions, page, locale, currency, cloneRoot, activeTab, tabs, panels, excluded: [], cloneTargets: new Map(), state: {}, tx: createPrintTransaction() };
+    next.inScope = (el) => isInPrintScope(next, el);
+    next.cloneTargetFor = (el) => resolveCloneTarget(next, el);
+    next.cloneContainers = () => [cloneRoot, ...next.cloneTargets.values()].filter(Boolean);
+    return next;
+  }
+
+  // 生成生命周期事件详情
+  // 参数：printOptions - 单次打印参数；current - 已准备的上下文（缺省时按打印参数临时解析页签与子页面）
+  // 返回：{ printOptions, activeTab, tabs, profile, page, locale, frames }
+  function describePrint(printOptions = {}, current = null) {
+    const c = current || createContext(printOptions);
+    return {
+      printOptions,
+      activeTab: c.activeTab,
+      tabs: c.tabs,
+      profile: options.profile || null,
+      page,
+      locale: c.locale,
+      frames: Array.from(root.querySelectorAll('iframe')).filter(c.inScope),
+    };
+  }
+
+  // 派发生命周期事件并等待监听器登记的任务
+  // 参数：type - 事件类型；detail - 事件详情
+  // 返回：是否继续打印；事件被取消或任务失败（同时派发 print:error）时为 false
+  async function runHooks(type, detail) {
+    if (options.events === false) return true;
+    const { canceled, waits } = dispatchPrintEvent(win, type, detail, { cancelable: true });
+    if (canceled) {
+      log('session.print:canceled', { type });
+      return false;
+    }
+    try {
+      await waitForPrintHooks(waits, options.hookTimeout);
+      return true;
+    } catch (e) {
+      log('session.print:hookError', { type, message: e && e.message });
+      dispatchPrintEvent(win, PRINT_EVENTS.ERROR, { ...detail, phase: type, error: e });
+      return false;
+    }
+  }
+
+  // 派发不可取消的通知事件（print:done、print:error）
+  function notify(type, detail) {
+    if (options.events !== false) dispatchPrintEvent(win, type, detail);
+  }
+
+  // 执行所有阶段的 prepare（异步，按顺序等待）
+  // 参数：printOptions - 单次打印参数 { tabs: string[] | 'all' }
+  async function prepare(printOptions) {
+    if (pending) return pending;
+    if (ctx) return ctx;
+    log('session.prepare:start', { stages: stages.map((s) => s.stage.name) });
+    ctx = createContext(printOptions);
+    pending = runPrepare(ctx);
+    try {
+      return await pending;
+    } catch (e) {
+      pending = null;
+      await cleanup();
+      throw e;
+    } finally {
+      pending = null;
+    }
+  }
+
+  async function runPrepare(current) {
+    for (const { stage, opts } of stages) {
+      if (!stage.prepare) continue;
+      current.state[stage.name] = current.state[stage.name] || {};
+      try {
+        await stage.prepare(current, opts);
+      } catch (e) {
+        log('session.prepare:error', { stage: stage.name, message: e && e.message });
+        if (stage.required) throw e;
+      }
+    }
+    log('session.prepare:done');
+    return current;
+  }
+
+  // 同步触发所有阶段的 prepare（用于浏览器直接发起的打印，如 Ctrl+P）
+  // 作用：beforeprint 无法等待异步任务，异步阶段只能尽力完成；同步阶段（如水印）可保证生效；
+  // 打印无法中止，required 阶段失败时派发 print:error（阶段自身负责不输出未处理的内容）
+  function prepareSync() {
+    if (ctx) return;
+    log('session.prepareSync:start');
+    ctx = createContext();
+    ctx.sync = true;
+    const current = ctx;
+    const running = [];
+    const fail = (stage, e) => {
+      log('session.prepareSync:error', { stage: stage.name, message: e && e.message });
+      if (stage.required) notify(PRINT_EVENTS.ERROR, { ...describePrint({}, current), phase: 'prepare', stage: stage.name, error: e });
+    };
+    stages.forEach(({ stage, opts }) => {
+      if (!stage.prepare) return;
+      current.state[stage.name] = current.state[stage.name] || {};
+      try {
+        const r = stage.prepare(current, opts);
+        if (r && typeof r.catch === 'function') running.push(r.catch((e) => fail(stage, e)));
+      } catch (e) {
+        fail(stage, e);
+      }
+    });
+    // 清理需等待未完成的异步阶段，避免回滚后仍有改动写入页面
+    settling = running.length ? Promise.all(running) : null;
+    log('session.prepareSync:done');
+  }
+
+  // 逆序执行所有阶段的 cleanup，再回滚打印状态事务
+  // 作用：恢复页面状态；同一次打印只清理一次（打印完成、取消或出错均走此处），未 prepare 过时为空操作
+  async function cleanup() {
+    if (pending) await pending;
+    if (!ctx) return;
+    log('session.cleanup:start');
+    const current = ctx;
+    ctx = null;
+    if (settling) {
+      const running = settling;
+      settling = null;
+      await running;
+    }
+    try {
+      for (const { stage, opts } of stages.slice().reverse()) {
+        if (!stage.cleanup) continue;
+        try {
+          await stage.cleanup(current, opts);
+        } catch (e) {
+          log('session.cleanup:error', { stage: stage.name, message: e && e.message });
+        }
+      }
+    } finally {
+      current.tx.rollback();
+    }
+    // 只有真正进入打印的准备（而非预览、导出）才通知打印结束
+    if (current.printing) notify(PRINT_EVENTS.DONE, describePrint(current.printOptions, current));
+    log('session.cleanup:done');
+  }
+
+  // 打印入口
+  // 参数：printOptions - 单次打印参数 { tabs: string[] | 'all', selection?: true | { range } }，缺省打印当前激活页签
+  // 返回：是否调用了浏览器打印（被监听器取消或出错时为 false）
+  // 作用：依次派发 print:request（可取消）、print:prepare（可取消，监听器可登记异步任务如加载剩余数据），等待全部阶段准备完成后
+  // 派发 print:ready（可取消）并调用浏览器打印（或 options.printer）；清理由 afterprint（bind 后）触发，未绑定或使用 printer 时在打印返回后清理，
+  // 清理后派发 print:done；准备或调用打印出错时派发 print:error 并立即清理
+  async function print(printOptions = {}) {
+    log('session.print:start', printOptions);
+    const detail = describePrint(printOptions);
+    if (!(await runHooks(PRINT_EVENTS.REQUEST, detail))) return false;
+    if (!(await runHooks(PRINT_EVENTS.PREPARE, describePrint(printOptions)))) return false;
+    try {
+      const current = await prepare(printOptions);
+      if (!(await runHooks(PRINT_EVENTS.READY, describePrint(printOptions, current)))) {
+        await cleanup();
+        return false;
+      }
+      current.printing = true;
+      if (options.printer) {
+        await options.printer(current);
+        log('session.print:invoke printer');
+      } else {
+        win.print();
+        log('session.print:invoke window.print');
+      }
+    } catch (e) {
+      log('session.print:error', e && e.message);
+      notify(PRINT_EVENTS.ERROR, { ...detail, phase: 'print', error: e });
+      await cleanup();
+      return false;
+    }
+    if (!bound || options.printer) await cleanup();
+    return true;
+  }
+
+  // 浏览器直接发起的打印（如 Ctrl+P）无法等待与取消：只派发 sync 标记的 print:prepare，登记的任务不会被等待
+  function onBeforePrint() {
+    if (ctx) return;
+    if (options.events !== false) dispatchPrintEvent(win, PRINT_EVENTS.PREPARE, { ...describePrint(), sync: true });
+    prepareSync();
+    ctx.printing = true;
+  }
+
+  function onAfterPrint() {
+    cleanup();
+  }
+
+  // 绑定浏览器打印生命周期
+  // 作用：beforeprint 时补齐未执行的准备（如用户直接按 Ctrl+P），afterprint 时统一清理
+  function bind() {
+    log('session.bind');
+    bound = true;
+    win.addEventListener('beforeprint', onBeforePrint);
+    win.addEventListener('afterprint', onAfterPrint);
+  }
+
+  // 解除浏览器打印生命周期绑定
+  function unbind() {
+    log('session.unbind');
+    bound = false;
+    win.removeEventListener('beforeprint', onBeforePrint);
+    win.removeEventListener('afterprint', onAfterPrint);
+  }
+
+  log('createPrintSession:done', { stages: stages.map((s) => s.stage.name) });
+  return {
+    prepare,
+    cleanup,
+    print,
+    bind,
+    unbind,
+    stageNames: () => stages.map((s) => s.stage.name),
+    page,
+    doc,
+  };
+}
@@ -0,0 +1,190 @@
+import { log } from './log.js';
+import { copyCanvasBitmapsAsync } from './stages/snapshot.js';
+import { materializeFormState } from './stages/form-state.js';
+
+// 拆分顶层逗号分隔的选择器（忽略括号内的逗号，如 :is(a, b)）
+function splitSelectors(selectorText) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const ch of selectorText) {
+    if (ch === '(') depth += 1;
+    if (ch === ')') depth -= 1;
+    if (ch === ',' && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+}
+
+// 将影子树选择器改写为作用域选择器
+// 参数：selectorText - 原选择器；scope - 宿主作用域选择器（如 [data-print-shadow="1"]）
+// 返回：:host / :host(x) 改写为宿主本身，::slotted(x) 改写为 x，其余选择器限定在宿主内
+export function scopeShadowSelector(selectorText, scope) {
+  return splitSelectors(selectorText).map((sel) => {
+    let s = sel.replace(/::slotted\(([^)]*)\)/g, '$1');
+    if (/^:host-context\(/.test(s)) s = s.replace(/^:host-context\([^)]*\)/, ':host');
+    if (/^:host\(/.test(s)) return s.replace(/^:host\(([^)]*)\)/, `${scope}$1`);
+    if (/^:host\b/.test(s)) return s.replace(/^:host/, scope);
+    return `${scope} ${s}`;
+  }).join(', ');
+}
+
+// 将影子树样式规则改写为作用域样式文本
+// 参数：rules - CSSRuleList；scope - 宿主作用域选择器
+// 返回：样式文本；@media/@supports 递归处理，@keyframes、@font-face 等原样保留
+function scopeRules(rules, scope) {
+  return Array.from(rules || []).map((rule) => {
+    if (rule.selectorText !== undefined && rule.style) {
+      return `${scopeShadowSelector(rule.selectorText, scope)} { ${rule.style.cssText} }`;
+    }
+    if (rule.cssRules && rule.conditionText !== undefined) {
+      const kind = rule.constructor && /Supports/.test(rule.constructor.name) ? 'supports' : 'media';
+      return `@${kind} ${rule.conditionText} {\n${scopeRules(rule.cssRules, scope)}\n}`;
+    }
+    return rule.cssText;
+  }).join('\n');
+}
+
+// 收集影子根的样式（内联 <style>、<link> 与 adoptedStyleSheets）并改写为作用域样式
+// 参数：shadow - 开放的影子根；scope - 宿主作用域选择器
+// 返回：样式文本（无法读取的样式表跳过并记录日志）
+export function collectShadowStyles(shadow, scope) {
+  const sheets = Array.from(shadow.querySelectorAll('style, link[rel="stylesheet"]'))
+    .map((el) => el.sheet)
+    .filter(Boolean)
+    .concat(Array.from(shadow.adoptedStyleSheets || []));
+  return sheets.map((sheet) => {
+    try {
+      return scopeRules(sheet.cssRules, scope);
+    } catch (e) {
+      log('collectShadowStyles:error', e && e.message);
+      return '';
+    }
+  }).filter(Boolean).join('\n');
+}
+
+// 创建替代宿主的普通元素
+// 参数：orig - 原始宿主；clone - 宿主克隆
+// 返回：复制了宿主属性的 div（行内宿主为 span），并以 data-print-shadow-host 记录原标签名
+// 说明：保留自定义元素标签会在同一文档中被重新升级并挂载自己的影子根，遮住展开后的内容
+function createFlatHost(orig, clone) {
+  const doc = clone.ownerDocument;
+  const view = orig.ownerDocument.defaultView;
+  const display = view && view.getComputedStyle ? view.getComputedStyle(orig).display : 'block';
+  const host = doc.createElement(display === 'inline' ? 'span' : 'div');
+  Array.from(clone.attributes).forEach((attr) => host.setAttribute(attr.name, attr.value));
+  host.setAttribute('data-print-shadow-host', orig.localName);
+  return host;
+}
+
+// 应用自定义元素的打印钩子
+// 参数：orig - 原始元素；clone - 克隆元素；state - { seq, hooks }
+// 返回：是否已由钩子提供打印内容
+// 作用：元素实现 renderForPrint() 并返回 HTML 字符串或节点时，用其静态标记替代元素内容
+function applyPrintHook(orig, clone, state) {
+  if (typeof orig.renderForPrint !== 'function') return false;
+  const markup = orig.renderForPrint();
+  if (markup == null) return false;
+  const host = createFlatHost(orig, clone);
+  host.setAttribute('data-print-hook', '');
+  if (typeof markup === 'string') host.innerHTML = markup;
+  else host.appendChild(host.ownerDocument.importNode(markup, true));
+  clone.replaceWith(host);
+  state.hooks += 1;
+  log('applyPrintHook:done', { tag: orig.localName });
+  return true;
+}
+
+// 展开单个影子宿主（异步）
+// 参数：orig - 原始宿主；clone - 宿主克隆（其轻 DOM 子节点与原始宿主一一对应）；state - { seq, hooks }
+// 作用：克隆影子树并固化其中的表单与画布，递归展开嵌套宿主；<slot> 替换为分配到的轻 DOM 克隆（无分配时使用默认内容），
+// 影子样式改写为以宿主为作用域的 <style> 放在宿主首位
+async function flattenHostAsync(orig, clone, state) {
+  const shadow = orig.shadowRoot;
+  state.seq += 1;
+  const id = String(state.seq);
+  const scope = `[data-print-shadow="${id}"]`;
+  const doc = clone.ownerDocument;
+
+  // 轻 DOM 子节点中也可能包含影子宿主（展开时一对一替换，位置不变）
+  const origLight = Array.from(orig.childNodes);
+  await walkAsync(orig, clone, state);
+  const lightClones = Array.from(clone.childNodes);
+
+  const content = doc.createDocumentFragment();
+  shadow.childNodes.forEach((node) => content.appendChild(doc.importNode(node, true)));
+  const origSlots = Array.from(shadow.querySelectorAll('slot'));
+  const cloneSlots = Array.from(content.querySelectorAll('slot'));
+  materializeFormState(shadow, content);
+  await copyCanvasBitmapsAsync(shadow, content);
+  const origChildren = Array.from(shadow.children);
+  const cloneChildren = Array.from(content.children);
+  for (let i = 0; i < Math.min(origChildren.length, cloneChildren.length); i++) {
+    await walkAsync(origChildren[i], cloneChildren[i], state, true);
+  }
+
+  origSlots.forEach((slot, idx) => {
+    const target = cloneSlots[idx];
+    if (!target) return;
+    const assigned = typeof slot.assignedNodes === 'function' ? slot.assignedNodes() : [];
+    const nodes = assigned.map((n) => lightClones[origLight.indexOf(n)]).filter(Boolean);
+    if (nodes.length) target.replaceWith(...nodes);
+    else target.replaceWith(...Array.from(target.childNodes));
+  });
+  content.querySelectorAll('style, link[rel="stylesheet"]').forEach((el) => el.remove());
+
+  const host = createFlatHost(orig, clone);
+  host.setAttribute('data-print-shadow', id);
+  const css = collectShadowStyles(shadow, scope);
+  if (css) {
+    const style = doc.createElement('style');
+    style.setAttribute('data-print-shadow-style', '');
+    style.textContent = css;
+    host.appendChild(style);
+  }
+  host.appendChild(content);
+  clone.replaceWith(host);
+}
+
+// 并行遍历原始树与克隆树（异步）
+// 参数：orig/clone - 结构一致的原始元素与克隆元素；state - { seq, hooks }；self - 是否同时处理 orig 本身
+async function walkAsync(orig, clone, state, self = false) {
+  if (self) {
+    if (applyPrintHook(orig, clone, state)) return;
+    if (orig.shadowRoot) {
+      await flattenHostAsync(orig, clone, state);
+      return;
+    }
+  }
+  const origChildren = Array.from(orig.children);
+  const cloneChildren = Array.from(clone.children);
+  const n = Math.min(origChildren.length, cloneChildren.length);
+  for (let i = 0; i < n; i++) {
+    await walkAsync(origChildren[i], cloneChildren[i], state, true);
+  }
+}
+
+// 展开克隆中的开放影子根（异步）
+// 参数：origRoot - 原始根节点（文档、body 或元素）；clonedRoot - 由 cloneNode(true) 得到的克隆（已固化表单与画布）
+// 返回：展开的宿主数量（含使用打印钩子的元素）
+// 作用：cloneNode 不会复制影子根，Web Components 在快照与导出中只剩空标签。此处并行遍历原始树与克隆，
+// 将开放影子树（含 adoptedStyleSheets 与内联样式）展开到克隆中；实现 renderForPrint() 的自定义元素改用其静态打印标记。
+// 关闭的影子根无法访问，只能通过打印钩子提供内容。
+export async function flattenShadowRootsAsync(origRoot, clonedRoot) {
+  log('flattenShadowRootsAsync:start');
+  const state = { seq: 0, hooks: 0 };
+  const orig = origRoot.nodeType === 9 ? origRoot.documentElement : origRoot;
+  const clone = clonedRoot.nodeType === 9 ? clonedRoot.documentElement : clonedRoot;
+  try {
+    await walkAsync(orig, clone, state);
+  } catch (e) {
+    log('flattenShadowRootsAsync:error', e && e.message);
+  }
+  log('flattenShadowRootsAsync:done', { hosts: state.seq, hooks: state.hooks });
+  return state.seq + state.hooks;
+}
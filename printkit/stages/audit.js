@@ -0,0 +1,134 @@
+import { log } from '../log.js';
+import { estimatePageCount } from '../pagination.js';
+import { createPrintId, hashTextAsync, createConsoleSink, writeAuditEntryAsync } from '../audit.js';
+import { createQrSvg } from '../qrcode.js';
+import { FORM_CONTROL_SELECTOR, describeControlValue } from './form-state.js';
+import { formatMessage } from '../i18n.js';
+
+// 默认二维码内容模板（{printId} 为打印编号）
+export const DEFAULT_AUDIT_LINK = 'printkit:audit:{printId}';
+
+// 打印编号与二维码标记样式：只在打印媒体下显示，固定定位在每页右下角
+const STAMP_CSS = `
+.print-audit-stamp { display: none; }
+@media print {
+  .print-audit-stamp { display: flex; position: fixed; right: 0; bottom: 0; z-index: 9999; flex-direction: column; align-items: center; gap: 1mm; padding: 1mm; background: #fff; color: #6b7280; font-size: 7pt; line-height: 1; }
+}
+`;
+
+// 读取阶段参数值（值或 (ctx) => value）
+function resolveOption(ctx, value) {
+  return typeof value === 'function' ? value(ctx) : value;
+}
+
+// 不计入内容摘要的节点：打印时隐藏或被替代的内容（未选中的条目、被脱敏副本替代的原内容、未打印的面板、被列切片替代的宽表），
+// 以及打印编号标记、水印与固定页眉页脚（含打印时间与编号，不属于记录内容；清理时重新计算摘要时它们仍在页面中）
+const UNHASHED_SELECTOR = '[hidden], .print-selection-hidden, .print-redaction-hidden, .print-exclude, [data-print-sliced], script, style, noscript, template, '
+  + '.print-audit-stamp, .watermark, .print-running-header, .print-running-footer';
+
+// 判断元素是否计入内容摘要
+function isPrintedNode(ctx, el) {
+  return !el.closest(UNHASHED_SELECTOR) && !ctx.excluded.some((node) => node.contains(el));
+}
+
+// 收集打印范围内的文本（用于内容摘要）
+// 参数：ctx - 打印会话上下文
+// 返回：打印面板与快照容器中实际打印的文本（空白归一）及表单控件的值；跳过 ctx.excluded 登记的节点与打印时隐藏的内容，
+// 位于面板内的快照容器只计一次
+export function collectPrintableText(ctx) {
+  const containers = ctx.cloneContainers().filter((c) => !ctx.panels.some((panel) => panel.contains(c)));
+  const scopes = ctx.panels.length ? [...ctx.panels, ...containers] : [ctx.doc.body];
+  const parts = [];
+  scopes.filter((el) => isPrintedNode(ctx, el)).forEach((scope) => {
+    const walker = ctx.doc.createTreeWalker(scope, 5, {
+      acceptNode: (node) => {
+        if (node.nodeType === 3) return 1;
+        return node.matches(UNHASHED_SELECTOR) || ctx.excluded.includes(node) ? 2 : 3;
+      },
+    });
+    let text = '';
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+      if (node.nodeType === 3) text += node.data;
+    }
+    parts.push(text.replace(/\s+/g, ' ').trim());
+  });
+  scopes.forEach((el) => {
+    el.querySelectorAll(FORM_CONTROL_SELECTOR).forEach((control) => {
+      if (isPrintedNode(ctx, control)) parts.push(describeControlValue(control, ctx.locale));
+    });
+  });
+  return parts.join('\n');
+}
+
+// 注入打印编号与二维码标记
+// 参数：ctx - 打印会话上下文；printId - 打印编号；payload - 二维码内容
+// 作用：标记与样式登记到打印状态事务，打印后移除；二维码生成失败（内容过长）时只显示编号
+export function injectAuditStamp(ctx, printId, payload) {
+  log('injectAuditStamp:start', { printId });
+  const doc = ctx.doc;
+  const style = doc.createElement('style');
+  style.setAttribute('data-print-audit', '');
+  style.textContent = STAMP_CSS;
+  doc.head.appendChild(ctx.tx.track(style));
+  const stamp = doc.createElement('div');
+  stamp.className = 'print-audit-stamp';
+  stamp.setAttribute('data-print-id', printId);
+  try {
+    stamp.appendChild(createQrSvg(doc, payload, { title: formatMessage(ctx.locale, 'audit.printId', { printId }) }));
+  } catch (e) {
+    log('injectAuditStamp:error', e && e.message);
+  }
+  const label = doc.createElement('span');
+  label.textContent = printId;
+  stamp.appendChild(label);
+  doc.body.appendChild(ctx.tx.track(stamp));
+  log('injectAuditStamp:done', { printId });
+  return stamp;
+}
+
+// 打印审计阶段
+// 参数（opts）：user、recordId - 值或 (ctx) => value；link - 二维码内容模板（{printId}，默认 'printkit:audit:{printId}'）；
+// sinks - 审计输出数组（默认控制台，见 audit.js）；stamp - 是否在每页右下角印二维码与编号（默认 true）
+// 作用：内容就绪后（快照、宽表、分页之后，页眉页脚与水印之前）生成打印编号（页眉页脚字段 {printId}、水印随之显示）、
+// 内容摘要与估算页数；真正打印（print:ready 之后）或导出时，清理阶段将审计记录写入各输出，预览不记录；
+// Ctrl+P 同步准备时异步阶段（如子页面快照）晚于本阶段完成，清理时（异步阶段完成后）重新计算内容摘要与页数
+export const auditStage = {
+  name: 'audit',
+  order: 420,
+  async prepare(ctx, opts) {
+    const state = ctx.state.audit;
+    const printId = createPrintId();
+    state.printId = printId;
+    if (opts.stamp !== false) {
+      const link = resolveOption(ctx, opts.link) || DEFAULT_AUDIT_LINK;
+      injectAuditStamp(ctx, printId, link.replace(/\{printId\}/g, printId));
+    }
+    const preparedAt = new Date().toISOString();
+    const pages = estimatePageCount(ctx.doc, ctx.page);
+    const { algorithm, hash } = await hashTextAsync(collectPrintableText(ctx));
+    state.entry = {
+      id: printId,
+      user: resolveOption(ctx, opts.user) || '',
+      recordId: resolveOption(ctx, opts.recordId) ?? null,
+      title: ctx.doc.title,
+      tabs: ctx.tabs,
+      profile: ctx.options.profile || null,
+      page: { size: ctx.page.size, orientation: ctx.page.orientation },
+      pages,
+      hash,
+      hashAlgorithm: algorithm,
+      url: ctx.doc.location ? ctx.doc.location.href : '',
+      preparedAt,
+    };
+  },
+  async cleanup(ctx, opts) {
+    const entry = ctx.state.audit && ctx.state.audit.entry;
+    const action = ctx.auditAction || (ctx.printing ? 'print' : null);
+    if (!entry || !action) return;
+    if (ctx.sync) {
+      const { algorithm, hash } = await hashTextAsync(collectPrintableText(ctx));
+      Object.assign(entry, { pages: estimatePageCount(ctx.doc, ctx.page), hash, hashAlgorithm: algorithm });
+    }
+    await writeAuditEntryAsync(opts.sinks || [createConsoleSink()], { ...entry, action, completedAt: new Date().toISOString() });
+  },
+};
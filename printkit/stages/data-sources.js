@@ -0,0 +1,163 @@
+import { log } from '../log.js';
+import { formatMessage, formatNumber } from '../i18n.js';
+
+// 默认每个数据源最多打印的行数
+export const DEFAULT_MAX_ROWS = 2000;
+
+// 默认单次加载（一页）的超时（毫秒）
+export const DEFAULT_PAGE_TIMEOUT = 10000;
+
+// 加载进度提示样式（只在屏幕显示）
+const PROGRESS_CSS = `
+.print-progress { position: fixed; right: 16px; bottom: 16px; z-index: 10000; padding: 8px 12px; border-radius: 6px; background: #111827; color: #fff; font-size: 13px; box-shadow: 0 4px 12px rgba(0, 0, 0, 0.2); }
+.print-data-capped { margin: 8px 0; color: #b45309; font-size: 12px; }
+@media print { .print-progress { display: none !important; } }
+`;
+
+// 解析数据源的列表容器
+// 参数：ctx - 打印会话上下文；source - 数据源
+// 返回：source.target 指定的元素（选择器或元素），找不到时为 null
+function resolveTarget(ctx, source) {
+  if (typeof source.target === 'string') return ctx.root.querySelector(source.target);
+  return source.target || null;
+}
+
+// 单页加载超时的标记
+const TIMED_OUT = Symbol('timed-out');
+
+// 在超时内等待一次加载
+// 参数：task - loadMore 返回的 Promise；timeout - 超时（毫秒）
+// 返回：loadMore 的结果；超时返回 TIMED_OUT（加载本身不会停止，由调用方中止 signal）
+async function withTimeout(task, timeout) {
+  let timer = null;
+  const expired = new Promise((resolve) => { timer = setTimeout(() => resolve(TIMED_OUT), timeout); });
+  try {
+    return await Promise.race([task, expired]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// 创建加载进度提示
+// 参数：ctx - 打印会话上下文
+// 返回：{ update(text), remove() }；提示元素与样式登记到打印状态事务
+export function showPrintProgress(ctx) {
+  const style = ctx.doc.createElement('style');
+  style.setAttribute('data-print-progress', '');
+  style.textContent = PROGRESS_CSS;
+  ctx.doc.head.appendChild(ctx.tx.track(style));
+  const el = ctx.doc.createElement('div');
+  el.className = 'print-progress';
+  el.setAttribute('role', 'status');
+  el.setAttribute('aria-live', 'polite');
+  ctx.doc.body.appendChild(ctx.tx.track(el));
+  return {
+    update(text) { el.textContent = text; },
+    remove() { el.remove(); },
+  };
+}
+
+// 加载数据源的全部数据（异步）
+// 参数：ctx - 打印会话上下文；source - 数据源适配器；options - { maxRows, timeout, onProgress(loaded, total) }
+// 返回：{ name, loaded, total, capped, timedOut, stalled }；timedOut 为单页加载超时，stalled 为 loadMore 报告仍有数据但行数未增加
+// 作用：先调用 expand 取消虚拟化（渲染全部已有数据），再循环调用 loadMore 拉取并渲染剩余分页，
+// 直到没有更多数据、达到行数上限、单页超时或一页未增加行数（避免适配器持续返回 true 时无限循环）；
+// expand 与 loadMore 收到 { limit（剩余可打印行数）, signal（AbortSignal）}，单页超时或打印结束时 signal 中止，适配器收到后不得再渲染；
+// restore 登记到打印状态事务，打印后列表恢复原状（仍有未结束的加载时，等其结束后再恢复，避免恢复后又渲染出多余的行）
+export async function loadDataSourceAsync(ctx, source, options = {}) {
+  const name = source.name || 'source';
+  log('loadDataSourceAsync:start', { name });
+  const maxRows = source.maxRows || options.maxRows || DEFAULT_MAX_ROWS;
+  const timeout = options.timeout || DEFAULT_PAGE_TIMEOUT;
+  const controller = new AbortController();
+  let running = null;
+  const total = () => (typeof source.total === 'function' ? source.total() : null);
+  const progress = () => {
+    if (options.onProgress) options.onProgress(source.count(), total());
+  };
+  // 记录进行中的加载，供恢复时等待
+  const track = (fn) => {
+    running = Promise.resolve().then(fn);
+    running.catch(() => {});
+    return running;
+  };
+  ctx.tx.onRollback(() => {
+    controller.abort();
+    if (typeof source.restore !== 'function') return;
+    if (!running) source.restore();
+    else running.then(() => source.restore(), () => source.restore());
+  });
+  if (typeof source.expand === 'function') await track(() => source.expand(ctx, { limit: maxRows, signal: controller.signal }));
+  progress();
+  let more = typeof source.loadMore === 'function';
+  let timedOut = false;
+  let stalled = false;
+  while (more && source.count() < maxRows) {
+    const before = source.count();
+    const result = await withTimeout(track(() => source.loadMore(ctx, { limit: maxRows - before, signal: controller.signal })), timeout);
+    timedOut = result === TIMED_OUT;
+    if (timedOut) controller.abort();
+    more = !timedOut && !!result;
+    progress();
+    if (more && source.count() <= before) {
+      stalled = true;
+      break;
+    }
+  }
+  const loaded = source.count();
+  const capped = loaded >= maxRows && (more || (total() !== null && total() > loaded));
+  log('loadDataSourceAsync:done', { name, loaded, total: total(), capped, timedOut, stalled });
+  return { name, loaded, total: total(), capped, timedOut, stalled };
+}
+
+// 插入数据未打印完整的提示
+// 参数：ctx - 打印会话上下文；target - 列表容器；result - loadDataSourceAsync 的结果
+// 作用：达到行数上限时注明上限，加载超时或中断时注明数据未加载完整；已知总数时注明未打印的行数
+function insertCappedNote(ctx, target, result) {
+  const note = ctx.doc.createElement('p');
+  note.className = 'print-data-capped';
+  const loaded = formatNumber(result.loaded, ctx.locale);
+  const key = result.capped ? 'dataSources.truncated' : 'dataSources.incomplete';
+  const rest = result.total !== null && result.total > result.loaded ? formatNumber(result.total - result.loaded, ctx.locale) : null;
+  note.textContent = rest !== null ? formatMessage(ctx.locale, `${key}Count`, { loaded, rest }) : formatMessage(ctx.locale, key, { loaded });
+  const host = target.tagName === 'TBODY' || target.tagName === 'TABLE' ? (target.closest('.print-hscroll') || target.closest('table')) : target;
+  host.after(ctx.tx.track(note));
+}
+
+// 数据源阶段
+// 参数（opts）：sources - 数据源适配器数组 [{ name, label?（文本或 (ctx) => 文本，按 ctx.locale 生成）, target, count(), total?(), loadMore?(ctx, { limit, signal }), expand?(ctx, { limit, signal }), restore?(), maxRows? }]，
+// signal 中止（单页超时或打印结束）后适配器不得再渲染行；
+// maxRows - 每个数据源最多打印的行数（默认 2000）；timeout - 单页加载超时（毫秒，默认 10000）
+// 作用：页签展开后、选择打印与快照、宽表处理前，为打印范围内的无限滚动、分页或虚拟化列表加载并渲染全部数据，屏幕右下角显示加载进度；
+// 达到上限、加载超时或中断时在列表后注明数据未打印完整；打印后调用 restore 使列表回到虚拟化状态
+export const dataSourcesStage = {
+  name: 'data-sources',
+  order: 55,
+  async prepare(ctx, opts) {
+    const state = Object.assign(ctx.state['data-sources'], { results: [] });
+    const sources = (opts.sources || []).filter((source) => {
+      const target = resolveTarget(ctx, source);
+      return target && ctx.inScope(target) && typeof source.count === 'function';
+    });
+    if (!sources.length) return;
+    const indicator = showPrintProgress(ctx);
+    for (const source of sources) {
+      try {
+        const label = (typeof source.label === 'function' ? source.label(ctx) : source.label) || source.name || '';
+        const result = await loadDataSourceAsync(ctx, source, {
+          maxRows: opts.maxRows,
+          timeout: opts.timeout,
+          onProgress: (loaded, total) => {
+            const progress = formatNumber(loaded, ctx.locale) + (total !== null ? ` / ${formatNumber(total, ctx.locale)}` : '');
+            indicator.update(formatMessage(ctx.locale, 'dataSources.loading', { label, progress }));
+          },
+        });
+        state.results.push(result);
+        if (result.capped || result.timedOut || result.stalled) insertCappedNote(ctx, resolveTarget(ctx, source), result);
+      } catch (e) {
+        log('dataSourcesStage:error', { name: source.name, message: e && e.message });
+      }
+    }
+    indicator.remove();
+  },
+};
@@ -0,0 +1,216 @@
+import { log } from '../log.js';
+import { DEFAULT_LOCALE, formatList, formatMessage } from '../i18n.js';
+
+// 需要固化状态的表单控件
+export const FORM_CONTROL_SELECTOR = 'input, select, textarea, output, [contenteditable]:not([contenteditable="false"])';
+
+// 不参与固化的 input 类型（按钮类控件本身即为静态内容）
+const SKIPPED_INPUT_TYPES = ['button', 'submit', 'reset', 'image', 'hidden'];
+
+// 计算元素相对根节点的结构路径
+// 参数：el - 目标元素；root - 根节点（元素、文档、影子根或文档片段）
+// 返回：如 'DIV:0/FORM:2/INPUT:1'，每段为标签名与其在父节点元素子节点中的序号；el 不在 root 内时返回 null
+export function getStructuralPath(el, root) {
+  const steps = [];
+  let node = el;
+  while (node && node !== root) {
+    const parent = node.parentNode;
+    if (!parent) return null;
+    steps.unshift(`${node.tagName}:${Array.prototype.indexOf.call(parent.children, node)}`);
+    node = parent;
+  }
+  return node === root ? steps.join('/') : null;
+}
+
+// 按结构路径查找元素
+// 参数：root - 根节点；path - getStructuralPath 的返回值
+// 返回：路径上每一段标签名都一致时返回对应元素，否则为 null（克隆结构与原始结构不一致）
+export function resolveStructuralPath(root, path) {
+  if (path === null || path === undefined) return null;
+  if (path === '') return root;
+  let node = root;
+  for (const step of path.split('/')) {
+    const sep = step.lastIndexOf(':');
+    const tag = step.slice(0, sep);
+    const child = node.children[Number(step.slice(sep + 1))];
+    if (!child || child.tagName !== tag) return null;
+    node = child;
+  }
+  return node;
+}
+
+// 判断控件类型
+// 参数：el - 表单控件
+// 返回：'checkbox' | 'radio' | 'file' | 'password' | 'color' | 'select' | 'textarea' | 'output' | 'editable' | 'value' | null（跳过）
+function controlKind(el) {
+  if (el.tagName === 'SELECT') return 'select';
+  if (el.tagName === 'TEXTAREA') return 'textarea';
+  if (el.tagName === 'OUTPUT') return 'output';
+  if (el.tagName !== 'INPUT') return 'editable';
+  const type = (el.getAttribute('type') || 'text').toLowerCase();
+  if (SKIPPED_INPUT_TYPES.includes(type)) return null;
+  if (['checkbox', 'radio', 'file', 'password', 'color'].includes(type)) return type;
+  // text/search/email/tel/url/number/range/date/datetime-local/month/week/time 等均以 value 表示
+  return 'value';
+}
+
+// 读取控件的文件名列表
+function fileNames(el) {
+  return Array.from(el.files || []).map((f) => f.name);
+}
+
+// 生成控件的静态文本
+// 参数：el - 原始控件；locale - 打印语言（决定多选与文件名的分隔符及“未选择文件”的文字）
+// 返回：打印时替代控件显示的文本
+export function describeControlValue(el, locale = DEFAULT_LOCALE) {
+  switch (controlKind(el)) {
+    case 'checkbox': return el.checked ? '☑' : '☐';
+    case 'radio': return el.checked ? '◉' : '○';
+    case 'file': return formatList(fileNames(el), locale) || formatMessage(locale, 'form.noFile');
+    case 'password': return el.value ? '••••••' : '';
+    case 'select': return formatList(Array.from(el.options).filter((o) => o.selected).map((o) => o.textContent.trim()), locale);
+    case 'output': return el.value;
+    case 'editable': return el.textContent;
+    default: return el.value;
+  }
+}
+
+// 创建控件的静态替代元素
+// 参数：doc - 目标文档；orig - 原始控件；clone - 克隆控件（提供 id/class，便于页面样式与脱敏规则继续生效）；locale - 打印语言
+// 返回：span.print-static-value；颜色控件附带色块，多行文本保留换行
+export function createStaticValue(doc, orig, clone = orig, locale = DEFAULT_LOCALE) {
+  const kind = controlKind(orig);
+  const span = doc.createElement('span');
+  if (clone.id) span.id = clone.id;
+  span.className = `${clone.getAttribute('class') || ''} print-static-value`.trim();
+  span.setAttribute('data-print-control', kind);
+  if (kind === 'color') {
+    const swatch = doc.createElement('span');
+    swatch.className = 'print-static-swatch';
+    swatch.style.cssText = `display:inline-block;width:1em;height:1em;vertical-align:middle;margin-right:4px;border:1px solid #d1d5db;background:${orig.value};`;
+    span.appendChild(swatch);
+  }
+  if (kind === 'textarea') span.style.whiteSpace = 'pre-wrap';
+  span.appendChild(doc.createTextNode(describeControlValue(orig, locale)));
+  return span;
+}
+
+// 将原始控件状态写入克隆控件
+// 参数：o - 原始控件；c - 克隆控件；kind - 控件类型；locale - 打印语言
+function applyControlState(o, c, kind, locale) {
+  switch (kind) {
+    case 'checkbox':
+    case 'radio':
+      c.checked = o.checked;
+      if (o.checked) c.setAttribute('checked', ''); else c.removeAttribute('checked');
+      break;
+    case 'password':
+      // 不将密码写入快照或导出文件
+      c.removeAttribute('value');
+      break;
+    case 'file':
+      // 文件控件无法赋值，记录文件名供打印样式或静态文本使用
+      c.setAttribute('data-print-files', formatList(fileNames(o), locale));
+      c.title = describeControlValue(o, locale);
+      break;
+    case 'select':
+      Array.from(c.options).forEach((opt, idx) => {
+        const selected = !!(o.options[idx] && o.options[idx].selected);
+        opt.selected = selected;
+        if (selected) opt.setAttribute('selected', ''); else opt.removeAttribute('selected');
+      });
+      break;
+    case 'textarea':
+      c.value = o.value;
+      c.textContent = o.value;
+      break;
+    case 'output':
+      c.textContent = o.value;
+      break;
+    case 'editable':
+      // 可编辑区域的编辑结果直接体现在 DOM 中，克隆时已复制
+      break;
+    default:
+      c.value = o.value;
+      c.setAttribute('value', o.value);
+  }
+}
+
+// 规范化根节点
+// 说明：兼容旧调用方式 (document, body 克隆)：原始根为文档时，按克隆根的标签选择 documentElement 或 body
+function normalizeRoots(origRoot, clonedRoot) {
+  if (origRoot.nodeType !== 9) return [origRoot, clonedRoot];
+  if (clonedRoot.nodeType === 9) return [origRoot.documentElement, clonedRoot.documentElement];
+  return [clonedRoot.tagName === 'HTML' ? origRoot.documentElement : origRoot.body, clonedRoot];
+}
+
+// 固化表单状态到克隆节点
+// 参数：origRoot - 原始根节点（元素、文档或影子根）；clonedRoot - 其克隆；
+// options - { staticText: 是否替换为静态只读文本, locale: 打印语言（静态文本的分隔符与提示文字）}
+// 返回：{ matched, missing }；missing 为克隆中找不到对应位置的控件数量
+// 作用：按结构路径（标签名 + 序号）而非全局索引配对原始与克隆控件，克隆中控件数量不同也不会错位；覆盖
+// 多选下拉、可编辑区域、日期/范围/颜色/文件输入与 <output>。staticText 为 true 时控件替换为 span.print-static-value，
+// 打印输出更整洁。先完成全部配对再修改结构，避免替换影响后续路径解析。
+export function materializeFormState(origRoot, clonedRoot, options = {}) {
+  log('materializeFormState:start', { staticText: !!options.staticText });
+  const [orig, clone] = normalizeRoots(origRoot, clonedRoot);
+  const pairs = [];
+  let missing = 0;
+  orig.querySelectorAll(FORM_CONTROL_SELECTOR).forEach((o) => {
+    const kind = controlKind(o);
+    if (!kind) return;
+    const c = resolveStructuralPath(clone, getStructuralPath(o, orig));
+    if (c) pairs.push({ o, c, kind });
+    else missing += 1;
+  });
+  const doc = clone.ownerDocument || clone;
+  pairs.forEach(({ o, c, kind }) => {
+    try {
+      applyControlState(o, c, kind, options.locale);
+      if (!options.staticText) return;
+      if (kind === 'editable') c.removeAttribute('contenteditable');
+      else if (kind !== 'output') c.replaceWith(createStaticValue(doc, o, c, options.locale));
+    } catch (e) {
+      log('materializeFormState:error', e && e.message);
+    }
+  });
+  log('materializeFormState:done', { matched: pairs.length, missing });
+  return { matched: pairs.length, missing };
+}
+
+// 静态表单文本的显示规则：屏幕上隐藏生成的文本，打印时隐藏原控件
+const STATIC_FORM_CSS = `
+@media screen { .print-static-value[data-print-generated] { display: none !important; } }
+@media print { .print-static-control { display: none !important; } }
+`;
+
+// 表单状态阶段
+// 参数（opts）：static - 是否在打印时以静态只读文本替代页面中的表单控件（默认 false）
+// 作用：页面本身打印时浏览器会显示控件的实时值；开启 static 后在打印范围内的控件（如 #notes-form）后插入静态文本，
+// 通过打印样式隐藏原控件，屏幕显示不受影响；打印后移除。快照与导出中的克隆由 materializeFormState 处理
+// （导出读取 state.static 决定是否静态化）。
+export const formStateStage = {
+  name: 'form-state',
+  order: 250,
+  prepare(ctx, opts) {
+    const state = Object.assign(ctx.state['form-state'], { static: !!opts.static, controls: [] });
+    if (!state.static) return;
+    const containers = ctx.cloneContainers();
+    const style = ctx.doc.createElement('style');
+    style.setAttribute('data-print-static-forms', '');
+    style.textContent = STATIC_FORM_CSS;
+    ctx.doc.head.appendChild(ctx.tx.track(style));
+    ctx.root.querySelectorAll(FORM_CONTROL_SELECTOR).forEach((el) => {
+      const kind = controlKind(el);
+      if (!kind || kind === 'output' || kind === 'editable') return;
+      if (!ctx.inScope(el) || containers.some((c) => c.contains(el))) return;
+      const span = createStaticValue(ctx.doc, el, el, ctx.locale);
+      span.removeAttribute('id');
+      span.setAttribute('data-print-generated', '1');
+      el.after(ctx.tx.track(span));
+      ctx.tx.addClass(el, 'print-static-control');
+      state.controls.push(el);
+    });
+    log('formStateStage:static', { controls: state.controls.length });
+  },
+};
@@ -0,0 +1,160 @@
+import { log } from '../log.js';
+import { getTabLabel } from './panels.js';
+import { DEFAULT_LOCALE, formatDateTime, formatFieldValue, formatMessage } from '../i18n.js';
+
+// 按语言生成页眉页脚默认模板（{字段} 为占位符；{page}/{pages} 为当前页码/总页数）
+// 参数：locale - 语言标签
+export function getDefaultHeaderFooter(locale = DEFAULT_LOCALE) {
+  return {
+    header: { left: '{company}', center: '{record}', right: '{tab}' },
+    footer: { left: formatMessage(locale, 'headerFooter.printedBy'), center: formatMessage(locale, 'headerFooter.pageOf'), right: '{timestamp}' },
+  };
+}
+
+// 页眉页脚默认模板（默认语言）
+export const DEFAULT_HEADER_FOOTER = getDefaultHeaderFooter();
+
+// 页面边距盒位置
+const POSITIONS = ['left', 'center', 'right'];
+
+// 解析模板字段
+// 参数：ctx - 打印会话上下文；fields - 调用方提供的字段（值或 (ctx) => value）
+// 返回：字段名到字符串的映射（page/pages 由打印引擎填充，不在此处；printId 为审计阶段生成的打印编号）；
+// 字段值按打印语言格式化：Date 为日期时间，数字为本地数字格式，{ amount, currency? } 为金额（默认币种为 ctx.currency 或语言的默认币种）
+export function resolveTemplateFields(ctx, fields = {}) {
+  const base = {
+    company: '',
+    record: ctx.doc.title,
+    tab: ctx.activeTab ? getTabLabel(ctx.root, ctx.activeTab) : '',
+    user: '',
+    timestamp: formatDateTime(new Date(), ctx.locale),
+    printId: (ctx.state.audit && ctx.state.audit.printId) || '',
+  };
+  const out = { ...base };
+  Object.keys(fields).forEach((key) => {
+    const v = fields[key];
+    out[key] = typeof v === 'function' ? v(ctx) : v;
+  });
+  Object.keys(out).forEach((key) => { out[key] = formatFieldValue(out[key], ctx.locale, ctx.currency); });
+  return out;
+}
+
+// 解析模板行
+// 参数：ctx - 打印会话上下文；row - { left, center, right }，各位置为模板或 (ctx) => 模板（按打印语言选择文字）
+// 返回：各位置均为字符串模板的行
+function resolveTemplateRow(ctx, row) {
+  const out = {};
+  Object.keys(row).forEach((pos) => {
+    const v = row[pos];
+    out[pos] = typeof v === 'function' ? v(ctx) : v;
+  });
+  return out;
+}
+
+// 填充文本模板
+// 参数：template - 含 {字段} 的模板；fields - 字段映射；pageText - {page}/{pages} 的替换文本（默认空串）
+// 返回：填充后的文本；未知字段替换为空串
+export function renderTemplate(template, fields, pageText = {}) {
+  return String(template || '').replace(/\{(\w+)\}/g, (_, key) => {
+    if (key === 'page' || key === 'pages') return pageText[key] || '';
+    return fields[key] !== undefined ? fields[key] : '';
+  });
+}
+
+// 转义 CSS 字符串
+function cssString(text) {
+  return `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\A ')}"`;
+}
+
+// 将模板转换为 CSS content 值
+// 参数：template - 含 {字段} 的模板；fields - 字段映射
+// 返回：如 "第 " counter(page) " 页"；空模板返回 null
+export function templateToCssContent(template, fields) {
+  if (!template) return null;
+  const parts = [];
+  String(template).split(/(\{page\}|\{pages\})/).forEach((chunk) => {
+    if (chunk === '{page}') parts.push('counter(page)');
+    else if (chunk === '{pages}') parts.push('counter(pages)');
+    else if (chunk) parts.push(cssString(renderTemplate(chunk, fields)));
+  });
+  return parts.length ? parts.join(' ') : null;
+}
+
+// 生成页面边距盒规则
+// 参数：selector - @page 选择器（如 '' 或命名页 'print-panel-1'）；templates - { header, footer }；fields - 字段映射
+// 返回：@page 规则文本，使用 @top-*/@bottom-* 边距盒承载页眉页脚
+export function buildMarginBoxRule(selector, templates, fields) {
+  const boxes = [];
+  [['top', templates.header], ['bottom', templates.footer]].forEach(([edge, row]) => {
+    POSITIONS.forEach((pos) => {
+      const content = templateToCssContent(row && row[pos], fields);
+      if (!content) return;
+      boxes.push(`  @${edge}-${pos} { content: ${content}; font-size: 9pt; color: #6b7280; }`);
+    });
+  });
+  return `@page${selector ? ` ${selector}` : ''} {\n${boxes.join('\n')}\n}`;
+}
+
+// 创建固定定位的页眉或页脚（回退模式）
+// 参数：doc - 目标文档；className - 元素类名；row - { left, center, right } 模板；fields - 字段映射
+// 返回：插入 body 的元素；{page}/{pages} 无法在固定元素中逐页变化，替换为空串；逐页重复的内容对辅助技术隐藏
+function createRunningBlock(doc, className, row, fields) {
+  const el = doc.createElement('div');
+  el.className = className;
+  el.setAttribute('aria-hidden', 'true');
+  POSITIONS.forEach((pos) => {
+    const span = doc.createElement('span');
+    span.className = `print-running-${pos}`;
+    span.textContent = renderTemplate(row && row[pos], fields);
+    el.appendChild(span);
+  });
+  doc.body.appendChild(el);
+  return el;
+}
+
+// 应用页眉页脚
+// 参数：ctx - 打印会话上下文；opts - 阶段参数；state - 本阶段状态
+// 作用：margin-box 模式下注入 @page 边距盒规则（支持页码与总页数），多页签打印时为每个面板使用命名页，
+// 使 {tab} 随面板变化；fixed 模式下插入固定定位的页眉页脚元素，兼容不支持页面边距盒的浏览器
+export function applyHeaderFooter(ctx, opts, state) {
+  log('applyHeaderFooter:start', { mode: opts.mode || 'margin-box' });
+  const defaults = getDefaultHeaderFooter(ctx.locale);
+  const templates = {
+    header: resolveTemplateRow(ctx, { ...defaults.header, ...(opts.header || {}) }),
+    footer: resolveTemplateRow(ctx, { ...defaults.footer, ...(opts.footer || {}) }),
+  };
+  const fields = resolveTemplateFields(ctx, opts.fields);
+  // 记录解析结果，供应用内预览逐页渲染页眉页脚
+  Object.assign(state, { templates, fields });
+  if (opts.mode === 'fixed') {
+    ctx.tx.track(createRunningBlock(ctx.doc, 'print-running-header', templates.header, fields));
+    ctx.tx.track(createRunningBlock(ctx.doc, 'print-running-footer', templates.footer, fields));
+    log('applyHeaderFooter:done', { mode: 'fixed' });
+    return;
+  }
+  const rules = [buildMarginBoxRule('', templates, fields)];
+  if (ctx.panels.length > 1) {
+    ctx.panels.forEach((panel, idx) => {
+      const name = `print-panel-${idx + 1}`;
+      rules.push(buildMarginBoxRule(name, templates, { ...fields, tab: getTabLabel(ctx.root, panel.id) }));
+      ctx.tx.setStyle(panel, 'page', name);
+    });
+  }
+  const style = ctx.doc.createElement('style');
+  style.setAttribute('data-print-header-footer', '');
+  style.textContent = rules.join('\n');
+  ctx.doc.head.appendChild(ctx.tx.track(style));
+  log('applyHeaderFooter:done', { mode: 'margin-box', rules: rules.length });
+}
+
+// 页眉页脚阶段
+// 参数（opts）：header/footer - { left, center, right } 模板或 (ctx) => 模板；fields - 字段值或 (ctx) => value；
+// mode - 'margin-box'（默认，@page 边距盒，支持页码）| 'fixed'（固定定位元素，无页码）
+// 作用：打印前按模板生成每页页眉页脚（含快照容器中的子页面段落），默认模板与时间戳随打印语言变化；打印后移除
+export const headerFooterStage = {
+  name: 'header-footer',
+  order: 450,
+  prepare(ctx, opts) {
+    applyHeaderFooter(ctx, opts, ctx.state['header-footer']);
+  },
+};
@@ -0,0 +1,114 @@
+import { log } from '../log.js';
+import { MESSAGE_TYPES, requestFrames } from '../protocol.js';
+import { createPrintTransaction } from '../transaction.js';
+import { getFrameMessages } from '../i18n.js';
+
+// 未传入打印状态事务时（页面直接调用）使用的独立事务，按查询范围保存，供 restoreSubframeHeights 回滚
+const standalone = new WeakMap();
+
+// 向 iframe 发送打印生命周期请求并等待应答（异步）
+// 参数：root - 查询范围；type - 打印阶段类型（app-print-prep/app-print-clean）；
+// options - { timeout, allowedOrigins, payload, inScope（判断 iframe 是否在打印范围内，缺省为全部）}
+// 返回：每个 iframe 的应答结果数组
+// 作用：通过版本化协议通知打印范围内的子页面；对超时且同源、暴露了公开方法的旧版子页面回退为直接调用。
+// 不在打印范围内的子页面（未选中的页签、被排除的区域）既不收到请求，也不会被回退调用。
+export async function notifySubframes(root, type, options = {}) {
+  log('notifySubframes:start', { type });
+  const frames = Array.from(root.querySelectorAll('iframe')).filter(options.inScope || (() => true));
+  const results = await requestFrames(frames, type, options);
+  results.forEach((r) => {
+    if (r.ok || !r.timedOut) return;
+    try {
+      const cw = r.frame.contentWindow;
+      if (typeof cw.appBeforePrint === 'function' && type === MESSAGE_TYPES.PREP) cw.appBeforePrint(options.payload || {});
+      if (typeof cw.appAfterPrint === 'function' && type === MESSAGE_TYPES.CLEAN) cw.appAfterPrint();
+      log('notifySubframes:fallback', { id: r.frame.id || null, type });
+    } catch (e) {
+      // 跨域 iframe 不可访问：此处忽略，依赖其自身实现
+      log('notifySubframes:error', e && e.message);
+    }
+  });
+  log('notifySubframes:done');
+  return results;
+}
+
+// 调整子页面 iframe 高度以包含其完整文档内容
+// 参数：root - 查询范围；reported - 子页面应答中上报的内容高度（Map<iframe, number>）；
+// tx - 打印状态事务（缺省使用按 root 保存的独立事务，由 restoreSubframeHeights 恢复）；
+// inScope - 判断 iframe 是否在打印范围内（缺省为全部）
+// 作用：在打印前将 iframe 高度设置为其文档总高度，避免只打印视口区域；优先使用子页面上报的高度，
+// 同源时回退为直接测量，跨域且无上报时跳过；多次调整只记录最初的高度，打印后恢复原始高度
+export function adjustSubframeHeightsForPrint(root, reported = new Map(), tx = null, inScope = null) {
+  log('adjustSubframeHeightsForPrint:start');
+  if (!tx) {
+    if (!standalone.has(root)) standalone.set(root, createPrintTransaction());
+    tx = standalone.get(root);
+  }
+  const frames = Array.from(root.querySelectorAll('iframe')).filter(inScope || (() => true));
+  frames.forEach((f) => {
+    try {
+      let fullHeight = reported.get(f);
+      if (!fullHeight) {
+        const doc = f.contentWindow?.document;
+        if (!doc) return;
+        fullHeight = Math.max(doc.documentElement.scrollHeight, doc.body.scrollHeight);
+      }
+      tx.setStyle(f, 'height', `${fullHeight}px`);
+      // 若父容器可识别，亦展开
+      const wrap = f.parentElement;
+      if (wrap && wrap.classList.contains('iframe-wrap')) {
+        tx.setStyle(wrap, 'height', 'auto');
+        tx.setStyle(wrap, 'overflow', 'visible');
+      }
+      log('adjustSubframeHeightsForPrint:frame', { id: f.id || null, fullHeight, reported: reported.has(f) });
+    } catch (e) {
+      // 跨域 iframe：无法读取内容高度，跳过
+      log('adjustSubframeHeightsForPrint:error', e && e.message);
+    }
+  });
+  log('adjustSubframeHeightsForPrint:done');
+}
+
+// 恢复 iframe 到打印前的高度设置
+// 参数：root - 查询范围
+// 作用：回滚未传入事务时 adjustSubframeHeightsForPrint 对 iframe 及其父容器的改动，避免影响页面布局
+export function restoreSubframeHeights(root) {
+  log('restoreSubframeHeights:start');
+  const tx = standalone.get(root);
+  standalone.delete(root);
+  if (tx) tx.rollback();
+  log('restoreSubframeHeights:done');
+}
+
+// 汇总子页面上报的内容高度
+// 参数：results - notifySubframes 的结果数组
+// 返回：Map<iframe, number>
+function collectReportedHeights(results) {
+  const heights = new Map();
+  results.forEach((r) => {
+    const h = r.ok && r.reply && r.reply.payload && r.reply.payload.height;
+    if (h > 0) heights.set(r.frame, h);
+  });
+  return heights;
+}
+
+// iframe 展开阶段
+// 参数（opts）：timeout - 单帧等待应答的超时（毫秒，默认 3000）；allowedOrigins - 允许通信的子页面源列表（默认为各 iframe 自身的源）
+// 作用：打印前通知打印范围内的子页面并先按同源测量展开高度，待所有子页面就绪（或超时）后按上报高度再次展开；
+// 打印后通知子页面清理（高度改动登记到打印状态事务，在各阶段清理后恢复）
+export const iframeExpansionStage = {
+  name: 'iframe-expansion',
+  order: 100,
+  async prepare(ctx, opts) {
+    // 打印语言与已按语言解析的文本随请求传给子页面，子页面据此生成水印等文本
+    const pending = notifySubframes(ctx.root, MESSAGE_TYPES.PREP, { ...opts, inScope: ctx.inScope, payload: { locale: ctx.locale, messages: getFrameMessages(ctx.locale) } });
+    // 同步先行展开，保证 Ctrl+P 直接打印时也能生效
+    adjustSubframeHeightsForPrint(ctx.root, new Map(), ctx.tx, ctx.inScope);
+    const results = await pending;
+    ctx.state['iframe-expansion'].results = results;
+    adjustSubframeHeightsForPrint(ctx.root, collectReportedHeights(results), ctx.tx, ctx.inScope);
+  },
+  async cleanup(ctx, opts) {
+    await notifySubframes(ctx.root, MESSAGE_TYPES.CLEAN, { ...opts, inScope: ctx.inScope });
+  },
+};
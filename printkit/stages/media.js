@@ -0,0 +1,287 @@
+import { log } from '../log.js';
+
+// 单个资源的默认等待时间（毫秒）
+const DEFAULT_MEDIA_TIMEOUT = 3000;
+
+// 内联 SVG 符号的序号（页面内唯一，多个快照段落共存时避免 id 冲突）
+let svgSeq = 0;
+
+// 常见懒加载库使用的地址属性
+const LAZY_SRC_ATTRS = ['data-src', 'data-lazy-src', 'data-original'];
+
+// 带超时等待 Promise
+// 参数：promise - 等待的任务；timeout - 超时（毫秒）
+// 返回：任务结果；超时抛出 Error('timeout')
+function withTimeout(promise, timeout) {
+  let timer = null;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => { timer = setTimeout(() => reject(new Error('timeout')), timeout); }),
+  ]).finally(() => clearTimeout(timer));
+}
+
+// 等待图片加载并解码（异步）
+// 参数：img - 图片元素；timeout - 超时（毫秒）
+// 作用：优先使用 decode()；不支持时等待 load/error 事件；加载失败或超时抛出异常
+export async function decodeImageAsync(img, timeout = DEFAULT_MEDIA_TIMEOUT) {
+  if (img.complete && img.naturalWidth > 0) return;
+  const task = typeof img.decode === 'function'
+    ? img.decode()
+    : new Promise((resolve, reject) => {
+      img.addEventListener('load', resolve, { once: true });
+      img.addEventListener('error', () => reject(new Error('load-error')), { once: true });
+    });
+  await withTimeout(task, timeout);
+}
+
+// 强制加载懒加载图片（异步）
+// 参数：root - 查询范围；options - { timeout, failures, inScope, tx（打印状态事务，传入时属性改动登记到事务）}
+// 返回：被修改的图片及其原属性 [{ img, loading?, src? }]（只含被修改的属性，src 原先缺失时为 null），未传 tx 时由 restoreLazyImages 恢复
+// 作用：将 loading="lazy" 改为 eager，补齐懒加载库的 data-src 地址，并等待解码；失败的图片记入 failures
+export async function loadLazyImagesAsync(root, options = {}) {
+  log('loadLazyImagesAsync:start');
+  const failures = options.failures || [];
+  const inScope = options.inScope || (() => true);
+  const setAttribute = options.tx ? options.tx.setAttribute : (el, name, value) => el.setAttribute(name, value);
+  const changed = [];
+  const imgs = Array.from(root.querySelectorAll('img')).filter(inScope);
+  imgs.forEach((img) => {
+    const entry = { img };
+    if (img.getAttribute('loading') === 'lazy') {
+      entry.loading = 'lazy';
+      setAttribute(img, 'loading', 'eager');
+    }
+    const lazySrc = LAZY_SRC_ATTRS.map((a) => img.getAttribute(a)).find(Boolean);
+    if (lazySrc && !img.getAttribute('src')) {
+      entry.src = img.getAttribute('src');
+      setAttribute(img, 'src', lazySrc);
+    }
+    if (Object.keys(entry).length > 1) changed.push(entry);
+  });
+  await Promise.all(imgs.filter((img) => img.getAttribute('src') || img.getAttribute('srcset')).map(async (img) => {
+    try {
+      await decodeImageAsync(img, options.timeout);
+    } catch (e) {
+      failures.push({ kind: 'image', url: img.currentSrc || img.getAttribute('src'), reason: e && e.message });
+    }
+  }));
+  log('loadLazyImagesAsync:done', { images: imgs.length, lazy: changed.length });
+  return changed;
+}
+
+// 恢复懒加载图片的原属性
+// 参数：changed - loadLazyImagesAsync 的返回值（未传 tx 时）
+// 作用：恢复 loading 属性，移除补齐的 src（或恢复原值），使页面回到懒加载状态
+export function restoreLazyImages(changed) {
+  changed.forEach((entry) => {
+    if ('loading' in entry) entry.img.setAttribute('loading', entry.loading);
+    if ('src' in entry) {
+      if (entry.src === null) entry.img.removeAttribute('src');
+      else entry.img.setAttribute('src', entry.src);
+    }
+  });
+}
+
+// 截取视频当前帧
+// 参数：video - 视频元素
+// 返回：PNG data URI；视频尚无画面或画布被跨域内容污染时抛出异常
+export function captureVideoFrame(video) {
+  if (video.readyState < 2 || !video.videoWidth) throw new Error('no-frame');
+  const canvas = video.ownerDocument.createElement('canvas');
+  canvas.width = video.videoWidth;
+  canvas.height = video.videoHeight;
+  canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+  return canvas.toDataURL('image/png');
+}
+
+// 将克隆中的视频替换为图片
+// 参数：orig - 原始视频；clone - 克隆视频；failures - 失败记录
+// 作用：优先使用当前帧，其次使用 poster；二者皆无时保留原节点并记录失败
+function materializeVideo(orig, clone, failures) {
+  let src = '';
+  try {
+    src = captureVideoFrame(orig);
+  } catch (e) {
+    src = orig.poster || '';
+    if (!src) failures.push({ kind: 'video', url: orig.currentSrc || orig.getAttribute('src'), reason: e && e.message });
+  }
+  if (!src) return;
+  const img = clone.ownerDocument.createElement('img');
+  ['id', 'class', 'style', 'width', 'height', 'title'].forEach((name) => {
+    if (clone.hasAttribute(name)) img.setAttribute(name, clone.getAttribute(name));
+  });
+  img.src = src;
+  img.alt = orig.getAttribute('aria-label') || orig.getAttribute('title') || '';
+  img.style.maxWidth = '100%';
+  clone.replaceWith(img);
+}
+
+// 固定克隆图片的实际地址
+// 参数：orig - 原始图片；clone - 克隆图片
+// 作用：使用浏览器已选中的 currentSrc（转为绝对地址，克隆可能被放入其他文档）并移除 srcset/懒加载属性，
+// 避免快照或导出文件重新选择或延迟加载
+function materializeImage(orig, clone) {
+  const src = orig.currentSrc || orig.getAttribute('src') || LAZY_SRC_ATTRS.map((a) => orig.getAttribute(a)).find(Boolean);
+  if (src) clone.setAttribute('src', new URL(src, orig.baseURI).href);
+  clone.removeAttribute('srcset');
+  clone.removeAttribute('loading');
+}
+
+// 解析计算样式中的背景图地址
+// 参数：value - background-image 计算值
+// 返回：绝对地址数组（忽略渐变与 data URI 以外的非 url() 值）
+function parseBackgroundUrls(value) {
+  const urls = [];
+  const pattern = /url\(\s*(['"]?)([^'")]+)\1\s*\)/g;
+  let m;
+  while ((m = pattern.exec(value || ''))) urls.push(m[2]);
+  return urls;
+}
+
+// 预加载背景图（异步）
+// 参数：doc - 用于创建图片的文档；url - 图片地址；timeout - 超时
+async function preloadImageAsync(doc, url, timeout) {
+  const img = doc.createElement('img');
+  img.src = url;
+  await decodeImageAsync(img, timeout);
+}
+
+// 固化克隆中的背景图
+// 参数：orig - 原始元素；clone - 克隆元素；urls - 背景图地址集合（用于统一预加载）
+// 作用：将计算得到的背景图（含懒加载库的 data-bg）写入克隆的行内样式，并要求打印时保留背景
+function materializeBackground(orig, clone, urls) {
+  const view = orig.ownerDocument.defaultView;
+  const lazyBg = orig.getAttribute('data-bg') || orig.getAttribute('data-background-image');
+  const value = lazyBg ? `url("${new URL(lazyBg, orig.baseURI).href}")` : view.getComputedStyle(orig).backgroundImage;
+  const found = parseBackgroundUrls(value);
+  if (!found.length) return;
+  found.forEach((u) => urls.add(u));
+  clone.style.backgroundImage = value;
+  clone.style.setProperty('print-color-adjust', 'exact');
+  clone.style.setProperty('-webkit-print-color-adjust', 'exact');
+}
+
+// 收集 SVG <use> 引用的地址
+function getUseHref(use) {
+  return use.getAttribute('href') || use.getAttribute('xlink:href') || '';
+}
+
+// 内联 SVG <use> 引用的符号（异步）
+// 参数：origRoot - 原始根节点；clonedRoot - 克隆根节点；failures - 失败记录
+// 作用：外部精灵图（sprite.svg#icon）与克隆范围外的内部符号复制到克隆末尾的隐藏 <svg> 中，并改写 <use> 引用；
+// 外部文件需同源或允许 CORS
+export async function inlineSvgUsesAsync(origRoot, clonedRoot, failures = []) {
+  log('inlineSvgUsesAsync:start');
+  const doc = clonedRoot.ownerDocument;
+  const origDoc = origRoot.nodeType === 9 ? origRoot : origRoot.ownerDocument;
+  const uses = Array.from(clonedRoot.querySelectorAll('use')).filter((u) => getUseHref(u));
+  const sprites = new Map();
+  const inlined = new Map();
+  let defs = null;
+  for (const use of uses) {
+    const href = getUseHref(use);
+    const hash = href.indexOf('#');
+    if (hash < 0) continue;
+    const file = href.slice(0, hash);
+    const id = href.slice(hash + 1);
+    if (!file && clonedRoot.querySelector(`[id="${id.replace(/["\\]/g, '\\$&')}"]`)) continue;
+    try {
+      if (!inlined.has(href)) {
+        let source = null;
+        if (file) {
+          const url = new URL(file, origDoc.baseURI).href;
+          if (!sprites.has(url)) {
+            sprites.set(url, fetch(url).then((res) => {
+              if (!res.ok) throw new Error(`HTTP ${res.status}`);
+              return res.text();
+            }).then((text) => new DOMParser().parseFromString(text, 'image/svg+xml')));
+          }
+          source = (await sprites.get(url)).getElementById(id);
+        } else {
+          source = origDoc.getElementById(id);
+        }
+        if (!source) throw new Error('symbol-not-found');
+        if (!defs) {
+          defs = doc.createElementNS('http://www.w3.org/2000/svg', 'svg');
+          defs.setAttribute('data-print-svg-defs', '');
+          defs.setAttribute('aria-hidden', 'true');
+          defs.setAttribute('style', 'position:absolute;width:0;height:0;overflow:hidden');
+          const body = clonedRoot.querySelector('body') || clonedRoot;
+          body.appendChild(defs);
+        }
+        svgSeq += 1;
+        const copy = doc.importNode(source, true);
+        copy.id = `print-svg-${svgSeq}`;
+        defs.appendChild(copy);
+        inlined.set(href, copy.id);
+      }
+      use.setAttribute('href', `#${inlined.get(href)}`);
+      use.removeAttribute('xlink:href');
+    } catch (e) {
+      failures.push({ kind: 'svg', url: href, reason: e && e.message });
+    }
+  }
+  log('inlineSvgUsesAsync:done', { uses: uses.length, inlined: inlined.size });
+}
+
+// 固化媒体资源到克隆节点（异步）
+// 参数：origRoot - 原始根节点（文档或元素）；clonedRoot - 由 cloneNode(true) 得到的克隆；
+// options - { timeout, tx（打印状态事务，传入时原始节点的属性改动登记到事务，打印后回滚；否则克隆完成后立即恢复）}
+// 返回：失败资源列表 [{ kind: 'image'|'video'|'background'|'svg', url, reason }]
+// 作用：与 materializeFormValues 配套，在克隆后、画布转换与影子树展开前调用：强制加载懒加载图片并等待解码、
+// 固定图片实际地址，视频替换为当前帧（或 poster），背景图写入行内样式并预加载，内联 SVG <use> 引用的符号
+export async function materializeMediaAsync(origRoot, clonedRoot, options = {}) {
+  log('materializeMediaAsync:start');
+  const failures = [];
+  const timeout = options.timeout || DEFAULT_MEDIA_TIMEOUT;
+  const orig = origRoot.nodeType === 9 ? origRoot.documentElement : origRoot;
+  const clone = clonedRoot.nodeType === 9 ? clonedRoot.documentElement : clonedRoot;
+  const changed = await loadLazyImagesAsync(orig, { timeout, failures, tx: options.tx });
+
+  // 先按索引配对，再修改结构（视频替换会改变后代数量）
+  const origAll = [orig, ...orig.querySelectorAll('*')];
+  const cloneAll = [clone, ...clone.querySelectorAll('*')];
+  const n = Math.min(origAll.length, cloneAll.length);
+  const backgrounds = new Set();
+  const videos = [];
+  for (let i = 0; i < n; i++) {
+    const o = origAll[i];
+    const c = cloneAll[i];
+    if (o.tagName !== c.tagName) continue;
+    try {
+      if (o.tagName === 'IMG') materializeImage(o, c);
+      else if (o.tagName === 'VIDEO') videos.push([o, c]);
+      materializeBackground(o, c, backgrounds);
+    } catch (e) {
+      log('materializeMediaAsync:error', e && e.message);
+    }
+  }
+  videos.forEach(([o, c]) => materializeVideo(o, c, failures));
+  const doc = orig.ownerDocument;
+  await Promise.all(Array.from(backgrounds).map(async (url) => {
+    try {
+      await preloadImageAsync(doc, new URL(url, doc.baseURI).href, timeout);
+    } catch (e) {
+      failures.push({ kind: 'background', url, reason: e && e.message });
+    }
+  }));
+  await inlineSvgUsesAsync(origRoot, clone, failures);
+  if (!options.tx) restoreLazyImages(changed);
+  if (failures.length) log('materializeMediaAsync:failures', failures);
+  log('materializeMediaAsync:done', { videos: videos.length, backgrounds: backgrounds.size, failures: failures.length });
+  return failures;
+}
+
+// 媒体阶段
+// 参数（opts）：timeout - 单个资源的等待时间（毫秒，默认 3000）
+// 作用：打印前强制加载打印范围内的懒加载图片并等待解码，使直接打印的页面不出现空白图片；
+// 失败资源记录在 ctx.state.media.failures（子页面快照中的失败见 ctx.state.snapshot.mediaFailures）；属性改动登记到打印状态事务，打印后恢复
+export const mediaStage = {
+  name: 'media',
+  order: 150,
+  async prepare(ctx, opts) {
+    const state = Object.assign(ctx.state.media, { failures: [], changed: [] });
+    state.changed = await loadLazyImagesAsync(ctx.root, { timeout: opts.timeout, failures: state.failures, inScope: ctx.inScope, tx: ctx.tx });
+    if (state.failures.length) log('mediaStage:failures', state.failures);
+  },
+};
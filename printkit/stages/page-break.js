@@ -0,0 +1,33 @@
+import { log } from '../log.js';
+import { paginate } from '../pagination.js';
+
+// 切换分页标记
+// 参数：container - 条目所在容器；page - 页面设置（resolvePageSetup 的返回值）
+// 作用：移除容器内已有的分页标记；若原本没有，则按纸张可打印高度测量条目并插入分页标记。
+export function togglePageBreaks(container, page) {
+  log('togglePageBreaks:start');
+  const hasBreaks = container.querySelector('.page-break');
+  if (hasBreaks) {
+    container.querySelectorAll('.page-break').forEach((el) => el.remove());
+    log('togglePageBreaks:removed');
+    return;
+  }
+  const inserted = paginate(container.ownerDocument, page, { containers: [container] });
+  log('togglePageBreaks:inserted', { count: inserted.length });
+}
+
+// 分页标记阶段（默认关闭）
+// 参数（opts）：containers - 需要分页的容器选择器数组（默认 ['#content', '#timeline']，另含各快照容器）；itemSelector - 条目选择器
+// 作用：快照与宽表处理完成后，按会话纸张设置测量条目并插入分页标记；标记登记到打印状态事务，打印后移除
+export const pageBreakStage = {
+  name: 'page-break',
+  order: 400,
+  enabled: false,
+  prepare(ctx, opts) {
+    const containers = (opts.containers || ['#content', '#timeline'])
+      .map((sel) => ctx.root.querySelector(sel))
+      .filter((el) => el && ctx.inScope(el))
+      .concat(ctx.cloneContainers());
+    ctx.state['page-break'].inserted = paginate(ctx.doc, ctx.page, { containers, itemSelector: opts.itemSelector }).map(ctx.tx.track);
+  },
+};
@@ -0,0 +1,26 @@
+import { log } from '../log.js';
+import { buildPageRule } from '../pagination.js';
+
+// 注入 @page 规则
+// 参数：doc - 目标文档；page - 页面设置
+// 返回：插入的 <style> 元素
+// 作用：使浏览器打印使用的纸张尺寸、方向与页边距与分页计算保持一致（后插入的规则覆盖页面静态 @page）
+export function injectPageRule(doc, page) {
+  log('injectPageRule:start', { size: page.size, orientation: page.orientation });
+  const style = doc.createElement('style');
+  style.setAttribute('data-print-page', '');
+  style.textContent = buildPageRule(page);
+  doc.head.appendChild(style);
+  log('injectPageRule:done');
+  return style;
+}
+
+// 纸张设置阶段
+// 作用：打印前按会话的 page 选项注入 @page 规则；规则登记到打印状态事务，打印后移除
+export const pageSetupStage = {
+  name: 'page-setup',
+  order: 20,
+  prepare(ctx) {
+    ctx.state['page-setup'].style = ctx.tx.track(injectPageRule(ctx.doc, ctx.page));
+  },
+};
@@ -0,0 +1,53 @@
+import { log } from '../log.js';
+
+// 读取页签按钮文案
+// 参数：root - 查询范围；id - 面板ID
+// 返回：对应 .tab-btn 的文本，找不到时回退为面板ID
+export function getTabLabel(root, id) {
+  const btn = root.querySelector(`.tab-btn[data-tab="${id}"]`);
+  return (btn && btn.textContent.trim()) || id;
+}
+
+// 展开本次打印包含的页签面板
+// 参数：ctx - 打印会话上下文；state - 本阶段状态（记录涉及的面板）
+// 作用：显示被选中但未激活的面板、隐藏未选中的激活面板；多面板时为每个面板插入标题与独立的快照容器，
+// 使子页面快照与宽表切片紧随其所属面板输出；改动均登记到打印状态事务，打印后恢复
+export function expandPrintPanels(ctx, state) {
+  log('expandPrintPanels:start', { tabs: ctx.tabs });
+  const multi = ctx.panels.length > 1;
+  ctx.root.querySelectorAll('.tab-panel').forEach((panel) => {
+    const included = ctx.panels.includes(panel);
+    if (included && !panel.classList.contains('active')) {
+      ctx.tx.addClass(panel, 'print-include');
+      state.included.push(panel);
+    }
+    if (!included && panel.classList.contains('active')) {
+      ctx.tx.addClass(panel, 'print-exclude');
+      state.excluded.push(panel);
+    }
+  });
+  if (multi) {
+    ctx.panels.forEach((panel, idx) => {
+      const heading = ctx.doc.createElement('h2');
+      heading.className = idx > 0 ? 'print-panel-heading page-break' : 'print-panel-heading';
+      heading.textContent = getTabLabel(ctx.root, panel.id);
+      panel.prepend(ctx.tx.track(heading));
+      const clones = ctx.doc.createElement('div');
+      clones.className = 'print-panel-clones';
+      panel.appendChild(ctx.tx.track(clones));
+      ctx.cloneTargets.set(panel, clones);
+    });
+  }
+  log('expandPrintPanels:done', { multi, included: state.included.length, excluded: state.excluded.length });
+}
+
+// 页签面板阶段
+// 作用：按 print({ tabs }) 选择的页签（或 'all'）展开面板，先于其他阶段执行，使隐藏面板也能参与测量与快照
+export const panelsStage = {
+  name: 'panels',
+  order: 50,
+  prepare(ctx) {
+    const state = Object.assign(ctx.state.panels, { included: [], excluded: [] });
+    expandPrintPanels(ctx, state);
+  },
+};
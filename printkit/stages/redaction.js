@@ -0,0 +1,336 @@
+import { log } from '../log.js';
+import { materializeFormState } from './form-state.js';
+
+// 默认遮盖字符
+export const DEFAULT_MASK_CHAR = '*';
+
+// 默认保留的末尾字符数（mask 动作，如手机号保留后 4 位）
+export const DEFAULT_MASK_KEEP = 4;
+
+// 页面内容的替代单元（按优先级）：命中规则的元素所在的宽表容器、表格或表单整体以脱敏副本替代，保持表格结构、宽表缩放与表单布局
+const SUBSTITUTE_SELECTORS = ['.print-hscroll', 'table', 'form'];
+
+// 按值脱敏的 input 类型之外的类型（勾选、按钮、文件等控件不含可脱敏的文本）
+const SKIPPED_INPUT_TYPES = ['checkbox', 'radio', 'button', 'submit', 'reset', 'image', 'file', 'hidden', 'password', 'color', 'range'];
+
+// 不处理其中文本的元素
+const SKIPPED_TEXT_PARENTS = 'script, style, noscript, template, textarea';
+
+// 脱敏副本的显示规则：屏幕上隐藏副本，打印时隐藏被替代的原始内容
+const REDACTION_CSS = `
+@media screen { .print-redaction-copy { display: none !important; } }
+@media print { .print-redaction-hidden { display: none !important; } }
+`;
+
+// 遮盖文本
+// 参数：text - 原文本；options - { keep: 保留末尾的字符数（默认 4）, char: 遮盖字符（默认 '*'）}
+// 返回：除末尾 keep 个非空白字符外，其余非空白字符替换为遮盖字符，如 '13812345678' → '*******5678'
+export function maskText(text, options = {}) {
+  const keep = Number.isInteger(options.keep) && options.keep >= 0 ? options.keep : DEFAULT_MASK_KEEP;
+  const char = options.char || DEFAULT_MASK_CHAR;
+  let count = String(text).replace(/\s/g, '').length - keep;
+  return String(text).replace(/\S/g, (c) => (count-- > 0 ? char : c));
+}
+
+// 规范化脱敏规则
+// 参数：rule - { selector, column, attribute, value, pattern, flags, action, keep, char, replacement }（说明见 redactionStage）
+// 返回：规范化后的规则；pattern 统一为全局正则（字符串形式便于打印方案以 JSON 保存）；正则无效或未指定目标时返回 null
+export function normalizeRedactionRule(rule = {}) {
+  let pattern = null;
+  try {
+    if (rule.pattern instanceof RegExp) pattern = new RegExp(rule.pattern.source, rule.pattern.flags.includes('g') ? rule.pattern.flags : `${rule.pattern.flags}g`);
+    else if (rule.pattern) pattern = new RegExp(String(rule.pattern), `${String(rule.flags || '').replace(/g/g, '')}g`);
+  } catch (e) {
+    log('normalizeRedactionRule:error', { pattern: String(rule.pattern), message: e && e.message });
+    return null;
+  }
+  const columns = rule.column == null ? [] : [].concat(rule.column).map(String);
+  if (!rule.selector && !columns.length && !rule.attribute && !pattern) return null;
+  return {
+    selector: rule.selector || null,
+    columns,
+    attribute: rule.attribute || null,
+    value: rule.value == null ? null : String(rule.value),
+    pattern,
+    action: ['mask', 'blank', 'hide'].includes(rule.action) ? rule.action : 'mask',
+    keep: Number.isInteger(rule.keep) && rule.keep >= 0 ? rule.keep : DEFAULT_MASK_KEEP,
+    char: rule.char ? String(rule.char) : DEFAULT_MASK_CHAR,
+    replacement: rule.replacement == null ? '' : String(rule.replacement),
+  };
+}
+
+// 查询根节点（含自身）中匹配选择器的元素
+function queryWithin(root, selector) {
+  const list = Array.from(root.querySelectorAll(selector));
+  return root.matches && root.matches(selector) ? [root, ...list] : list;
+}
+
+// 查找表格中的列
+// 参数：table - 表格；key - 列标识（表头单元格的 data-print-column 或表头文本）
+// 返回：列索引，找不到时为 -1
+function findColumnIndex(table, key) {
+  const row = table.querySelector('thead tr') || table.rows[0];
+  return row ? Array.from(row.cells).findIndex((c) => c.getAttribute('data-print-column') === key || c.textContent.trim() === key) : -1;
+}
+
+// 收集列中的单元格
+// 参数：root - 查询范围；key - 列标识；withHeader - 是否包含表头单元格（hide 动作移除整列）
+function collectColumnCells(root, key, withHeader) {
+  const cells = [];
+  queryWithin(root, 'table').forEach((table) => {
+    const idx = findColumnIndex(table, key);
+    if (idx < 0) return;
+    Array.from(table.rows).forEach((row) => {
+      const cell = row.cells[idx];
+      if (cell && (withHeader || row.parentElement.tagName !== 'THEAD')) cells.push(cell);
+    });
+  });
+  return cells;
+}
+
+// 判断是否为按值脱敏的表单控件
+function isValueControl(el) {
+  if (el.tagName === 'TEXTAREA') return true;
+  return el.tagName === 'INPUT' && !SKIPPED_INPUT_TYPES.includes((el.getAttribute('type') || 'text').toLowerCase());
+}
+
+// 收集元素中可脱敏的文本节点
+function collectTextNodes(el) {
+  const doc = el.ownerDocument;
+  const walker = doc.createTreeWalker(el, 4);
+  const nodes = [];
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    if (!node.parentElement.closest(SKIPPED_TEXT_PARENTS) && node.data.trim()) nodes.push(node);
+  }
+  return nodes;
+}
+
+// 判断元素的文本或控件值是否包含规则的正则匹配
+function matchesPattern(el, pattern) {
+  const test = (s) => {
+    pattern.lastIndex = 0;
+    return pattern.test(s);
+  };
+  if (isValueControl(el)) return test(el.value);
+  return collectTextNodes(el).some((n) => test(n.data)) || queryWithin(el, 'input, textarea').some((c) => isValueControl(c) && test(c.value));
+}
+
+// 查找规则命中的元素
+// 参数：root - 查询范围（快照容器、脱敏副本或页面面板）；rule - 规范化后的规则
+// 返回：命中的元素（只保留最外层）；指定了 selector、column 或 attribute 时为其并集，再按 pattern 过滤；
+// 只有 pattern 时为文本或控件值含匹配的元素
+export function findRedactionTargets(root, rule) {
+  let targets = [];
+  const scoped = rule.selector || rule.columns.length || rule.attribute;
+  if (rule.selector) targets.push(...queryWithin(root, rule.selector));
+  rule.columns.forEach((key) => targets.push(...collectColumnCells(root, key, rule.action === 'hide')));
+  if (rule.attribute) {
+    targets.push(...queryWithin(root, `[${rule.attribute}]`).filter((el) => rule.value === null || el.getAttribute(rule.attribute) === rule.value));
+  }
+  if (!scoped) {
+    targets = collectTextNodes(root).map((n) => n.parentElement);
+    targets.push(...queryWithin(root, 'input, textarea').filter(isValueControl));
+  }
+  if (rule.pattern) targets = targets.filter((el) => matchesPattern(el, rule.pattern));
+  const unique = Array.from(new Set(targets));
+  return unique.filter((el) => !unique.some((other) => other !== el && other.contains(el)));
+}
+
+// 按规则转换文本
+// 参数：text - 原文本；rule - 规范化后的规则
+// 返回：有 pattern 时只转换匹配部分（mask 遮盖，blank 替换为 replacement，hide 删除）；否则转换整段文本
+export function transformText(text, rule) {
+  const convert = (s) => {
+    if (rule.action === 'mask') return maskText(s, rule);
+    return rule.action === 'blank' ? rule.replacement : '';
+  };
+  return rule.pattern ? text.replace(rule.pattern, convert) : convert(text);
+}
+
+// 写入控件的脱敏值
+function setControlValue(el, value) {
+  el.value = value;
+  if (el.tagName === 'TEXTAREA') el.textContent = value;
+  else el.setAttribute('value', value);
+}
+
+// 脱敏单个元素
+// 参数：el - 命中的元素（属于快照或脱敏副本）；rule - 规范化后的规则
+// 作用：hide 且无 pattern 时移除元素（列规则移除整列）；表单控件转换其值；其他元素转换其中的文本节点与控件值，
+// 整段遮盖时按元素的全部文本计算保留的末尾字符
+function redactElement(el, rule) {
+  if (rule.action === 'hide' && !rule.pattern) {
+    el.remove();
+    return;
+  }
+  if (isValueControl(el)) {
+    setControlValue(el, transformText(el.value, rule));
+    return;
+  }
+  queryWithin(el, 'input, textarea').filter(isValueControl).forEach((c) => setControlValue(c, transformText(c.value, rule)));
+  const nodes = collectTextNodes(el);
+  if (rule.pattern) {
+    nodes.forEach((n) => { n.data = transformText(n.data, rule); });
+  } else if (rule.action === 'mask') {
+    let count = nodes.reduce((sum, n) => sum + n.data.replace(/\s/g, '').length, 0) - rule.keep;
+    nodes.forEach((n) => { n.data = n.data.replace(/\S/g, (c) => (count-- > 0 ? rule.char : c)); });
+  } else {
+    nodes.forEach((n, idx) => { n.data = idx === 0 ? rule.replacement : ''; });
+  }
+}
+
+// 对节点树应用脱敏规则
+// 参数：root - 快照容器或包含脱敏副本的文档片段（不应为页面中的原始内容）；rules - 规范化后的规则数组
+// 返回：处理的元素数量；单条规则异常记录日志后抛出（不跳过规则，避免未脱敏的内容被打印）
+export function applyRedactionRules(root, rules) {
+  let count = 0;
+  rules.forEach((rule) => {
+    try {
+      findRedactionTargets(root, rule).forEach((el) => {
+        redactElement(el, rule);
+        count += 1;
+      });
+    } catch (e) {
+      log('applyRedactionRules:error', e && e.message);
+      throw e;
+    }
+  });
+  return count;
+}
+
+// 解析命中元素的替代单元
+// 参数：el - 页面中命中的元素；scope - 所在面板或文档 body
+// 返回：所在的宽表容器、表格或表单；否则表单控件取其父元素（包含表单状态阶段生成的静态文本），其他元素为自身
+function resolveSubstituteUnit(el, scope) {
+  const host = SUBSTITUTE_SELECTORS.map((sel) => el.closest(sel)).find(Boolean);
+  if (host && host !== scope && scope.contains(host)) return host;
+  return el.matches('input, select, textarea') ? el.parentElement : el;
+}
+
+// 创建页面内容的脱敏副本
+// 参数：ctx - 打印会话上下文；unit - 替代单元；rules - 规范化后的规则
+// 返回：.print-redaction-copy；去掉从原内容带来的隐藏类名，先固化表单状态（表单状态阶段开启静态文本时同样静态化，替代其生成的静态文本），
+// 再应用规则（副本放在文档片段中，单元本身被 hide 规则移除时返回 null），最后 id 改记为 data-print-source-id 避免重复
+function createRedactedCopy(ctx, unit, rules) {
+  const staticForms = !!(ctx.state['form-state'] && ctx.state['form-state'].static);
+  const frag = ctx.doc.createDocumentFragment();
+  frag.appendChild(unit.cloneNode(true));
+  queryWithin(frag, '.print-static-control').forEach((el) => el.classList.remove('print-static-control'));
+  queryWithin(frag, '.print-redaction-hidden').forEach((el) => el.classList.remove('print-redaction-hidden'));
+  materializeFormState(unit, frag.firstElementChild, { staticText: staticForms, locale: ctx.locale });
+  queryWithin(frag, '.print-static-value[data-print-generated]').forEach((el) => el.remove());
+  applyRedactionRules(frag, rules);
+  const copy = frag.firstElementChild;
+  if (!copy) return null;
+  queryWithin(copy, '[id]').forEach((el) => {
+    el.setAttribute('data-print-source-id', el.id);
+    el.removeAttribute('id');
+  });
+  copy.classList.add('print-redaction-copy');
+  return copy;
+}
+
+// 插入脱敏显示规则（每次打印一次）
+function ensureRedactionStyle(ctx, state) {
+  if (state.style) return;
+  const style = ctx.doc.createElement('style');
+  style.setAttribute('data-print-redaction', '');
+  style.textContent = REDACTION_CSS;
+  ctx.doc.head.appendChild(ctx.tx.track(style));
+  state.style = style;
+}
+
+// 撤下全部打印内容（脱敏失败时）
+// 参数：ctx - 打印会话上下文；state - 本阶段状态
+// 作用：隐藏快照容器与打印范围（面板或 body）并登记到 ctx.excluded，宁可打印空白也不输出未脱敏的内容；改动登记到打印状态事务
+function withholdPrintContent(ctx, state) {
+  log('withholdPrintContent:start');
+  ensureRedactionStyle(ctx, state);
+  const scopes = ctx.panels.length ? ctx.panels : [ctx.doc.body];
+  [...ctx.cloneContainers(), ...scopes].forEach((el) => {
+    ctx.tx.addClass(el, 'print-redaction-hidden');
+    ctx.excluded.push(el);
+  });
+  state.failed = true;
+  log('withholdPrintContent:done');
+}
+
+// 脱敏打印内容
+// 参数：ctx - 打印会话上下文；state - 本阶段状态；rules - 规范化后的规则
+// 作用：快照容器（子页面快照、宽表切片与所选内容快照）中的克隆直接脱敏；打印范围内命中规则的页面内容不做修改，
+// 以脱敏副本替代：原内容先登记到 ctx.excluded 并在打印时隐藏（已被列切片替代的宽表跳过），再将副本插入原内容之后，
+// 副本生成失败时原内容不会被打印；改动均登记到打印状态事务；规则异常向上抛出
+export function redactPrintContent(ctx, state, rules) {
+  log('redactPrintContent:start', { rules: rules.length });
+  const containers = ctx.cloneContainers();
+  containers.forEach((c) => { state.redacted += applyRedactionRules(c, rules); });
+
+  const scopes = ctx.panels.length ? ctx.panels : [ctx.doc.body];
+  const live = (el) => ctx.inScope(el) && !containers.some((c) => c.contains(el)) && !el.closest('[data-print-sliced]');
+  const units = new Set();
+  scopes.forEach((scope) => rules.forEach((rule) => {
+    findRedactionTargets(scope, rule).filter(live).forEach((el) => units.add(resolveSubstituteUnit(el, scope)));
+  }));
+  const outer = Array.from(units).filter((el) => !Array.from(units).some((other) => other !== el && other.contains(el)));
+  if (!outer.length) {
+    log('redactPrintContent:done', { redacted: state.redacted, substituted: 0 });
+    return;
+  }
+  ensureRedactionStyle(ctx, state);
+  outer.forEach((unit) => {
+    ctx.tx.addClass(unit, 'print-redaction-hidden');
+    ctx.excluded.push(unit);
+    state.substituted.push(unit);
+    const copy = createRedactedCopy(ctx, unit, rules);
+    if (copy) unit.after(ctx.tx.track(copy));
+  });
+  log('redactPrintContent:done', { redacted: state.redacted, substituted: state.substituted.length });
+}
+
+// 脱敏在脱敏阶段之后才生成的快照内容
+// 参数：ctx - 打印会话上下文；node - 尚未插入快照容器的快照段落
+// 作用：浏览器直接发起的打印（Ctrl+P）同步触发各阶段，异步的子页面快照在脱敏阶段执行之后才插入段落，由快照阶段在插入前调用；
+// 脱敏阶段尚未执行（异步准备时由脱敏阶段统一处理快照容器）或未启用时为空操作；脱敏已失败或规则异常时撤下全部打印内容并抛出异常，
+// 调用方不得插入该段落
+export function redactLateClone(ctx, node) {
+  const state = ctx.state.redaction;
+  if (!state || !state.prepared || (!state.rules.length && !state.failed)) return;
+  try {
+    if (state.failed) throw new Error('redaction: stage failed');
+    state.redacted += applyRedactionRules(node, state.rules);
+  } catch (e) {
+    log('redactLateClone:error', e && e.message);
+    withholdPrintContent(ctx, state);
+    throw e;
+  }
+}
+
+// 脱敏阶段
+// 参数（opts）：rules - 脱敏规则数组（通常由打印方案的 redaction 字段提供），每条规则：
+//   目标（任选，可组合为并集）：selector - CSS 选择器；column - 列标识或数组（表头单元格的 data-print-column 或表头文本）；
+//   attribute/value - 带该属性（且值相等）的元素；pattern/flags - 正则（字符串或 RegExp），与目标同用时只处理目标中的匹配部分，单独使用时处理打印范围内全部文本；
+//   action - 'mask'（默认，遮盖，keep 保留末尾字符数默认 4，char 遮盖字符默认 '*'）| 'blank'（清空或替换为 replacement）| 'hide'（移除元素，列规则移除整列）
+// 作用：在快照、宽表切片之后，分页、审计与页眉页脚之前执行；只处理快照与切片克隆，页面中的原始内容以脱敏副本替代，
+// 屏幕显示与页面数据不受影响；导出与预览同样只包含脱敏结果；
+// 规则无效或脱敏失败时撤下全部打印内容并抛出异常（required 阶段，会话据此中止打印并派发 print:error）；
+// 本阶段之后才插入的子页面快照由快照阶段调用 redactLateClone 脱敏
+export const redactionStage = {
+  name: 'redaction',
+  order: 350,
+  required: true,
+  prepare(ctx, opts) {
+    const configured = opts.rules || [];
+    const rules = configured.map(normalizeRedactionRule).filter(Boolean);
+    const state = Object.assign(ctx.state.redaction, { rules, redacted: 0, substituted: [], style: null, failed: false, prepared: true });
+    if (!configured.length) return;
+    try {
+      // 无效规则（如正则写错）不能跳过，否则其目标内容会原样打印
+      if (rules.length !== configured.length) throw new Error(`redaction: ${configured.length - rules.length} invalid rule(s)`);
+      redactPrintContent(ctx, state, rules);
+    } catch (e) {
+      log('redactionStage:error', e && e.message);
+      withholdPrintContent(ctx, state);
+      throw e;
+    }
+  },
+};
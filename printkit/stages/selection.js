@@ -0,0 +1,179 @@
+import { log } from '../log.js';
+import { getTabLabel } from './panels.js';
+import { materializeFormState } from './form-state.js';
+import { createHeading, createLabelledSection, findPrecedingHeading, getHeadingLevel } from '../semantics.js';
+
+// 默认的勾选标记（表格行、条目等元素上的属性）
+export const DEFAULT_SELECTION_SELECTOR = '[data-print-selected]';
+
+// 选择打印的显示规则：打印时隐藏被所选快照替代的原始内容
+const SELECTION_CSS = '@media print { .print-selection-hidden { display: none !important; } }';
+
+// 切换元素的勾选状态
+// 参数：el - 表格行或条目元素；selected - 是否勾选（缺省为取反）
+// 返回：切换后的勾选状态
+export function togglePrintSelected(el, selected = !el.hasAttribute('data-print-selected')) {
+  if (selected) el.setAttribute('data-print-selected', ''); else el.removeAttribute('data-print-selected');
+  return selected;
+}
+
+// 清除范围内所有勾选
+// 参数：root - 查询范围；selector - 勾选标记选择器
+export function clearPrintSelection(root, selector = DEFAULT_SELECTION_SELECTOR) {
+  root.querySelectorAll(selector).forEach((el) => togglePrintSelected(el, false));
+}
+
+// 读取本次打印的文本选区
+// 参数：ctx - 打印会话上下文；selection - print() 传入的 selection 参数
+// 返回：打印范围内未折叠的 Range，否则为 null
+function resolveTextRange(ctx, selection) {
+  let range = selection && selection.range;
+  if (!range) {
+    const sel = ctx.win && ctx.win.getSelection ? ctx.win.getSelection() : null;
+    range = sel && sel.rangeCount ? sel.getRangeAt(0) : null;
+  }
+  if (!range || range.collapsed) return null;
+  const common = range.commonAncestorContainer;
+  const el = common.nodeType === 1 ? common : common.parentElement;
+  if (!el || !ctx.root.contains(el) || !ctx.inScope(el)) return null;
+  // 输入框内部的选区不作为打印内容
+  if (el.closest('input, textarea, select, .controls')) return null;
+  return range;
+}
+
+// 查找内容所属的标题
+// 参数：ctx - 打印会话上下文；container - 内容容器；boundary - 查找边界（所在面板或文档 body）
+// 返回：{ text, level } 向上逐级查找的最近前置标题的文本与级别；找不到时使用面板对应的页签名称（级别 2），均无时为 null
+function findSectionHeading(ctx, container, boundary) {
+  const heading = findPrecedingHeading(container, boundary);
+  if (heading) return { text: heading.textContent.trim(), level: getHeadingLevel(heading) };
+  const label = boundary && boundary.classList.contains('tab-panel') ? getTabLabel(ctx.root, boundary.id) : '';
+  return label ? { text: label, level: 2 } : null;
+}
+
+// 以浅克隆的祖先链包裹内容
+// 参数：container - 内容的直接容器（如 tbody、#content）；boundary - 链的上界（不包含）；content - 节点数组或片段
+// 返回：最外层克隆；祖先保留类名与属性以继承页面样式，id 改记为 data-print-source-id 避免重复；
+// 链上的表格在内容不含表头时补入 thead，保证所选行带表头
+function wrapInAncestors(container, boundary, content) {
+  let inner = container.cloneNode(false);
+  if (Array.isArray(content)) content.forEach((node) => inner.appendChild(node));
+  else inner.appendChild(content);
+  for (let node = container; node && node !== boundary; node = node.parentElement) {
+    const clone = node === container ? inner : node.cloneNode(false);
+    if (clone.id) {
+      clone.setAttribute('data-print-source-id', clone.id);
+      clone.removeAttribute('id');
+    }
+    if (node.tagName === 'TABLE' && node.tHead && !clone.querySelector('thead')) {
+      clone.prepend(node.tHead.cloneNode(true));
+    }
+    if (node !== container) {
+      clone.appendChild(inner);
+      inner = clone;
+    }
+  }
+  return inner;
+}
+
+// 创建所选内容的快照段落
+// 参数：ctx - 打印会话上下文；heading - findSectionHeading 的返回值；body - 内容节点
+// 返回：.print-clone-section.print-selection-section（宽表阶段会对其中的表格缩放或切片）；有标题时为带标题的区域，
+// 标题沿用原标题的级别（原内容打印时隐藏，大纲中由该标题替代）
+function createSelectionSection(ctx, heading, body) {
+  const className = 'print-clone-section print-selection-section';
+  let section;
+  if (heading && heading.text) {
+    const title = createHeading(ctx.doc, heading.level, heading.text);
+    title.className = 'print-selection-heading';
+    section = createLabelledSection(ctx.doc, className, title);
+  } else {
+    section = ctx.doc.createElement('div');
+    section.className = className;
+  }
+  section.appendChild(body);
+  return section;
+}
+
+// 构建所选内容快照
+// 参数：ctx - 打印会话上下文；state - 本阶段状态；opts - { selector: 勾选标记选择器, text: 是否包含文本选区（默认 true）}
+// 返回：所选片段数量；为 0 时不做任何改动（按正常范围打印）
+// 作用：收集打印范围内勾选的表格行、条目与文本选区，按所在容器分组，以浅克隆的祖先链（保留类名以继承样式）
+// 与表头包裹后放入独立的快照容器 .print-selection-root；原始面板登记到 ctx.excluded 并在打印时隐藏，后续阶段只处理快照；
+// 改动均登记到打印状态事务
+export function buildSelectionSnapshot(ctx, state, opts = {}) {
+  log('buildSelectionSnapshot:start');
+  const containers = ctx.cloneContainers();
+  const picked = Array.from(ctx.root.querySelectorAll(opts.selector || DEFAULT_SELECTION_SELECTOR))
+    .filter((el) => ctx.inScope(el) && !containers.some((c) => c.contains(el)))
+    // 勾选项嵌套时只保留最外层
+    .filter((el, idx, all) => !all.some((other) => other !== el && other.contains(el)));
+  const range = opts.text === false ? null : resolveTextRange(ctx, ctx.printOptions.selection);
+  if (!picked.length && !range) {
+    log('buildSelectionSnapshot:empty');
+    return 0;
+  }
+
+  const bodyEl = ctx.doc.body;
+  const groups = new Map();
+  picked.forEach((el) => {
+    const container = el.parentElement;
+    if (!groups.has(container)) groups.set(container, []);
+    groups.get(container).push(el);
+  });
+  const hide = new Set();
+  groups.forEach((items, container) => {
+    const boundary = container.closest('.tab-panel') || bodyEl;
+    const clones = items.map((el) => {
+      const clone = el.cloneNode(true);
+      materializeFormState(el, clone, { locale: ctx.locale });
+      clone.removeAttribute('data-print-selected');
+      return clone;
+    });
+    const body = wrapInAncestors(container, boundary, clones);
+    state.sections.push(createSelectionSection(ctx, findSectionHeading(ctx, container, boundary), body));
+    hide.add(boundary === bodyEl ? container : boundary);
+  });
+  if (range) {
+    const common = range.commonAncestorContainer;
+    const container = common.nodeType === 1 ? common : common.parentElement;
+    const boundary = container.closest('.tab-panel') || bodyEl;
+    const body = wrapInAncestors(container, boundary, range.cloneContents());
+    state.sections.push(createSelectionSection(ctx, findSectionHeading(ctx, container, boundary), body));
+    hide.add(boundary === bodyEl ? container : boundary);
+  }
+
+  // 打印范围内的其他面板同样由所选快照替代
+  ctx.panels.forEach((panel) => hide.add(panel));
+  const style = ctx.doc.createElement('style');
+  style.setAttribute('data-print-selection', '');
+  style.textContent = SELECTION_CSS;
+  ctx.doc.head.appendChild(ctx.tx.track(style));
+  hide.forEach((el) => {
+    ctx.tx.addClass(el, 'print-selection-hidden');
+    ctx.excluded.push(el);
+    state.hidden.push(el);
+  });
+  // 独立容器登记为快照容器（子页面快照阶段会清空 cloneRoot），宽表与分页阶段同样处理其中的内容
+  const root = ctx.doc.createElement('div');
+  root.className = 'print-selection-root';
+  state.sections.forEach((section) => root.appendChild(section));
+  if (ctx.cloneRoot) ctx.cloneRoot.before(ctx.tx.track(root)); else bodyEl.appendChild(ctx.tx.track(root));
+  ctx.cloneTargets.set('selection', root);
+  log('buildSelectionSnapshot:done', { items: picked.length, text: !!range, sections: state.sections.length });
+  return picked.length + (range ? 1 : 0);
+}
+
+// 选择打印阶段
+// 参数（opts）：selector - 勾选标记选择器（默认 [data-print-selected]）；text - 是否包含文本选区（默认 true）
+// 作用：print({ selection: true }) 时只打印勾选的表格行、条目或文本选区（可传 selection: { range } 指定选区）；
+// 紧随页签面板阶段执行，使子页面快照、宽表与分页等阶段只处理所选内容；未勾选任何内容时按正常范围打印
+export const selectionStage = {
+  name: 'selection',
+  order: 60,
+  prepare(ctx, opts) {
+    const state = Object.assign(ctx.state.selection, { sections: [], hidden: [], count: 0 });
+    if (!ctx.printOptions.selection) return;
+    state.count = buildSelectionSnapshot(ctx, state, opts);
+  },
+};
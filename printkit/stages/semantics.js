@@ -0,0 +1,62 @@
+import { log } from '../log.js';
+import { annotateTableHeaders, collectOutline, createPrintElementId } from '../semantics.js';
+
+// 打印时隐藏或被替代的内容（其中的标题不进入大纲）
+const HIDDEN_SELECTOR = '[hidden], [aria-hidden="true"], .print-selection-hidden, .print-redaction-hidden, .print-exclude, [data-print-sliced]';
+
+// 判断标题是否出现在打印输出中
+// 参数：ctx - 打印会话上下文；containers - 快照容器；heading - 标题元素；exclude - 额外排除的选择器
+function isPrintedHeading(ctx, containers, heading, exclude) {
+  if (containers.some((c) => c.contains(heading))) return !heading.closest('[data-print-sliced]');
+  if (!ctx.inScope(heading) || heading.closest(HIDDEN_SELECTOR)) return false;
+  return !(exclude && heading.closest(exclude));
+}
+
+// 补全打印输出的语义结构
+// 参数：ctx - 打印会话上下文；state - 本阶段状态；opts - 阶段参数
+// 作用：html 缺少 lang 时按 opts.lang 设置；有内容的快照容器去除 aria-hidden（页面中为避免屏幕阅读器读到空容器而隐藏）；
+// 打印范围内与快照中的表格补全表头 scope；多页签打印时面板以页签标题标注为区域（role="region"）；
+// 收集打印大纲（标题缺少 ID 时补齐，供 PDF 书签定位）。页面上的改动均登记到打印状态事务
+export function applyPrintSemantics(ctx, state, opts = {}) {
+  log('applyPrintSemantics:start');
+  const html = ctx.doc.documentElement;
+  if (!html.getAttribute('lang') && opts.lang) ctx.tx.setAttribute(html, 'lang', opts.lang);
+  const containers = ctx.cloneContainers();
+  containers.forEach((c) => {
+    if (c.children.length && c.hasAttribute('aria-hidden')) ctx.tx.removeAttribute(c, 'aria-hidden');
+  });
+  const set = (el, name, value) => ctx.tx.setAttribute(el, name, value);
+  ctx.root.querySelectorAll('table').forEach((table) => {
+    if (ctx.inScope(table) || containers.some((c) => c.contains(table))) annotateTableHeaders(table, { setAttribute: set });
+  });
+  ctx.panels.forEach((panel) => {
+    const heading = panel.querySelector(':scope > .print-panel-heading');
+    if (!heading) return;
+    if (!heading.id) set(heading, 'id', createPrintElementId('print-heading'));
+    set(panel, 'role', 'region');
+    set(panel, 'aria-labelledby', heading.id);
+  });
+  if (opts.outline !== false) {
+    state.outline = collectOutline(ctx.doc, (h) => isPrintedHeading(ctx, containers, h, opts.exclude)).map(({ level, text, id, el }) => {
+      if (id) return { level, text, id };
+      const next = createPrintElementId('print-heading');
+      set(el, 'id', next);
+      return { level, text, id: next };
+    });
+  }
+  log('applyPrintSemantics:done', { outline: state.outline.length });
+}
+
+// 语义结构阶段
+// 参数（opts）：lang - 页面未声明 lang 时使用的语言；exclude - 打印时隐藏（如被快照替代）的区域选择器，其中的标题不进入大纲；
+// outline - 是否收集大纲（默认 true）
+// 作用：内容就绪后（快照、宽表、脱敏与分页之后，页眉页脚与水印之前）补全语言、表头关联与区域地标并生成大纲
+// （ctx.state.semantics.outline: [{ level, text, id }]，无头打印随 prepare 结果返回）；打印后恢复
+export const semanticsStage = {
+  name: 'semantics',
+  order: 440,
+  prepare(ctx, opts) {
+    const state = Object.assign(ctx.state.semantics, { outline: [] });
+    applyPrintSemantics(ctx, state, opts);
+  },
+};
@@ -0,0 +1,405 @@
+import { log } from '../log.js';
+import { MESSAGE_TYPES, requestFrame } from '../protocol.js';
+import { flattenShadowRootsAsync } from '../shadow-dom.js';
+import { materializeMediaAsync } from './media.js';
+import { materializeFormState } from './form-state.js';
+import { redactLateClone } from './redaction.js';
+import { createHeading, createLabelledSection, createPrintElementId, describeCanvas, nestHeadings, resolveSectionLevel } from '../semantics.js';
+import { DEFAULT_LOCALE, formatMessage, getFrameMessages } from '../i18n.js';
+
+// 读取 iframe 文档
+// 参数：frame - iframe 元素
+// 返回：同源时为文档对象；跨域时为 null 且 crossOrigin 为 true
+function accessFrameDocument(frame) {
+  try {
+    return { doc: frame.contentWindow?.document || null, crossOrigin: false };
+  } catch {
+    return { doc: null, crossOrigin: true };
+  }
+}
+
+// 构建打印快照（异步，兼容复杂页面）
+// 参数：ctx - 打印会话上下文；opts - 阶段参数 { timeout, allowedOrigins（跨域子页面序列化请求）, mediaTimeout（媒体资源等待）,
+//       staticForms（表单控件替换为静态只读文本）}
+// 作用：将打印范围内（选中页签面板中）子页面的完整内容克隆到其对应的打印快照容器：同源时直接克隆，包含其内联样式与
+// 可用的外链样式，同时固化表单状态、媒体资源（失败记录于 ctx.state.snapshot.mediaFailures）与画布内容并展开 Web Components 的影子树；跨域时请求子页面（引入 print-child.js）自行序列化后重建
+export async function buildPrintClonesAsync(ctx, opts = {}) {
+  log('buildPrintClonesAsync:start');
+  const root = ctx.cloneRoot;
+  if (!root) return;
+  ctx.tx.replaceChildren(root, []);
+  const state = ctx.state.snapshot || {};
+  state.mediaFailures = [];
+  const frames = Array.from(ctx.root.querySelectorAll('iframe')).filter(ctx.inScope);
+  for (let idx = 0; idx < frames.length; idx++) {
+    const f = frames[idx];
+    try {
+      const { doc, crossOrigin } = accessFrameDocument(f);
+      let section = null;
+      if (doc) section = await cloneSameOriginFrameAsync(ctx, f, doc, idx, state.mediaFailures, opts);
+      else if (crossOrigin) section = await cloneCrossOriginFrameAsync(ctx, f, idx, opts);
+      if (!section) continue;
+      // Ctrl+P 时脱敏阶段可能已先于本段落执行，插入前补做脱敏（失败时抛出，段落不插入）
+      redactLateClone(ctx, section);
+      ctx.cloneTargetFor(f).appendChild(section);
+      log('buildPrintClonesAsync:cloned', { index: idx + 1, crossOrigin });
+    } catch (e) {
+      log('buildPrintClonesAsync:error', e && e.message);
+    }
+  }
+  ctx.tx.setStyle(root, 'display', 'block');
+  log('buildPrintClonesAsync:done');
+}
+
+// 按括号层级拆分选择器列表（:is()、:not() 等参数中的逗号不拆分）
+function splitSelectorList(text) {
+  const parts = [];
+  let depth = 0;
+  let start = 0;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (c === '(' || c === '[') depth += 1;
+    else if (c === ')' || c === ']') depth -= 1;
+    else if (c === ',' && depth === 0) {
+      parts.push(text.slice(start, i));
+      start = i + 1;
+    }
+  }
+  parts.push(text.slice(start));
+  return parts.map((p) => p.trim()).filter(Boolean);
+}
+
+// PrintKit 打印状态的类名与属性（子页面样式不得引用，避免改变脱敏、选择打印与切片的显示）
+const RESERVED_SELECTOR_PATTERN = /print-(redaction|selection)-|data-print-/i;
+
+// 将选择器限定在快照段落内
+// 参数：selector - 单个选择器；scope - 快照段落的属性选择器
+// 返回：前缀为 scope 的选择器；以 html、body、:root 开头的部分替换为 scope 本身（只匹配完整的元素名，不含 bodyguard、html-viewer 等），这些元素带有其他条件（如 html.dark）时返回 null；
+// 引用 PrintKit 打印状态或不是普通选择器（如 @page）时返回 null
+export function scopeSelector(selector, scope) {
+  if (selector.startsWith('@') || RESERVED_SELECTOR_PATTERN.test(selector)) return null;
+  let rest = selector;
+  let root = false;
+  for (;;) {
+    const m = /^(html|body|:root)(?![\w-])((?:[.#[:][^\s>+~]*)?)\s*([>+~]?)\s*/i.exec(rest);
+    if (!m) break;
+    if (m[2] || (m[3] && m[3] !== '>')) return null;
+    rest = rest.slice(m[0].length);
+    root = true;
+  }
+  if (!rest) return root ? scope : null;
+  return `${scope} ${rest}`;
+}
+
+// 序列化限定范围后的样式规则
+// 参数：rules - CSSRuleList；scope - 快照段落的属性选择器
+// 返回：样式文本；只保留普通规则、@media 与 @supports（其中的规则同样限定），@page、@import、@font-face 等全局规则一律丢弃
+function serializeScopedRules(rules, scope) {
+  const out = [];
+  Array.from(rules || []).forEach((rule) => {
+    if (rule.type === 1) {
+      const selectors = splitSelectorList(rule.selectorText || '').map((sel) => scopeSelector(sel, scope)).filter(Boolean);
+      if (selectors.length && rule.style.cssText) out.push(`${selectors.join(', ')} { ${rule.style.cssText} }`);
+    } else if (rule.type === 4) {
+      const inner = serializeScopedRules(rule.cssRules, scope);
+      if (inner) out.push(`@media ${rule.media.mediaText} {\n${inner}\n}`);
+    } else if (rule.type === 12) {
+      const inner = serializeScopedRules(rule.cssRules, scope);
+      if (inner) out.push(`@supports ${rule.conditionText} {\n${inner}\n}`);
+    }
+  });
+  return out.join('\n');
+}
+
+// 解析样式文本
+// 参数：doc - 当前文档；text - 样式文本
+// 返回：CSSRuleList；优先使用可构造样式表（不加载 @import），否则在无浏览上下文的文档中解析；均不可用时为 null
+function parseStyleRules(doc, text) {
+  const Sheet = doc.defaultView && doc.defaultView.CSSStyleSheet;
+  if (Sheet && typeof Sheet.prototype.replaceSync === 'function') {
+    const sheet = new Sheet();
+    sheet.replaceSync(text);
+    return sheet.cssRules;
+  }
+  const sandbox = doc.implementation.createHTMLDocument('');
+  const style = sandbox.createElement('style');
+  style.textContent = text;
+  sandbox.head.appendChild(style);
+  return style.sheet ? style.sheet.cssRules : null;
+}
+
+// 将子页面样式限定在快照段落内
+// 参数：doc - 当前文档；texts - 子页面样式文本数组；scope - 快照段落的属性选择器（如 '[data-print-scope="print-scope-1"]'）
+// 返回：样式文本；子页面样式不能影响父页面的打印输出（页面 body、@page 纸张设置、脱敏与选择打印的隐藏规则等），无法解析的样式整体丢弃
+export function scopeStyleText(doc, texts, scope) {
+  return texts.map((text) => {
+    try {
+      return serializeScopedRules(parseStyleRules(doc, text), scope);
+    } catch (e) {
+      log('scopeStyleText:error', e && e.message);
+      return '';
+    }
+  }).filter(Boolean).join('\n');
+}
+
+// 创建快照段落
+// 参数：ctx - 打印会话上下文；frame - iframe 元素；idx - 子页面序号（从 0 开始）；styleTexts - 样式文本数组；
+// title - 子页面文档标题
+// 返回：section.print-clone-section[aria-labelledby][data-print-scope]；标题取 iframe 的 title、子页面文档标题，均无时为“子页面 #n”（按打印语言），
+// 级别为所在快照容器之前最近标题的下一级；子页面样式经 scopeStyleText 限定在段落内
+function createCloneSection(ctx, frame, idx, styleTexts, title = '') {
+  const level = resolveSectionLevel(ctx.cloneTargetFor(frame));
+  const text = (frame.getAttribute('title') || title || '').trim() || formatMessage(ctx.locale, 'snapshot.frameTitle', { index: idx + 1 });
+  const section = createLabelledSection(ctx.doc, 'print-clone-section', createHeading(ctx.doc, level, text));
+  section.setAttribute('data-print-heading-level', String(level));
+  const scopeId = createPrintElementId('print-scope');
+  section.setAttribute('data-print-scope', scopeId);
+  const css = styleTexts.length ? scopeStyleText(ctx.doc, styleTexts, `[data-print-scope="${scopeId}"]`) : '';
+  if (css) {
+    const styleEl = ctx.doc.createElement('style');
+    styleEl.textContent = css;
+    section.appendChild(styleEl);
+  }
+  return section;
+}
+
+// 克隆同源子页面（异步）
+// 参数：ctx - 打印会话上下文；frame - iframe 元素；doc - 子页面文档；idx - 子页面序号；failures - 媒体资源失败记录；opts - { mediaTimeout, staticForms }
+// 返回：快照段落
+async function cloneSameOriginFrameAsync(ctx, frame, doc, idx, failures, opts) {
+  const section = createCloneSection(ctx, frame, idx, await extractStylesFromDocAsync(doc), doc.title);
+  const cloned = doc.body.cloneNode(true);
+  // 子页面样式已提取并限定范围，克隆中的 style 元素不再保留（否则对整个父页面生效）
+  cloned.querySelectorAll('style').forEach((el) => el.remove());
+  // 保留子页面语言（与跨域快照的 .print-clone-body 一致）
+  if (doc.documentElement.lang) cloned.setAttribute('lang', doc.documentElement.lang);
+  section.appendChild(cloned);
+  // 媒体处理按元素顺序配对，需在表单静态化替换节点之前完成
+  failures.push(...await materializeMediaAsync(doc.body, cloned, { timeout: opts.mediaTimeout, tx: ctx.tx }));
+  materializeFormState(doc.body, cloned, { staticText: opts.staticForms, locale: ctx.locale });
+  await copyCanvasBitmapsAsync(doc, cloned, ctx.locale);
+  await flattenShadowRootsAsync(doc.body, cloned);
+  nestHeadings(cloned, Number(section.getAttribute('data-print-heading-level')));
+  return section;
+}
+
+// 克隆跨域子页面（异步）
+// 参数：ctx - 打印会话上下文；frame - iframe 元素；idx - 子页面序号；opts - { timeout, allowedOrigins, staticForms }
+// 返回：快照段落；子页面未引入 print-child.js、超时或源不被允许时返回 null（维持原有的跳过行为）
+async function cloneCrossOriginFrameAsync(ctx, frame, idx, opts) {
+  const result = await requestFrame(frame, MESSAGE_TYPES.SERIALIZE, { ...opts, payload: { staticForms: !!opts.staticForms, locale: ctx.locale, messages: getFrameMessages(ctx.locale) } });
+  if (!result.ok || !result.reply.payload) {
+    log('cloneCrossOriginFrameAsync:skip', { id: frame.id || null, error: result.error });
+    return null;
+  }
+  return buildSectionFromSerialized(ctx, result.reply.payload, idx, frame);
+}
+
+// 跨域快照允许的元素（localName 小写）：文本、表格、列表、表单控件（静态展示）与静态 SVG 图形；
+// 不在此列且不在 DROPPED_ELEMENTS 中的元素（如 form、video、自定义元素）只保留其内容
+const SERIALIZED_ELEMENTS = new Set([
+  'a', 'abbr', 'address', 'article', 'aside', 'b', 'bdi', 'bdo', 'blockquote', 'br', 'button', 'caption', 'cite', 'code', 'col', 'colgroup',
+  'data', 'dd', 'del', 'details', 'dfn', 'div', 'dl', 'dt', 'em', 'fieldset', 'figcaption', 'figure', 'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+  'header', 'hr', 'i', 'img', 'input', 'ins', 'kbd', 'label', 'legend', 'li', 'main', 'mark', 'meter', 'nav', 'ol', 'optgroup', 'option', 'output',
+  'p', 'pre', 'progress', 'q', 's', 'samp', 'section', 'select', 'small', 'span', 'strong', 'sub', 'summary', 'sup', 'table', 'tbody', 'td',
+  'textarea', 'tfoot', 'th', 'thead', 'time', 'tr', 'u', 'ul', 'var', 'wbr',
+  'svg', 'g', 'defs', 'symbol', 'use', 'path', 'rect', 'circle', 'ellipse', 'line', 'polyline', 'polygon', 'text', 'tspan', 'desc',
+  'clippath', 'mask', 'lineargradient', 'radialgradient', 'stop', 'pattern', 'marker',
+]);
+
+// 连同内容一起移除的元素：脚本、样式、嵌入的浏览上下文与对象、文档级元素，以及可在运行时改写属性的 SVG 动画
+// （如 <animate attributeName="href" values="javascript:…">）与可嵌入任意 HTML 的 foreignObject
+const DROPPED_ELEMENTS = new Set([
+  'script', 'style', 'template', 'noscript', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet', 'portal', 'fencedframe',
+  'base', 'meta', 'link', 'title', 'head', 'animate', 'animatemotion', 'animatetransform', 'set', 'discard', 'foreignobject',
+]);
+
+// 所有允许元素通用的属性（另允许 aria-* 与 data-*，data-print-* 只允许表单状态生成的 data-print-files）
+const GLOBAL_ATTRIBUTES = new Set(['id', 'class', 'style', 'title', 'lang', 'dir', 'role', 'hidden']);
+
+// 按元素允许的属性；地址属性另经 URL_ATTRIBUTES 校验
+const ELEMENT_ATTRIBUTES = {
+  a: ['href'],
+  img: ['src', 'alt', 'width', 'height'],
+  td: ['colspan', 'rowspan', 'headers'],
+  th: ['colspan', 'rowspan', 'headers', 'scope', 'abbr'],
+  col: ['span'],
+  colgroup: ['span'],
+  ol: ['start', 'reversed', 'type'],
+  li: ['value'],
+  input: ['type', 'value', 'checked', 'disabled', 'readonly', 'placeholder', 'size', 'min', 'max', 'step', 'multiple'],
+  select: ['multiple', 'disabled', 'size'],
+  option: ['value', 'selected', 'disabled', 'label'],
+  optgroup: ['label', 'disabled'],
+  textarea: ['rows', 'cols', 'disabled', 'readonly', 'placeholder'],
+  button: ['disabled'],
+  label: ['for'],
+  output: ['for'],
+  time: ['datetime'],
+  data: ['value'],
+  details: ['open'],
+  progress: ['value', 'max'],
+  meter: ['value', 'min', 'max', 'low', 'high', 'optimum'],
+  use: ['href', 'xlink:href'],
+};
+
+// SVG 命名空间
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+
+// SVG 图形元素允许的呈现属性（小写比较）
+const SVG_ATTRIBUTES = new Set([
+  'viewbox', 'width', 'height', 'x', 'y', 'x1', 'y1', 'x2', 'y2', 'cx', 'cy', 'r', 'rx', 'ry', 'd', 'points', 'transform', 'xmlns', 'preserveaspectratio',
+  'fill', 'fill-opacity', 'fill-rule', 'stroke', 'stroke-width', 'stroke-opacity', 'stroke-linecap', 'stroke-linejoin', 'stroke-dasharray',
+  'stroke-dashoffset', 'opacity', 'clip-path', 'clip-rule', 'mask', 'font-size', 'font-family', 'font-weight', 'text-anchor', 'dominant-baseline',
+  'offset', 'stop-color', 'stop-opacity', 'gradientunits', 'gradienttransform', 'patternunits', 'patterntransform', 'markerwidth', 'markerheight',
+  'refx', 'refy', 'orient', 'marker-start', 'marker-mid', 'marker-end', 'dx', 'dy',
+]);
+
+// 地址属性允许的地址：a 的 href 为 http(s)、mailto、tel 与页内锚点；img 的 src 为 http(s) 与 data:image/；use 只能引用页内图形
+const URL_ATTRIBUTES = {
+  href: /^\s*(https?:|mailto:|tel:|#)/i,
+  src: /^\s*(https?:|data:image\/)/i,
+  'xlink:href': /^\s*#/,
+};
+
+// 内联样式中不允许出现的内容（脚本地址与旧版浏览器可执行的样式扩展）
+const UNSAFE_STYLE_PATTERN = /javascript:|expression\s*\(|-moz-binding|behavior\s*:/i;
+
+// 判断属性是否允许保留
+// 参数：tag - 元素 localName（小写）；name - 属性名（小写）；value - 属性值；svg - 是否为 SVG 元素
+function isAllowedAttribute(tag, name, value, svg) {
+  if (name === 'style') return !UNSAFE_STYLE_PATTERN.test(value);
+  if (name.startsWith('aria-')) return true;
+  if (name.startsWith('data-')) return !name.startsWith('data-print-') || name === 'data-print-files';
+  if (!GLOBAL_ATTRIBUTES.has(name) && !(ELEMENT_ATTRIBUTES[tag] || []).includes(name) && !(svg && SVG_ATTRIBUTES.has(name))) return false;
+  if (tag === 'use' && (name === 'href' || name === 'xlink:href')) return URL_ATTRIBUTES['xlink:href'].test(value);
+  return URL_ATTRIBUTES[name] ? URL_ATTRIBUTES[name].test(value) : true;
+}
+
+// 清理序列化的 HTML 片段
+// 参数：doc - 用于创建节点的文档；html - 子页面序列化的 body 内容
+// 返回：DocumentFragment；按允许清单重建：脚本、样式、嵌入对象与 SVG 动画连同内容移除，其他不在清单中的元素（如 form）只保留内容，
+// 属性只保留清单中的属性（事件属性、action/formaction、srcset 等一律去掉），地址属性只允许安全的协议，
+// 避免子页面内容在父页面执行、提交或影响父页面样式（子页面样式随 payload.styles 传入，限定范围后使用）
+export function sanitizeSerializedHtml(doc, html) {
+  const parsed = new DOMParser().parseFromString(`<body>${html}</body>`, 'text/html');
+  // 逆序处理：子元素先于父元素，只保留内容的元素展开时其子节点已清理
+  Array.from(parsed.body.querySelectorAll('*')).reverse().forEach((el) => {
+    const tag = el.localName.toLowerCase();
+    if (DROPPED_ELEMENTS.has(tag)) {
+      el.remove();
+      return;
+    }
+    if (!SERIALIZED_ELEMENTS.has(tag)) {
+      el.replaceWith(...el.childNodes);
+      return;
+    }
+    const svg = el.namespaceURI === SVG_NAMESPACE;
+    Array.from(el.attributes).forEach((attr) => {
+      if (!isAllowedAttribute(tag, attr.name.toLowerCase(), attr.value, svg)) el.removeAttribute(attr.name);
+    });
+  });
+  const frag = doc.createDocumentFragment();
+  Array.from(parsed.body.childNodes).forEach((node) => frag.appendChild(doc.importNode(node, true)));
+  return frag;
+}
+
+// 由子页面序列化结果重建快照段落
+// 参数：ctx - 打印会话上下文；payload - { html, styles, title, lang }；idx - 子页面序号；frame - iframe 元素（提供标题与所在面板）
+// 返回：快照段落
+export function buildSectionFromSerialized(ctx, payload, idx, frame = ctx.doc.createElement('iframe')) {
+  log('buildSectionFromSerialized:start', { index: idx + 1, bytes: (payload.html || '').length });
+  const section = createCloneSection(ctx, frame, idx, payload.styles || [], payload.title);
+  const body = ctx.doc.createElement('div');
+  body.className = 'print-clone-body';
+  if (payload.lang) body.setAttribute('lang', payload.lang);
+  body.appendChild(sanitizeSerializedHtml(ctx.doc, payload.html || ''));
+  nestHeadings(body, Number(section.getAttribute('data-print-heading-level')));
+  section.appendChild(body);
+  log('buildSectionFromSerialized:done');
+  return section;
+}
+
+// 提取文档中的样式（异步）
+// 参数：doc - 需要提取样式的文档对象
+// 返回：包含所有内联 <style> 文本与同源外链样式内容的字符串数组
+export async function extractStylesFromDocAsync(doc) {
+  log('extractStylesFromDocAsync:start');
+  const texts = Array.from(doc.querySelectorAll('style')).map((s) => s.textContent || '');
+  const links = Array.from(doc.querySelectorAll('link[rel="stylesheet"]'));
+  const tasks = links.map(async (link) => {
+    try {
+      const href = link.getAttribute('href');
+      if (!href) return '';
+      const url = new URL(href, doc.baseURI);
+      if (url.origin !== window.location.origin) return '';
+      const res = await fetch(url.href);
+      if (!res.ok) return '';
+      const css = await res.text();
+      return css || '';
+    } catch {
+      return '';
+    }
+  });
+  const ext = await Promise.all(tasks);
+  const all = texts.concat(ext.filter(Boolean));
+  log('extractStylesFromDocAsync:done', { count: all.length });
+  return all;
+}
+
+// 固化表单状态到克隆节点
+// 参数：origDoc - 原始文档（或根节点）；clonedRoot - 克隆的根节点；options - 同 materializeFormState
+// 作用：保留原有导出名，按结构路径配对控件的实现见 form-state.js
+export function materializeFormValues(origDoc, clonedRoot, options) {
+  return materializeFormState(origDoc, clonedRoot, options);
+}
+
+// 复制画布位图到克隆节点（异步）
+// 参数：origDoc - 原始文档；clonedRoot - 克隆的根节点；locale - 打印语言（默认替代文本）
+// 作用：将原页面中的 canvas 渲染结果在快照中复现，避免空白；图片的替代文本取画布的 aria-label、title 或后备内容
+export async function copyCanvasBitmapsAsync(origDoc, clonedRoot, locale = DEFAULT_LOCALE) {
+  log('copyCanvasBitmapsAsync:start');
+  const origCanvases = origDoc.querySelectorAll('canvas');
+  const clonedCanvases = clonedRoot.querySelectorAll('canvas');
+  const n = Math.min(origCanvases.length, clonedCanvases.length);
+  for (let i = 0; i < n; i++) {
+    const src = origCanvases[i];
+    const dst = clonedCanvases[i];
+    try {
+      const dataURL = src.toDataURL('image/png');
+      const img = clonedRoot.ownerDocument.createElement('img');
+      img.src = dataURL;
+      img.alt = describeCanvas(src, locale);
+      img.style.maxWidth = '100%';
+      dst.replaceWith(img);
+    } catch (e) {
+      // 某些跨域图片会导致 toDataURL 失败，忽略
+      log('copyCanvasBitmapsAsync:error', e && e.message);
+    }
+    await Promise.resolve();
+  }
+  log('copyCanvasBitmapsAsync:done');
+}
+
+// 清理打印快照容器
+// 参数：root - 打印快照容器
+// 作用：清空并隐藏打印快照内容（供页面手动调用；打印会话中的快照容器由打印状态事务恢复）
+export function clearPrintClones(root) {
+  log('clearPrintClones:start');
+  if (!root) return;
+  root.innerHTML = '';
+  root.style.display = 'none';
+  log('clearPrintClones:done');
+}
+
+// 打印快照阶段
+// 参数（opts）：timeout、allowedOrigins - 跨域子页面序列化请求的超时与允许的源；mediaTimeout - 单个媒体资源的等待时间；
+// staticForms - 子页面快照中的表单控件是否替换为静态只读文本
+// 作用：打印前构建子页面快照；快照容器的子节点与显示状态登记到打印状态事务，打印后恢复为打印前的内容（含宽表切片等其他阶段追加的内容）
+export const snapshotStage = {
+  name: 'snapshot',
+  order: 200,
+  prepare(ctx, opts) {
+    return buildPrintClonesAsync(ctx, opts);
+  },
+};
@@ -0,0 +1,32 @@
+import { log } from '../log.js';
+import { formatDateTime, formatMessage } from '../i18n.js';
+
+// 注入水印
+// 参数：doc - 目标文档；text - 水印文本
+// 返回：插入的水印元素
+// 作用：标注打印时间与环境，仅在打印媒体下显示（见 .watermark 样式）；作为装饰对辅助技术隐藏
+export function injectWatermark(doc, text) {
+  log('injectWatermark:start');
+  const wm = doc.createElement('div');
+  wm.className = 'watermark';
+  wm.setAttribute('aria-hidden', 'true');
+  wm.textContent = text;
+  doc.body.appendChild(wm);
+  log('injectWatermark:done');
+  return wm;
+}
+
+// 水印阶段
+// 参数（opts）：text - 水印文本，字符串或 (ctx) => string（默认“打印预览 + 时间”，文字与时间格式随打印语言）
+// 作用：打印前注入水印并登记到打印状态事务，打印后移除；审计阶段生成了打印编号时附在水印文本之后
+export const watermarkStage = {
+  name: 'watermark',
+  order: 500,
+  prepare(ctx, opts) {
+    const text = typeof opts.text === 'function'
+      ? opts.text(ctx)
+      : (opts.text || formatMessage(ctx.locale, 'watermark.preview', { time: formatDateTime(new Date(), ctx.locale) }));
+    const printId = ctx.state.audit && ctx.state.audit.printId;
+    ctx.state.watermark.node = ctx.tx.track(injectWatermark(ctx.doc, printId ? `${text} · ${printId}` : text));
+  },
+};
@@ -0,0 +1,314 @@
+import { log } from '../log.js';
+import { getColumnTableKey, applyColumnConfig, restoreColumnConfig } from '../columns.js';
+import { resolvePageSetup, buildPageRule } from '../pagination.js';
+import { formatList, formatMessage } from '../i18n.js';
+import { annotateTableHeaders, createHeading, createLabelledSection, createPrintElementId, findPrecedingHeading, getTableLabel, resolveSectionLevel } from '../semantics.js';
+
+// 默认超宽阈值：可打印宽度 / 表格实际宽度 小于该值时改用列切片（可由阶段参数 sliceRatio 覆盖）
+export const DEFAULT_SLICE_RATIO = 0.625;
+
+// 默认最小有效字号（px）：缩放后单元格字号低于该值视为不可读
+export const DEFAULT_MIN_FONT_SIZE = 9;
+
+// 横向命名页名称（@page print-landscape）
+export const LANDSCAPE_PAGE_NAME = 'print-landscape';
+
+// 读取表格正文字号
+// 参数：ctx - 打印会话上下文；table - 表格
+// 返回：首个单元格的计算字号（px），无法读取时为 16
+function readTableFontSize(ctx, table) {
+  const cell = table.querySelector('td, th') || table;
+  const view = ctx.win || ctx.doc.defaultView;
+  const size = view && view.getComputedStyle ? parseFloat(view.getComputedStyle(cell).fontSize) : NaN;
+  return size > 0 ? size : 16;
+}
+
+// 选择宽表打印策略
+// 参数：ctx - 打印会话上下文；table - 表格；actual - 表格实际宽度；opts - 阶段参数 { mode, sliceRatio, minFontSize, landscape }
+// 返回：{ strategy: 'none' | 'scale' | 'landscape' | 'slice', ratio }；ratio 为所选纸张方向下的缩放比例
+// 作用：可读性规则——缩放后的有效字号（字号 × 比例）不低于 minFontSize 且比例不低于 sliceRatio 时视为可读。
+// 'auto'（默认）依次尝试：当前方向缩放 → 横向命名页（会话为纵向且未关闭 landscape 时）→ 列切片；
+// 'scale' 只缩放；'landscape' 超宽即改为横向页并按横向宽度缩放；'slice' 超宽即切片
+export function chooseWideTableStrategy(ctx, table, actual, opts = {}) {
+  const portrait = ctx.page.contentWidth;
+  const ratio = actual > 0 ? Math.min(1, portrait / actual) : 1;
+  if (ratio >= 1) return { strategy: 'none', ratio: 1 };
+  const canLandscape = ctx.page.orientation !== 'landscape' && opts.landscape !== false;
+  const landscapeRatio = Math.min(1, resolvePageSetup({ ...ctx.page, orientation: 'landscape' }).contentWidth / actual);
+  if (opts.mode === 'scale') return { strategy: 'scale', ratio };
+  if (opts.mode === 'slice') return { strategy: 'slice', ratio };
+  if (opts.mode === 'landscape') return canLandscape ? { strategy: 'landscape', ratio: landscapeRatio } : { strategy: 'scale', ratio };
+  const fontSize = readTableFontSize(ctx, table);
+  const minFont = opts.minFontSize || DEFAULT_MIN_FONT_SIZE;
+  const minRatio = opts.sliceRatio || DEFAULT_SLICE_RATIO;
+  const readable = (r) => r >= minRatio && fontSize * r >= minFont;
+  if (readable(ratio)) return { strategy: 'scale', ratio };
+  if (canLandscape && readable(landscapeRatio)) return { strategy: 'landscape', ratio: landscapeRatio };
+  return { strategy: 'slice', ratio };
+}
+
+// 将元素放入横向命名页
+// 参数：ctx - 打印会话上下文；el - 宽表容器或快照段落；ratio - 横向可打印宽度下的缩放比例；state - 本阶段状态
+// 作用：设置 page: print-landscape（命名页变化时浏览器自动分页），仍超宽时按横向宽度缩放
+function applyLandscape(ctx, el, ratio, state) {
+  state.landscape.push(el);
+  ctx.tx.setStyle(el, 'page', LANDSCAPE_PAGE_NAME);
+  ctx.tx.setData(el, 'printLandscape', '1');
+  if (ratio < 1) {
+    ctx.tx.setStyle(el, 'transform-origin', 'top left');
+    ctx.tx.setStyle(el, 'transform', `scale(${ratio})`);
+  }
+}
+
+// 读取阶段参数中的列设置
+// 参数：opts - 阶段参数；columns 为 { [表格标识]: 列设置 } 或返回该对象的函数（打印时读取，便于设置修改后立即生效）
+// 返回：全部列设置对象
+function resolveColumnConfigs(opts) {
+  const columns = typeof opts.columns === 'function' ? opts.columns() : opts.columns;
+  return columns && typeof columns === 'object' ? columns : {};
+}
+
+// 按表格标识应用列设置
+// 参数：wrap - 宽表容器；table - 表格；configs - 全部列设置；tx - 打印状态事务（可选，登记恢复）
+function applyTableColumns(wrap, table, configs, tx) {
+  const key = getColumnTableKey(wrap, table);
+  if (!key || !configs[key]) return;
+  const record = applyColumnConfig(wrap, table, configs[key]);
+  if (record && tx) tx.onRollback(() => restoreColumnConfig(record));
+}
+
+// 准备宽表（横向滚动）参与打印
+// 参数：ctx - 打印会话上下文；state - 本阶段状态（记录缩放、横向页与切片结果）；opts - 阶段参数
+// 作用：在打印前针对 .print-hscroll 区域执行自适应处理：先应用列设置（opts.columns），再按可读性规则选择按纸张可打印宽度缩放、
+// 放入横向命名页或按列切片生成打印快照（见 chooseWideTableStrategy）；改动均登记到打印状态事务
+export function prepareWideTablesForPrint(ctx, state, opts = {}) {
+  log('prepareWideTablesForPrint:start');
+  const wraps = ctx.root.querySelectorAll('.print-hscroll');
+  const configs = resolveColumnConfigs(opts);
+  wraps.forEach((wrap) => {
+    try {
+      // 仅处理本次打印范围内（选中页签面板中）的宽表
+      if (!ctx.inScope(wrap)) return;
+      // 快照容器中的宽表由 processWideTablesInCloneRoot 处理
+      if (ctx.cloneContainers().some((c) => c.contains(wrap))) return;
+      const printable = ctx.page.contentWidth;
+      const table = wrap.querySelector('table') || wrap.firstElementChild || wrap;
+      // 先按列设置隐藏与重排列，缩放或切片只针对保留的列
+      if (table.tagName === 'TABLE') applyTableColumns(wrap, table, configs, ctx.tx);
+      const actual = table?.scrollWidth || wrap.scrollWidth;
+      const { strategy, ratio } = chooseWideTableStrategy(ctx, table, actual, opts);
+      if (strategy === 'slice') { // 超宽且缩放不可读：进入列切片
+        state.sections.push(...buildTableColumnSlices(ctx, wrap, ctx.cloneTargetFor(wrap), opts).map(ctx.tx.track));
+        ctx.tx.setData(wrap, 'printSliced', '1');
+        state.sliced.push(wrap);
+        log('prepareWideTablesForPrint:slice', { actual, printable });
+      } else if (strategy === 'landscape') {
+        applyLandscape(ctx, wrap, ratio, state);
+        log('prepareWideTablesForPrint:landscape', { actual, ratio });
+      } else if (strategy === 'scale' && scaleToPrintableWidth(ctx, wrap)) {
+        state.scaled.push(wrap);
+        log('prepareWideTablesForPrint:scale', { actual, printable });
+      }
+    } catch (e) {
+      log('prepareWideTablesForPrint:error', e && e.message);
+    }
+  });
+  log('prepareWideTablesForPrint:done');
+}
+
+// 将元素缩放到可打印宽度
+// 参数：ctx - 打印会话上下文；el - 需要缩放的容器（通常为 .print-hscroll）；printable - 可打印宽度（默认为会话纸张的内容宽度）
+// 返回：是否实际应用了缩放
+// 作用：根据内容实际宽度计算比例，对容器应用 transform 缩放；改动登记到打印状态事务，打印后恢复
+export function scaleToPrintableWidth(ctx, el, printable = ctx.page.contentWidth) {
+  log('scaleToPrintableWidth:start');
+  const content = el.querySelector('table') || el.firstElementChild || el;
+  const actual = content?.scrollWidth || el.scrollWidth;
+  const ratio = Math.min(1, printable / Math.max(1, actual));
+  let applied = false;
+  if (ratio < 1) {
+    ctx.tx.setData(el, 'printScaled', '1');
+    ctx.tx.setStyle(el, 'transform-origin', 'top left');
+    ctx.tx.setStyle(el, 'transform', `scale(${ratio})`);
+    applied = true;
+    log('scaleToPrintableWidth:applied', { ratio });
+  } else {
+    log('scaleToPrintableWidth:skip', { ratio });
+  }
+  log('scaleToPrintableWidth:done');
+  return applied;
+}
+
+// 读取冻结列配置
+// 参数：wrap - 宽表容器；table - 表格；opts - 阶段参数
+// 返回：冻结列索引数组（从 0 开始，升序去重）
+// 作用：优先读取容器或表格上的 data-print-frozen-columns="0,11"，否则使用阶段参数 frozenColumns
+export function getFrozenColumns(wrap, table, opts = {}) {
+  const attr = wrap.getAttribute('data-print-frozen-columns') || table.getAttribute('data-print-frozen-columns');
+  const list = attr ? attr.split(',').map((v) => parseInt(v, 10)) : (opts.frozenColumns || []);
+  return Array.from(new Set(list.filter((n) => Number.isInteger(n) && n >= 0))).sort((a, b) => a - b);
+}
+
+// 按可打印宽度对列分组
+// 参数：widths - 各列宽度；printable - 可打印宽度；frozen - 冻结列索引数组
+// 返回：[[from, to], ...] 非冻结列的分组区间（左闭右开），每组与冻结列一起构成一个切片
+export function groupColumns(widths, printable, frozen = []) {
+  const frozenWidth = frozen.reduce((sum, i) => sum + (widths[i] || 0), 0);
+  // 冻结列过宽时至少保留一列可用宽度，避免死循环
+  const available = Math.max(printable - frozenWidth, 1);
+  const groups = [];
+  let start = -1;
+  let acc = 0;
+  for (let i = 0; i < widths.length; i++) {
+    if (frozen.includes(i)) continue;
+    const w = widths[i] || 100;
+    if (start < 0) start = i;
+    else if (acc + w > available) {
+      groups.push([start, i]);
+      start = i;
+      acc = 0;
+    }
+    acc += w;
+  }
+  if (start >= 0) groups.push([start, widths.length]);
+  return groups;
+}
+
+// 确保表格具有 thead
+// 参数：table - 表格（通常为克隆体）
+// 作用：无 thead 但首行为表头单元格时将其移入 thead，配合打印样式在每页重复表头
+export function ensureTableHead(table) {
+  if (table.tHead || !table.rows.length) return;
+  const first = table.rows[0];
+  if (!Array.from(first.cells).every((c) => c.tagName === 'TH')) return;
+  const thead = table.createTHead();
+  thead.appendChild(first);
+}
+
+// 将宽表按列切片生成打印快照
+// 参数：ctx - 打印会话上下文；wrap - 包裹表格的容器（通常为 .print-hscroll）；target - 切片输出容器（默认为打印快照容器）；opts - 阶段参数
+// 返回：追加到快照容器的切片段落数组
+// 作用：扣除冻结列宽度后按可打印宽度将其余列分组；每个切片克隆表格，只保留冻结列与本组列，
+// 表头放入 thead 以便每页重复，结果追加到输出容器。切片为带标题的区域（标题按打印语言生成，表格名称取可访问名称或表格之前最近的标题，
+// 级别为该标题的下一级），克隆表格的 ID 加切片前缀并补全 scope/headers，隐藏其余列后单元格仍关联到所属表头
+export function buildTableColumnSlices(ctx, wrap, target = ctx.cloneRoot, opts = {}) {
+  log('buildTableColumnSlices:start');
+  const root = target;
+  if (!root) return [];
+  const table = wrap.querySelector('table');
+  if (!table) return [];
+
+  const printable = ctx.page.contentWidth;
+  const headerRow = table.querySelector('thead tr') || table.querySelector('tr');
+  const cells = headerRow ? Array.from(headerRow.cells) : [];
+  const widths = cells.map((c) => c.offsetWidth || 100);
+  let frozen = getFrozenColumns(wrap, table, opts).filter((i) => i < cells.length);
+  // 全部列均被冻结时退化为普通切片
+  if (frozen.length >= cells.length) frozen = [];
+  const groups = groupColumns(widths, printable, frozen);
+  const preceding = findPrecedingHeading(wrap);
+  const label = getTableLabel(table) || (preceding && preceding.textContent.trim()) || formatMessage(ctx.locale, 'wideTable.table');
+  const level = resolveSectionLevel(wrap);
+
+  const sections = groups.map(([from, to], idx) => {
+    const frozenLabel = frozen.length ? formatMessage(ctx.locale, 'wideTable.frozenColumns', { columns: formatList(frozen.map((i) => i + 1), ctx.locale) }) : '';
+    const title = createHeading(ctx.doc, level, formatMessage(ctx.locale, 'wideTable.sliceTitle', { label, index: idx + 1, from: from + 1, to, frozen: frozenLabel }));
+    const section = createLabelledSection(ctx.doc, 'print-clone-section', title);
+
+    const clone = table.cloneNode(true);
+    clone.classList.add('print-slice-table');
+    ensureTableHead(clone);
+    annotateTableHeaders(clone, { prefix: createPrintElementId('print-slice') });
+    Array.from(clone.rows).forEach((row) => {
+      Array.from(row.cells).forEach((cell, ci) => {
+        if ((ci < from || ci >= to) && !frozen.includes(ci)) cell.style.display = 'none';
+      });
+    });
+    section.appendChild(clone);
+    root.appendChild(section);
+    return section;
+  });
+  if (root === ctx.cloneRoot) ctx.tx.setStyle(root, 'display', 'block');
+  log('buildTableColumnSlices:done', { groups, frozen });
+  return sections;
+}
+
+// 处理打印快照容器中的宽表（来自子页面克隆内容）
+// 参数：ctx - 打印会话上下文；state - 本阶段状态；opts - 阶段参数
+// 作用：在构建子页面打印快照后，同样对其中的宽表应用列设置并执行列切片、横向页（所在快照段落）或缩放；多页签模式下包含各面板的快照容器
+export function processWideTablesInCloneRoot(ctx, state, opts = {}) {
+  log('processWideTablesInCloneRoot:start');
+  const containers = ctx.cloneContainers();
+  if (!containers.length) return;
+  const tables = containers.flatMap((c) => Array.from(c.querySelectorAll('table')));
+  const configs = resolveColumnConfigs(opts);
+  tables.forEach((table) => {
+    try {
+      // 快照中的表格打印后随容器清空，无需记录恢复信息
+      if (!table.classList.contains('print-slice-table')) applyTableColumns(table.closest('.print-hscroll') || table.parentElement, table, configs);
+      const actual = table.scrollWidth;
+      const { strategy, ratio } = chooseWideTableStrategy(ctx, table, actual, opts);
+      const section = table.closest('.print-clone-section');
+      if (strategy === 'slice') {
+        if (table.classList.contains('print-slice-table')) return;
+        if (section) {
+          const wrap = ctx.doc.createElement('div');
+          wrap.className = 'print-hscroll';
+          const frozenHost = table.closest('[data-print-frozen-columns]');
+          if (frozenHost) wrap.setAttribute('data-print-frozen-columns', frozenHost.getAttribute('data-print-frozen-columns'));
+          wrap.appendChild(table.cloneNode(true));
+          const slices = buildTableColumnSlices(ctx, wrap, section.parentElement, opts);
+          // 切片位于子页面快照段落之外，沿用段落的样式范围使子页面样式继续生效
+          if (section.hasAttribute('data-print-scope')) slices.forEach((el) => el.setAttribute('data-print-scope', section.getAttribute('data-print-scope')));
+          state.sections.push(...slices.map(ctx.tx.track));
+        }
+        table.style.display = 'none';
+        log('processWideTablesInCloneRoot:slice');
+      } else if (strategy === 'landscape' && section && !section.dataset.printLandscape) {
+        // 快照段落整体放入横向页；同一段落内的多个表格共用该页
+        applyLandscape(ctx, section, 1, state);
+        if (ratio < 1) {
+          table.style.transformOrigin = 'top left';
+          table.style.transform = `scale(${ratio})`;
+        }
+        log('processWideTablesInCloneRoot:landscape', { ratio });
+      } else if (ratio < 1) {
+        table.style.transformOrigin = 'top left';
+        table.style.transform = `scale(${ratio})`;
+        log('processWideTablesInCloneRoot:scale', { ratio });
+      }
+    } catch (e) {
+      log('processWideTablesInCloneRoot:error', e && e.message);
+    }
+  });
+  log('processWideTablesInCloneRoot:done');
+}
+
+// 注入横向命名页规则
+// 参数：ctx - 打印会话上下文；state - 本阶段状态
+// 作用：@page print-landscape 与会话纸张尺寸、页边距一致，仅方向为横向；未使用横向页时不注入
+function injectLandscapePageRule(ctx, state) {
+  if (!state.landscape.length) return;
+  const style = ctx.doc.createElement('style');
+  style.setAttribute('data-print-landscape', '');
+  style.textContent = buildPageRule({ ...ctx.page, orientation: 'landscape' }, LANDSCAPE_PAGE_NAME);
+  ctx.doc.head.appendChild(ctx.tx.track(style));
+}
+
+// 宽表阶段
+// 参数（opts）：frozenColumns - 默认冻结列索引（从 0 开始），可被 data-print-frozen-columns 覆盖；
+// sliceRatio - 可接受的最小缩放比例（默认 0.625）；minFontSize - 缩放后的最小有效字号（px，默认 9）；
+// mode - 'auto'（默认，按可读性规则选择缩放、横向页或切片）| 'scale'（只缩放）| 'landscape'（超宽即横向页）| 'slice'（超宽即切片）；
+// landscape - auto 模式下是否允许横向页（默认 true）；
+// columns - 打印列设置 { [表格标识]: { order, hidden, minWidths } } 或返回该对象的函数（见 printkit/columns.js）
+// 作用：快照构建完成后处理快照容器与打印范围内的宽表（缩放、横向页或列切片）；改动登记到打印状态事务，打印后恢复
+export const wideTableStage = {
+  name: 'wide-table',
+  order: 300,
+  prepare(ctx, opts) {
+    const state = Object.assign(ctx.state['wide-table'], { scaled: [], sliced: [], sections: [], landscape: [] });
+    processWideTablesInCloneRoot(ctx, state, opts);
+    prepareWideTablesForPrint(ctx, state, opts);
+    injectLandscapePageRule(ctx, state);
+  },
+};
@@ -0,0 +1,26 @@
+import { log } from './log.js';
+
+// 读取 JSON 存储项
+// 参数：storage - Storage 对象（通常为 localStorage）；key - 存储键；fallback - 读取失败时的默认值
+// 说明：隐私模式或存储被禁用时 localStorage 访问会抛出异常，此时回退为默认值
+export function readJson(storage, key, fallback) {
+  try {
+    const raw = storage && storage.getItem(key);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch (e) {
+    log('readJson:error', key, e && e.message);
+    return fallback;
+  }
+}
+
+// 写入 JSON 存储项
+// 返回：是否写入成功
+export function writeJson(storage, key, value) {
+  try {
+    storage.setItem(key, JSON.stringify(value));
+    return true;
+  } catch (e) {
+    log('writeJson:error', key, e && e.message);
+    return false;
+  }
+}
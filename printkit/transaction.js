@@ -0,0 +1,148 @@
+import { log } from './log.js';
+
+// 创建打印状态事务
+// 返回：{ setStyle, setAttribute, removeAttribute, setData, addClass, track, replaceChildren, onRollback, rollback, size, done }
+// 作用：打印阶段通过事务修改页面（内联样式、属性、类名、插入节点、子节点），事务在首次修改时记录原值；
+// rollback 按逆序恢复全部改动且只执行一次（打印完成、取消或出错时由会话调用），单项恢复失败只记录日志。
+// 同一元素的同一项被多次修改时只记录最初的值，恢复结果与打印前完全一致。
+export function createPrintTransaction() {
+  const undo = [];
+  const touched = new WeakMap();
+  let done = false;
+
+  // 首次修改某元素的某一项时登记恢复函数；之后的修改不再覆盖原值
+  function once(el, key, record) {
+    let keys = touched.get(el);
+    if (!keys) {
+      keys = new Set();
+      touched.set(el, keys);
+    }
+    if (keys.has(key)) return;
+    keys.add(key);
+    undo.push(record());
+  }
+
+  // 设置内联样式
+  // 参数：el - 元素；prop - 样式属性（连字符形式，如 'transform-origin'）；value - 新值（空串表示移除）
+  function setStyle(el, prop, value) {
+    // 逐项恢复后样式与打印前等价时，还原 style 属性原文（含原本不存在的情况，不留下空的 style=""）
+    once(el, 'style', () => {
+      const raw = el.getAttribute('style');
+      const css = el.style.cssText;
+      return () => {
+        if (el.style.cssText !== css) return;
+        if (raw === null) el.removeAttribute('style'); else el.setAttribute('style', raw);
+      };
+    });
+    once(el, `style:${prop}`, () => {
+      const prev = el.style.getPropertyValue(prop);
+      const priority = el.style.getPropertyPriority(prop);
+      return () => {
+        if (prev) el.style.setProperty(prop, prev, priority); else el.style.removeProperty(prop);
+      };
+    });
+    if (value === '' || value === null || value === undefined) el.style.removeProperty(prop);
+    else el.style.setProperty(prop, String(value));
+  }
+
+  // 记录属性原值（null 表示原本不存在）
+  function recordAttribute(el, name) {
+    once(el, `attr:${name}`, () => {
+      const prev = el.getAttribute(name);
+      return () => {
+        if (prev === null) el.removeAttribute(name); else el.setAttribute(name, prev);
+      };
+    });
+  }
+
+  // 设置属性
+  // 参数：el - 元素；name - 属性名；value - 新值
+  function setAttribute(el, name, value) {
+    recordAttribute(el, name);
+    el.setAttribute(name, String(value));
+  }
+
+  // 移除属性
+  // 参数：el - 元素；name - 属性名
+  function removeAttribute(el, name) {
+    recordAttribute(el, name);
+    el.removeAttribute(name);
+  }
+
+  // 设置 data-* 属性
+  // 参数：el - 元素；key - dataset 键名（驼峰，如 printScaled 对应 data-print-scaled）；value - 新值
+  function setData(el, key, value) {
+    setAttribute(el, `data-${key.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`)}`, value);
+  }
+
+  // 添加类名（元素原本已有该类名时恢复后仍保留）
+  // 参数：el - 元素；name - 类名
+  function addClass(el, name) {
+    once(el, `class:${name}`, () => {
+      const had = el.classList.contains(name);
+      const hadClass = el.hasAttribute('class');
+      return () => {
+        if (!had) el.classList.remove(name);
+        if (!hadClass && !el.getAttribute('class')) el.removeAttribute('class');
+      };
+    });
+    el.classList.add(name);
+  }
+
+  // 登记打印阶段插入的节点，回滚时移除
+  // 参数：node - 已插入或即将插入的节点
+  // 返回：node，便于链式插入
+  function track(node) {
+    if (node) undo.push(() => node.remove());
+    return node;
+  }
+
+  // 替换子节点并记录原子节点
+  // 参数：el - 容器；nodes - 新的子节点数组
+  function replaceChildren(el, nodes = []) {
+    once(el, 'children', () => {
+      const prev = Array.from(el.childNodes);
+      return () => el.replaceChildren(...prev);
+    });
+    el.replaceChildren(...nodes);
+  }
+
+  // 登记自定义恢复函数（如 restoreColumnConfig），与其他改动一起逆序执行
+  // 参数：fn - 恢复函数
+  function onRollback(fn) {
+    if (typeof fn === 'function') undo.push(fn);
+  }
+
+  // 回滚全部改动（只执行一次）
+  // 返回：本次执行的恢复项数量；已回滚时返回 0
+  function rollback() {
+    if (done) return 0;
+    done = true;
+    log('printTransaction.rollback:start', { changes: undo.length });
+    const count = undo.length;
+    while (undo.length) {
+      const fn = undo.pop();
+      try {
+        fn();
+      } catch (e) {
+        log('printTransaction.rollback:error', e && e.message);
+      }
+    }
+    log('printTransaction.rollback:done', { changes: count });
+    return count;
+  }
+
+  return {
+    setStyle,
+    setAttribute,
+    removeAttribute,
+    setData,
+    addClass,
+    track,
+    replaceChildren,
+    onRollback,
+    rollback,
+    size: () => undo.length,
+    done: () => done,
+  };
+}
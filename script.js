@@ -1,3 +1,27 @@
+import {
+  createPrintSession,
+  exportSnapshotHtml,
+  printBatchAsync,
+  exportBatchHtml,
+  openPrintPreview,
+  togglePageBreaks as togglePageBreaksIn,
+  loadProfiles,
+  getActiveProfileId,
+  setActiveProfileId,
+  profileToSessionOptions,
+  renderProfileSelect,
+  togglePrintSelected,
+  loadColumnConfigs,
+  openColumnChooser,
+  PRINT_EVENTS,
+  exposeHeadlessApi,
+  createConsoleSink,
+  createStorageSink,
+  createHttpSink,
+  registerMessages,
+  formatMessage,
+} from './printkit/index.js';
+
 // 统一日志输出
 // 参数：name - 方法名或标签；args - 额外信息
 // 作用：在每个方法执行时输出结构化日志，含时间戳与上下文信息。
@@ -6,29 +30,152 @@ function log(name, ...args) {
   console.log(`[PRINT-DEMO ${ts}]`, name, ...args);
 }
 
+// 列表数据总数（模拟服务端分页）：概览与时间线先渲染第一页，滚动到底部时加载下一页；活动宽表只渲染可视窗口内的行
+const LIST_TOTALS = { content: 120, timeline: 60 };
+const PAGE_SIZE = 20;
+const ACTIVITY_TOTAL = 200;
+const ACTIVITY_WINDOW = 30;
+
+// 活动宽表的全部行（虚拟滚动只把窗口内的行放入 tbody）与打印时的展开状态
+let activityRows = [];
+let activityExpanded = false;
+
+// 列表正在进行的分页请求（按列表ID）
+const pageLoads = new Map();
+
+// 客户档案示例数据（批量打印时逐条切换）与当前显示的档案
+const CRM_RECORDS = [
+  { id: 10086, name: '张三', priority: 'medium', notes: '示例备注：客户对报价有疑问，需安排复谈。', followUp: true, balance: 12800.5 },
+  { id: 10087, name: '李四', priority: 'high', notes: '合同已寄出，等待盖章回传。', followUp: true, balance: 356000 },
+  { id: 10088, name: '王五', priority: 'low', notes: '本月无新增需求，季度回访。', followUp: false, balance: 0 },
+];
+let currentRecord = CRM_RECORDS[0];
+
+// 打印语言（打印语言下拉框选择；null 时由打印方案或页面语言决定），随每次打印、预览、导出与批量任务传入
+let printLocale = null;
+
+// 示例页面的打印文字：页眉页脚（{字段} 由页眉页脚阶段填充）、档案标题、批量打印标题与数据源名称（加载进度提示）
+registerMessages('zh-CN', {
+  'demo.header': '{record} · 应收 {balance}',
+  'demo.footer': '{timestamp} · 打印编号 {printId}',
+  'demo.recordTitle': '客户档案 #{id} · {name}',
+  'demo.batchTitle': '客户档案月度汇总',
+  'demo.sourceContent': '概览',
+  'demo.sourceTimeline': '时间线',
+  'demo.sourceActivities': '活动宽表',
+});
+registerMessages('en-US', {
+  'demo.header': '{record} · Receivable {balance}',
+  'demo.footer': '{timestamp} · Print ID {printId}',
+  'demo.recordTitle': 'Customer record #{id} · {name}',
+  'demo.batchTitle': 'Monthly customer records',
+  'demo.sourceContent': 'Overview',
+  'demo.sourceTimeline': 'Timeline',
+  'demo.sourceActivities': 'Activity table',
+});
+registerMessages('ja-JP', {
+  'demo.header': '{record} · 売掛金 {balance}',
+  'demo.footer': '{timestamp} · 印刷番号 {printId}',
+  'demo.recordTitle': '顧客記録 #{id} · {name}',
+  'demo.batchTitle': '顧客記録 月次まとめ',
+  'demo.sourceContent': '概要',
+  'demo.sourceTimeline': 'タイムライン',
+  'demo.sourceActivities': '活動ワイドテーブル',
+});
+
+// 打印审计记录的接收地址（为空时只写入控制台与 localStorage）
+const AUDIT_ENDPOINT = '';
+
+// 页面打印会话的基础选项
+// 说明：纸张、宽表阈值与策略、水印、默认页签与分页标记由当前打印方案提供，此处只保留与方案无关的页眉页脚字段、
+// 宽表打印列设置（打印时从存储读取，列设置对话框保存后立即生效）、打印前需要加载完整数据的列表、打印审计与语义结构。
+const BASE_SESSION_OPTIONS = {
+  stages: {
+    'data-sources': {
+      sources: [createListSource('content', 'demo.sourceContent'), createListSource('timeline', 'demo.sourceTimeline'), createActivitySource()],
+    },
+    'wide-table': { columns: () => loadColumnConfigs(profileStorage) },
+    audit: {
+      user: '演示用户',
+      recordId: () => currentRecord.id,
+      link: 'https://crm.example.com/print-audit/{printId}',
+      sinks: [createConsoleSink(), createStorageSink(), ...(AUDIT_ENDPOINT ? [createHttpSink(AUDIT_ENDPOINT)] : [])],
+    },
+    // 子页面区域打印时由快照替代，其中的标题不进入大纲
+    semantics: { exclude: '.frame-section' },
+    'header-footer': {
+      header: { center: (ctx) => formatMessage(ctx.locale, 'demo.header') },
+      footer: { right: (ctx) => formatMessage(ctx.locale, 'demo.footer') },
+      fields: {
+        company: '示例科技有限公司',
+        record: (ctx) => getRecordTitle(currentRecord, ctx.locale),
+        user: '演示用户',
+        // 应收金额以人民币记账，按打印语言格式化
+        balance: () => ({ amount: currentRecord.balance, currency: 'CNY' }),
+      },
+    },
+  },
+};
+
+// 读取打印方案存储
+// 返回：localStorage；存储被禁用（访问即抛出异常）时返回 null，方案回退为内置设置
+function getProfileStorage() {
+  try {
+    return window.localStorage;
+  } catch (e) {
+    log('getProfileStorage:error', e && e.message);
+    return null;
+  }
+}
+
+const profileStorage = getProfileStorage();
+const printProfiles = loadProfiles(profileStorage);
+let activeProfileId = getActiveProfileId(profileStorage, printProfiles);
+
+// 按打印方案创建打印会话
+// 参数：id - 打印方案ID；overrides - 额外的会话选项（如无头打印的 printer）
+// 作用：将方案设置（纸张、宽表、水印、页签、分页）合并到基础选项后创建会话
+function createProfileSession(id, overrides = {}) {
+  log('createProfileSession:start', { id });
+  const profile = printProfiles.find((p) => p.id === id) || printProfiles[0];
+  const session = createPrintSession(document, { ...profileToSessionOptions(profile, BASE_SESSION_OPTIONS), ...overrides });
+  log('createProfileSession:done', { id: profile.id });
+  return session;
+}
+
+// 页面打印会话（随打印方案切换而重建）
+let printSession = createProfileSession(activeProfileId);
+
 // 初始化示例数据与绑定事件
 // 说明：页面加载后填充大量内容以形成滚动效果，并绑定打印相关逻辑。
 function bootstrap() {
   log('bootstrap:start');
-  initLongContent(40);
+  initLongContent(PAGE_SIZE * 2);
   initNotesDemo();
   initAttachmentsDemo();
-  initTimelineDemo(30);
-  initActivitiesTableDemo(30);
+  initTimelineDemo(PAGE_SIZE);
+  initActivitiesTableDemo(ACTIVITY_TOTAL);
+  bindInfiniteScroll();
   bindUIEvents();
+  bindProfileSelect();
+  bindLocaleSelect();
+  bindSelectionToggles();
   bindTabs();
   bindPrintLifecycle();
+  bindPrintHooks();
+  bindHeadlessApi();
   log('bootstrap:done');
 }
 
 // 初始化滚动容器内容
-// 参数：count - 生成的条目数量
-// 作用：向滚动容器插入指定数量的条目，制造溢出滚动场景。
+// 参数：count - 追加的条目数量
+// 作用：向滚动容器插入指定数量的条目，制造溢出滚动场景；编号接续已有条目。
 function initLongContent(count) {
   log('initLongContent:start', { count });
   const container = document.getElementById('content');
   const frag = document.createDocumentFragment();
-  for (let i = 1; i <= count; i++) {
+  const start = container.querySelectorAll('.item').length;
+  for (let i = start + 1; i <= start + count; i++) {
     const el = document.createElement('div');
     el.className = 'item';
     el.innerHTML = `
@@ -42,23 +189,94 @@ function initLongContent(count) {
 }
 
 // 绑定交互控件事件
-// 作用：为“打印预览”“切换分页标记”“添加更多内容”按钮绑定动作。
+// 作用：为“打印预览”“应用内预览”“打印全部页签”“打印所选”“导出 HTML”“批量打印”“批量导出”“切换分页标记”“添加更多内容”“打印列设置”按钮绑定动作。
 function bindUIEvents() {
   log('bindUIEvents:start');
   const btnPrint = document.getElementById('btnPrint');
+  const btnPreview = document.getElementById('btnPreview');
+  const btnPrintAll = document.getElementById('btnPrintAll');
+  const btnExport = document.getElementById('btnExport');
+  const btnPrintBatch = document.getElementById('btnPrintBatch');
+  const btnExportBatch = document.getElementById('btnExportBatch');
   const btnPageBreak = document.getElementById('btnPageBreak');
   const btnAppend = document.getElementById('btnAppend');
 
-  btnPrint.addEventListener('click', triggerPrint);
+  btnPrint.addEventListener('click', () => triggerPrint());
+  btnPreview.addEventListener('click', () => triggerPreview());
+  btnPrintAll.addEventListener('click', () => triggerPrint('all'));
+  btnExport.addEventListener('click', () => triggerExport());
+  if (btnPrintBatch) btnPrintBatch.addEventListener('click', () => triggerBatch('print'));
+  if (btnExportBatch) btnExportBatch.addEventListener('click', () => triggerBatch('export'));
   btnPageBreak.addEventListener('click', togglePageBreaks);
   btnAppend.addEventListener('click', () => initLongContent(10));
+  const btnColumns = document.getElementById('btnColumns');
+  if (btnColumns) btnColumns.addEventListener('click', openTableColumnChooser);
   // 绑定各页签的打印按钮
   document.querySelectorAll('.btn-print[data-action="print"]').forEach((el) => {
-    el.addEventListener('click', triggerPrint);
+    el.addEventListener('click', () => triggerPrint());
+  });
+  document.querySelectorAll('.btn-print[data-action="print-selection"]').forEach((el) => {
+    el.addEventListener('click', () => triggerPrintSelection());
   });
   log('bindUIEvents:done');
 }
 
+// 绑定选择打印的勾选交互
+// 作用：点击概览条目、时间线事件或宽表行时切换勾选（点击链接、按钮等交互元素或拖选文本时不切换）
+function bindSelectionToggles() {
+  log('bindSelectionToggles:start');
+  [['content', '.item'], ['timeline', '.item'], ['wide-table-wrap', 'tbody tr']].forEach(([id, selector]) => {
+    const container = document.getElementById(id);
+    if (!container) return;
+    container.addEventListener('click', (evt) => {
+      const target = evt.target.closest(selector);
+      if (!target || !container.contains(target) || evt.target.closest('a, button, input, select, textarea')) return;
+      const sel = window.getSelection();
+      if (sel && !sel.isCollapsed) return;
+      togglePrintSelected(target);
+    });
+  });
+  log('bindSelectionToggles:done');
+}
+
+// 绑定打印方案选择器
+// 作用：渲染位于“打印预览”按钮旁的方案下拉框；切换时记住选择并按新方案重建打印会话
+function bindProfileSelect() {
+  log('bindProfileSelect:start');
+  const select = document.getElementById('printProfile');
+  if (!select) { log('bindProfileSelect:skip'); return; }
+  renderProfileSelect(select, printProfiles, activeProfileId);
+  select.addEventListener('change', () => switchPrintProfile(select.value));
+  log('bindProfileSelect:done');
+}
+
+// 绑定打印语言选择器
+// 作用：选择之后的打印、预览、导出与批量任务生成文字（页眉页脚、水印、切片标题等）与日期、页码、金额格式所用的语言
+function bindLocaleSelect() {
+  log('bindLocaleSelect:start');
+  const select = document.getElementById('printLocale');
+  if (!select) { log('bindLocaleSelect:skip'); return; }
+  select.addEventListener('change', () => {
+    printLocale = select.value || null;
+    log('bindLocaleSelect:change', { locale: printLocale });
+  });
+  log('bindLocaleSelect:done');
+}
+
+// 切换打印方案
+// 参数：id - 打印方案ID
+// 作用：先清理旧会话可能残留的打印状态，再解除其生命周期绑定，按新方案创建并绑定会话
+async function switchPrintProfile(id) {
+  log('switchPrintProfile:start', { id });
+  activeProfileId = id;
+  setActiveProfileId(profileStorage, id);
+  await printSession.cleanup();
+  printSession.unbind();
+  printSession = createProfileSession(id);
+  printSession.bind();
+  log('switchPrintProfile:done', { id });
+}
+
 // 绑定页签切换
 // 作用：CRM页签切换不同组件面板，仅激活一个面板；打印默认只输出当前激活面板
 function bindTabs() {
@@ -84,18 +302,47 @@ function setActiveTab(id) {
 }
 
 // 初始化备注与表单示例
-// 作用：预填充CRM详情页中的表单控件，便于打印快照固化状态
+// 作用：用当前客户档案预填充CRM详情页中的表单控件，便于打印快照固化状态
 function initNotesDemo() {
   log('initNotesDemo:start');
+  applyRecord(currentRecord);
+  log('initNotesDemo:done');
+}
+
+// 生成客户档案标题
+// 参数：record - 客户档案；locale - 打印语言
+function getRecordTitle(record, locale) {
+  return formatMessage(locale, 'demo.recordTitle', { id: record.id, name: record.name });
+}
+
+// 在详情页显示客户档案
+// 参数：record - 客户档案
+// 作用：填充备注页签的表单控件，页眉中的档案名称随之变化
+function applyRecord(record) {
+  log('applyRecord:start', { id: record.id });
+  currentRecord = record;
   const contact = document.getElementById('contactInput');
   const priority = document.getElementById('prioritySelect');
   const notes = document.getElementById('notesTextarea');
   const follow = document.getElementById('followUpCheck');
-  if (contact) contact.value = '张三';
-  if (priority) priority.value = 'medium';
-  if (notes) notes.value = '示例备注：客户对报价有疑问，需安排复谈。';
-  if (follow) follow.checked = true;
-  log('initNotesDemo:done');
+  if (contact) contact.value = record.name;
+  if (priority) priority.value = record.priority;
+  if (notes) notes.value = record.notes;
+  if (follow) follow.checked = record.followUp;
+  log('applyRecord:done', { id: record.id });
+}
+
+// 加载客户档案（模拟接口请求）
+// 参数：id - 档案ID
+// 返回：{ title }，供批量打印生成目录；档案不存在时抛出异常（该条记录跳过，不影响其余记录）
+async function loadRecordAsync(id) {
+  log('loadRecordAsync:start', { id });
+  const record = CRM_RECORDS.find((r) => r.id === id);
+  if (!record) throw new Error(`record ${id} not found`);
+  await new Promise((resolve) => setTimeout(resolve, 100));
+  applyRecord(record);
+  log('loadRecordAsync:done', { id });
+  return { title: getRecordTitle(record, printLocale) };
 }
 
 // 初始化附件与画布示例
@@ -119,14 +366,15 @@ function initAttachmentsDemo() {
 }
 
 // 初始化时间线示例
-// 参数：count - 生成的条目数量
-// 作用：生成纵向滚动的时间线，模拟CRM活动记录
+// 参数：count - 追加的条目数量
+// 作用：生成纵向滚动的时间线，模拟CRM活动记录；编号接续已有事件
 function initTimelineDemo(count) {
   log('initTimelineDemo:start', { count });
   const tl = document.getElementById('timeline');
   if (!tl) { log('initTimelineDemo:skip'); return; }
   const frag = document.createDocumentFragment();
-  for (let i = 1; i <= count; i++) {
+  const start = tl.querySelectorAll('.item').length;
+  for (let i = start + 1; i <= start + count; i++) {
     const el = document.createElement('div');
     el.className = 'item';
     el.innerHTML = `<h3>事件 #${i}</h3><p>CRM时间线事件描述，包含客户互动、任务、邮件等。</p>`;
@@ -138,7 +386,8 @@ function initTimelineDemo(count) {
 
 // 初始化“活动”页签的宽表数据
 // 参数：rows - 生成的行数
-// 作用：填充宽表为多种数据类型，模拟CRM详情页的复杂单元格内容，并触发横向滚动
+// 作用：生成多种数据类型的行，模拟CRM详情页的复杂单元格内容，并触发横向滚动；行保存在 activityRows 中，
+// 由虚拟滚动只渲染可视窗口内的部分
 function initActivitiesTableDemo(rows) {
   log('initActivitiesTableDemo:start', { rows });
   const table = document.querySelector('#wide-table-wrap table');
@@ -151,6 +400,8 @@ function initActivitiesTableDemo(rows) {
     'text', 'longtext', 'currency', 'percent', 'date', 'datetime', 'chip', 'status',
     'link', 'email', 'phone', 'id', 'owner', 'stage', 'region', 'remark'
   ];
+  // 表头记录列标识，打印方案的脱敏规则据此按列匹配（如客户联只保留手机号后 4 位）
+  table.querySelectorAll('thead th').forEach((th, i) => { if (types[i]) th.setAttribute('data-print-column', types[i]); });
 
   const fmtCurrency = (n) => `¥${(n / 100).toFixed(2)}`;
   const fmtPercent = (n) => `${Math.min(99, Math.max(0, n))}%`;
@@ -180,549 +431,218 @@ function initActivitiesTableDemo(rows) {
       else if (t === 'remark') td.textContent = `备注#${rand(1, 999)}`;
       tr.appendChild(td);
     }
-    tbody.appendChild(tr);
+    activityRows.push(tr);
   }
-  log('initActivitiesTableDemo:done', { rows: tbody.children.length, cols: types.length });
+  const wrap = document.getElementById('wide-table-wrap');
+  wrap.addEventListener('scroll', renderActivityWindow);
+  renderActivityWindow();
+  log('initActivitiesTableDemo:done', { rows: activityRows.length, cols: types.length });
+}
+
+// 渲染活动宽表的可视窗口
+// 作用：按纵向滚动位置只把窗口内的行放入 tbody，窗口外的高度由表格上下外边距占位；打印展开期间不处理
+function renderActivityWindow() {
+  if (activityExpanded) return;
+  const wrap = document.getElementById('wide-table-wrap');
+  const table = wrap.querySelector('table');
+  const tbody = table.tBodies[0];
+  const rowHeight = (tbody.rows[0] && tbody.rows[0].offsetHeight) || 37;
+  const start = Math.max(0, Math.min(activityRows.length - ACTIVITY_WINDOW, Math.floor(wrap.scrollTop / rowHeight) - 5));
+  const end = Math.min(activityRows.length, start + ACTIVITY_WINDOW);
+  tbody.replaceChildren(...activityRows.slice(start, end));
+  table.style.marginTop = start ? `${start * rowHeight}px` : '';
+  table.style.marginBottom = end < activityRows.length ? `${(activityRows.length - end) * rowHeight}px` : '';
+}
+
+// 加载列表的下一页（异步）
+// 参数：id - 列表容器ID（content/timeline）；limit - 本次最多加载的条目数；signal - 打印加载的中止信号（超时或打印结束后不再渲染）
+// 返回：是否还有未加载的数据；同一列表并发调用（滚动与打印）共用同一次请求
+function loadNextPageAsync(id, limit = PAGE_SIZE, signal = null) {
+  if (pageLoads.has(id)) return pageLoads.get(id);
+  const el = document.getElementById(id);
+  const task = (async () => {
+    const remaining = LIST_TOTALS[id] - el.querySelectorAll('.item').length;
+    if (remaining > 0 && limit > 0) {
+      log('loadNextPageAsync:start', { id, remaining });
+      await new Promise((resolve) => setTimeout(resolve, 300)); // 模拟接口延迟
+      if (signal && signal.aborted) {
+        log('loadNextPageAsync:aborted', { id });
+        return true;
+      }
+      const n = Math.min(PAGE_SIZE, limit, remaining);
+      if (id === 'timeline') initTimelineDemo(n); else initLongContent(n);
+    }
+    return el.querySelectorAll('.item').length < LIST_TOTALS[id];
+  })();
+  pageLoads.set(id, task);
+  task.finally(() => pageLoads.delete(id));
+  return task;
+}
+
+// 绑定无限滚动
+// 作用：概览与时间线滚动到接近底部时加载下一页
+function bindInfiniteScroll() {
+  log('bindInfiniteScroll:start');
+  Object.keys(LIST_TOTALS).forEach((id) => {
+    const el = document.getElementById(id);
+    if (!el) return;
+    el.addEventListener('scroll', () => {
+      if (el.scrollTop + el.clientHeight >= el.scrollHeight - 40) loadNextPageAsync(id);
+    });
+  });
+  log('bindInfiniteScroll:done');
+}
+
+// 创建分页列表的打印数据源
+// 参数：id - 列表容器ID；labelKey - 加载进度中显示的名称的消息键（按打印语言解析）
+// 返回：数据源适配器，打印前逐页加载剩余条目（已加载的条目打印后保留，与继续滚动加载一致）
+function createListSource(id, labelKey) {
+  const count = () => document.querySelectorAll(`#${id} .item`).length;
+  return {
+    name: id,
+    label: (ctx) => formatMessage(ctx.locale, labelKey),
+    target: `#${id}`,
+    count,
+    total: () => Math.max(LIST_TOTALS[id], count()),
+    loadMore: (ctx, { limit, signal }) => loadNextPageAsync(id, limit, signal),
+  };
+}
+
+// 创建活动宽表的打印数据源
+// 返回：数据源适配器，打印前渲染全部行（不超过行数上限），打印后回到虚拟滚动窗口
+function createActivitySource() {
+  return {
+    name: 'activities',
+    label: (ctx) => formatMessage(ctx.locale, 'demo.sourceActivities'),
+    target: '#wide-table-wrap',
+    count: () => document.querySelectorAll('#wide-table-wrap tbody tr').length,
+    total: () => activityRows.length,
+    expand: (ctx, { limit }) => {
+      const table = document.querySelector('#wide-table-wrap table');
+      activityExpanded = true;
+      table.tBodies[0].replaceChildren(...activityRows.slice(0, limit));
+      table.style.marginTop = '';
+      table.style.marginBottom = '';
+    },
+    restore: () => {
+      activityExpanded = false;
+      renderActivityWindow();
+    },
+  };
 }
 
 // 绑定打印生命周期事件
-// 作用：在进入打印预览前执行预处理，在退出打印后执行清理。
+// 作用：在进入打印预览前执行预处理，在退出打印后执行清理（由打印会话统一调度各阶段）。
 function bindPrintLifecycle() {
   log('bindPrintLifecycle:start');
-  window.addEventListener('beforeprint', handleBeforePrint);
-  window.addEventListener('afterprint', handleAfterPrint);
+  printSession.bind();
   log('bindPrintLifecycle:done');
 }
 
-// 打印预览触发函数
-// 作用：调用浏览器打印预览。配合 beforeprint/afterprint 完成预处理与清理。
-// 打印预览触发函数（异步快照版）
-// 作用：在打印前准备宽表、通知子页面、构建复杂页面打印快照（异步），然后进入打印
-async function triggerPrint() {
-  log('triggerPrint:start');
-  prepareWideTablesForPrint();
-  prepareAllFramesForPrint();
-  const activeTab = getActiveTabId();
-  if (activeTab === 'tab-overview') {
-    await buildPrintClonesAsync();
-  }
-  processWideTablesInCloneRoot();
-  window.print();
-  log('triggerPrint:invoke window.print');
-}
-
-// 获取当前激活的页签ID
-// 作用：用于决定是否构建特定页签的打印快照（如概览中的子页面快照）
-function getActiveTabId() {
-  log('getActiveTabId:start');
-  const panel = document.querySelector('.tab-panel.active');
-  const id = panel ? panel.id : null;
-  log('getActiveTabId:done', { id });
-  return id;
-}
-
-// 打印前预处理
-// 作用：
-// 1) 注入水印，标注打印时间与环境；
-// 2) 可在此处执行数据刷新、懒加载资源、生成分页标记等。
-function handleBeforePrint() {
-  log('handleBeforePrint:start');
-  // 注入水印
-  const wm = document.createElement('div');
-  wm.className = 'watermark';
-  const now = new Date();
-  wm.textContent = `打印预览 ${now.toLocaleString()}`;
-  document.body.appendChild(wm);
-
-  // 示例：可选的动态分页标记生成（默认不启用，使用按钮控制）
-  // generatePageBreaksHeuristic();
-
-  notifySubframes('app-print-prep');
-  log('handleBeforePrint:done');
-}
-
-// 打印后清理
-// 作用：移除打印阶段注入的元素或状态，恢复页面。
-function handleAfterPrint() {
-  log('handleAfterPrint:start');
-  document.querySelectorAll('.watermark').forEach((el) => el.remove());
-  notifySubframes('app-print-clean');
-  restoreSubframeHeights();
-  cleanupWideTablePrint();
-  clearPrintClones();
-  log('handleAfterPrint:done');
-}
-
-// 准备所有同源子页面参与打印
-// 作用：打印前调用子页面的预处理逻辑（事件或显式方法），以便其也能注入水印/分页等。
-function prepareAllFramesForPrint() {
-  log('prepareAllFramesForPrint:start');
-  // 广播打印前事件
-  notifySubframes('app-print-prep');
-  // 调整同源 iframe 高度以包含完整内容
-  adjustSubframeHeightsForPrint();
-  log('prepareAllFramesForPrint:done');
-}
-
-// 向同源 iframe 发送打印生命周期通知
-// 参数：type - 打印阶段类型（app-print-prep/app-print-clean）
-// 作用：通过 postMessage 通知子页面，若暴露方法则直接调用以提高可靠性。
-function notifySubframes(type) {
-  log('notifySubframes:start', { type });
-  const frames = document.querySelectorAll('iframe');
-  frames.forEach((f) => {
-    try {
-      const cw = f.contentWindow;
-      if (!cw) return;
-      cw.postMessage({ type }, '*');
-      if (typeof cw.appBeforePrint === 'function' && type === 'app-print-prep') cw.appBeforePrint();
-      if (typeof cw.appAfterPrint === 'function' && type === 'app-print-clean') cw.appAfterPrint();
-    } catch (e) {
-      // 跨域 iframe 不可访问：此处忽略，依赖其自身实现
-      log('notifySubframes:error', e && e.message);
-    }
+// 绑定打印生命周期事件监听
+// 作用：记录打印结束与失败（打印前的列表数据由 data-sources 阶段加载）
+function bindPrintHooks() {
+  log('bindPrintHooks:start');
+  window.addEventListener(PRINT_EVENTS.DONE, (evt) => log('print:done', { tabs: evt.detail.tabs, profile: evt.detail.profile && evt.detail.profile.id }));
+  window.addEventListener(PRINT_EVENTS.ERROR, (evt) => log('print:error', { phase: evt.detail.phase, message: evt.detail.error && evt.detail.error.message }));
+  log('bindPrintHooks:done');
+}
+
+// 暴露无头打印接口
+// 作用：供 tools/render-pdf.mjs 在无头浏览器中按指定打印方案准备页面并生成 PDF（不弹出打印对话框）；
+// 任务期间解除页面会话的打印事件绑定，避免生成 PDF 触发的 beforeprint 重复准备
+function bindHeadlessApi() {
+  log('bindHeadlessApi:start');
+  exposeHeadlessApi(window, {
+    createSession: (id, overrides) => createProfileSession(id || activeProfileId, overrides),
+    onStart: () => printSession.unbind(),
+    onEnd: () => printSession.bind(),
   });
-  log('notifySubframes:done');
-}
-
-// 调整同源子页面 iframe 高度以包含其完整文档内容
-// 作用：在打印前将 iframe 高度设置为其文档总高度，避免只打印视口区域；打印后恢复原始高度
-function adjustSubframeHeightsForPrint() {
-  log('adjustSubframeHeightsForPrint:start');
-  const frames = document.querySelectorAll('iframe');
-  frames.forEach((f) => {
-    try {
-      const cw = f.contentWindow;
-      const doc = cw?.document;
-      if (!doc) return;
-      const html = doc.documentElement;
-      const body = doc.body;
-      const fullHeight = Math.max(html.scrollHeight, body.scrollHeight);
-      // 保存原始高度以便恢复
-      if (!f.dataset.originalHeight) f.dataset.originalHeight = f.style.height || '';
-      f.style.height = `${fullHeight}px`;
-      // 若父容器可识别，亦展开
-      const wrap = f.parentElement;
-      if (wrap && wrap.classList.contains('iframe-wrap')) {
-        if (!wrap.dataset.originalHeight) wrap.dataset.originalHeight = wrap.style.height || '';
-        wrap.style.height = 'auto';
-        wrap.style.overflow = 'visible';
-      }
-      log('adjustSubframeHeightsForPrint:frame', { id: f.id || null, fullHeight });
-    } catch (e) {
-      // 跨域 iframe：无法读取内容高度，跳过
-      log('adjustSubframeHeightsForPrint:error', e && e.message);
-    }
-  });
-  log('adjustSubframeHeightsForPrint:done');
-}
-
-// 恢复 iframe 到打印前的高度设置
-// 作用：在打印后将 iframe 及其父容器高度恢复，避免影响页面布局
-function restoreSubframeHeights() {
-  log('restoreSubframeHeights:start');
-  const frames = document.querySelectorAll('iframe');
-  frames.forEach((f) => {
-    const orig = f.dataset.originalHeight;
-    if (orig !== undefined) {
-      f.style.height = orig;
-      delete f.dataset.originalHeight;
-    }
-    const wrap = f.parentElement;
-    if (wrap && wrap.classList.contains('iframe-wrap')) {
-      const worig = wrap.dataset.originalHeight;
-      if (worig !== undefined) {
-        wrap.style.height = worig;
-        delete wrap.dataset.originalHeight;
-      }
-      // 恢复滚动
-      wrap.style.overflow = '';
-    }
-    log('restoreSubframeHeights:frame', { id: f.id || null });
-  });
-  log('restoreSubframeHeights:done');
-}
-
-// 构建打印快照（克隆 iframe 内容到父页面）
-// 作用：在打印前将同源子页面的完整内容克隆到父页面的打印专用容器，避免浏览器仅渲染 iframe 视口
-function buildPrintClones() {
-  log('buildPrintClones:start');
-  const root = document.getElementById('print-clone-root');
-  if (!root) return;
-  root.innerHTML = '';
-  const frames = document.querySelectorAll('iframe');
-  frames.forEach((f, idx) => {
-    try {
-      const cw = f.contentWindow;
-      const doc = cw?.document;
-      if (!doc) return;
-      const section = document.createElement('div');
-      section.className = 'print-clone-section';
-      const title = document.createElement('h2');
-      title.textContent = `子页面快照 #${idx + 1}`;
-      section.appendChild(title);
-
-      // 复制子页面内联样式（仅复制 <style> 内容，外链样式此示例不处理）
-      const styleTexts = Array.from(doc.querySelectorAll('style')).map((s) => s.textContent || '');
-      if (styleTexts.length) {
-        const styleEl = document.createElement('style');
-        styleEl.textContent = styleTexts.join('\n');
-        section.appendChild(styleEl);
-      }
-
-      // 深度克隆子页面主体内容
-      const cloned = doc.body.cloneNode(true);
-      section.appendChild(cloned);
-      root.appendChild(section);
-      log('buildPrintClones:cloned', { index: idx + 1 });
-    } catch (e) {
-      // 跨域 iframe：无法克隆，跳过
-      log('buildPrintClones:error', e && e.message);
-    }
-  });
-  // 显示打印快照容器（打印媒体下会强制显示）
-  root.style.display = 'block';
-  log('buildPrintClones:done');
-}
-
-// 构建打印快照（异步，兼容复杂页面）
-// 作用：同源子页面的打印快照将包含其内联样式与可用的外链样式，同时固化表单状态与画布内容
-async function buildPrintClonesAsync() {
-  log('buildPrintClonesAsync:start');
-  const root = document.getElementById('print-clone-root');
-  if (!root) return;
-  root.innerHTML = '';
-  const frames = document.querySelectorAll('iframe');
-  for (let idx = 0; idx < frames.length; idx++) {
-    const f = frames[idx];
-    try {
-      const cw = f.contentWindow;
-      const doc = cw?.document;
-      if (!doc) continue;
-      const section = document.createElement('div');
-      section.className = 'print-clone-section';
-      const title = document.createElement('h2');
-      title.textContent = `子页面快照 #${idx + 1}`;
-      section.appendChild(title);
-
-      const styleTexts = await extractStylesFromDocAsync(doc);
-      if (styleTexts.length) {
-        const styleEl = document.createElement('style');
-        styleEl.textContent = styleTexts.join('\n');
-        section.appendChild(styleEl);
-      }
-
-      const cloned = doc.body.cloneNode(true);
-      section.appendChild(cloned);
+  log('bindHeadlessApi:done');
+}
 
-      materializeFormValues(doc, cloned);
-      await copyCanvasBitmapsAsync(doc, cloned);
+// 打印所选内容
+// 作用：只打印当前页签中勾选的条目、表格行或选中的文本（保留所在区域的标题、表头与样式）；未勾选时按整个页签打印
+async function triggerPrintSelection() {
+  log('triggerPrintSelection:start');
+  await printSession.print({ selection: true, locale: printLocale });
+  log('triggerPrintSelection:done');
+}
 
-      root.appendChild(section);
-      log('buildPrintClonesAsync:cloned', { index: idx + 1 });
-    } catch (e) {
-      log('buildPrintClonesAsync:error', e && e.message);
-    }
-  }
-  root.style.display = 'block';
-  log('buildPrintClonesAsync:done');
-}
-
-// 提取文档中的样式（异步）
-// 参数：doc - 需要提取样式的文档对象
-// 返回：包含所有内联 <style> 文本与同源外链样式内容的字符串数组
-async function extractStylesFromDocAsync(doc) {
-  log('extractStylesFromDocAsync:start');
-  const texts = Array.from(doc.querySelectorAll('style')).map((s) => s.textContent || '');
-  const links = Array.from(doc.querySelectorAll('link[rel="stylesheet"]'));
-  const tasks = links.map(async (link) => {
-    try {
-      const href = link.getAttribute('href');
-      if (!href) return '';
-      const url = new URL(href, doc.baseURI);
-      if (url.origin !== window.location.origin) return '';
-      const res = await fetch(url.href);
-      if (!res.ok) return '';
-      const css = await res.text();
-      return css || '';
-    } catch {
-      return '';
-    }
-  });
-  const ext = await Promise.all(tasks);
-  const all = texts.concat(ext.filter(Boolean));
-  log('extractStylesFromDocAsync:done', { count: all.length });
-  return all;
-}
-
-// 固化表单状态到克隆节点
-// 参数：origDoc - 原始文档；clonedRoot - 克隆的根节点
-// 作用：确保输入框、选择框、文本域在打印快照中展示当前值
-function materializeFormValues(origDoc, clonedRoot) {
-  log('materializeFormValues:start');
-  const origInputs = origDoc.querySelectorAll('input, select, textarea');
-  const clonedInputs = clonedRoot.querySelectorAll('input, select, textarea');
-  const n = Math.min(origInputs.length, clonedInputs.length);
-  for (let i = 0; i < n; i++) {
-    const o = origInputs[i];
-    const c = clonedInputs[i];
-    if (o.tagName === 'INPUT') {
-      const type = o.getAttribute('type') || 'text';
-      if (type === 'checkbox' || type === 'radio') {
-        c.checked = o.checked;
-        if (o.checked) c.setAttribute('checked', ''); else c.removeAttribute('checked');
-      } else {
-        c.value = o.value;
-        c.setAttribute('value', o.value);
-      }
-    } else if (o.tagName === 'TEXTAREA') {
-      c.value = o.value;
-      c.textContent = o.value;
-    } else if (o.tagName === 'SELECT') {
-      c.value = o.value;
-      Array.from(c.options).forEach((opt) => {
-        opt.selected = (opt.value === o.value);
-        if (opt.selected) opt.setAttribute('selected', ''); else opt.removeAttribute('selected');
-      });
-    }
-  }
-  log('materializeFormValues:done');
-}
-
-// 复制画布位图到克隆节点（异步）
-// 参数：origDoc - 原始文档；clonedRoot - 克隆的根节点
-// 作用：将原页面中的 canvas 渲染结果在快照中复现，避免空白
-async function copyCanvasBitmapsAsync(origDoc, clonedRoot) {
-  log('copyCanvasBitmapsAsync:start');
-  const origCanvases = origDoc.querySelectorAll('canvas');
-  const clonedCanvases = clonedRoot.querySelectorAll('canvas');
-  const n = Math.min(origCanvases.length, clonedCanvases.length);
-  for (let i = 0; i < n; i++) {
-    const src = origCanvases[i];
-    const dst = clonedCanvases[i];
-    try {
-      const dataURL = src.toDataURL('image/png');
-      const img = document.createElement('img');
-      img.src = dataURL;
-      img.style.maxWidth = '100%';
-      dst.replaceWith(img);
-    } catch (e) {
-      // 某些跨域图片会导致 toDataURL 失败，忽略
-      log('copyCanvasBitmapsAsync:error', e && e.message);
-    }
-    await Promise.resolve();
-  }
-  log('copyCanvasBitmapsAsync:done');
-}
-
-// 清理打印快照容器
-// 作用：打印完成后清空并隐藏打印快照内容
-function clearPrintClones() {
-  log('clearPrintClones:start');
-  const root = document.getElementById('print-clone-root');
-  if (!root) return;
-  root.innerHTML = '';
-  root.style.display = 'none';
-  log('clearPrintClones:done');
-}
-
-// 准备宽表（横向滚动）参与打印
-// 作用：在打印前针对 .print-hscroll 区域执行自适应处理：优先按页面宽度缩放，若过宽则按列切片生成打印快照
-function prepareWideTablesForPrint() {
-  log('prepareWideTablesForPrint:start');
-  const wraps = document.querySelectorAll('.print-hscroll');
-  wraps.forEach((wrap) => {
-    try {
-      // 仅处理当前可见面板中的宽表
-      const panel = wrap.closest('.tab-panel');
-      if (panel && !panel.classList.contains('active')) return;
-      const printable = document.documentElement.clientWidth;
-      const table = wrap.querySelector('table') || wrap.firstElementChild || wrap;
-      const actual = table?.scrollWidth || wrap.scrollWidth;
-      const ratio = actual > 0 ? printable / actual : 1;
-      if (ratio < 0.625) { // 超宽：进入列切片
-        buildTableColumnSlices(wrap);
-        wrap.dataset.printSliced = '1';
-        log('prepareWideTablesForPrint:slice', { actual, printable });
-      } else {
-        scaleToPrintableWidth(wrap);
-        log('prepareWideTablesForPrint:scale', { actual, printable });
-      }
-    } catch (e) {
-      log('prepareWideTablesForPrint:error', e && e.message);
-    }
+// 打印预览触发函数（异步快照版）
+// 参数：tabs - 需要打印的页签ID数组或 'all'（缺省为当前激活页签）
+// 作用：等待打印生命周期事件监听器登记的任务（如加载剩余时间线）与打印会话各阶段准备（页签展开、子页面通知与展开、快照、宽表、水印），然后进入打印
+async function triggerPrint(tabs) {
+  log('triggerPrint:start', { tabs });
+  await printSession.print({ tabs, locale: printLocale });
+  log('triggerPrint:done');
+}
+
+// 应用内打印预览
+// 参数：tabs - 需要预览的页签ID数组或 'all'（缺省由当前打印方案决定）
+// 作用：按当前打印方案的纸张分页展示打印快照（含宽表切片、分页标记、页眉页脚与水印），可在预览中打印或导出
+async function triggerPreview(tabs) {
+  log('triggerPreview:start', { tabs });
+  const { pages } = await openPrintPreview(printSession, {
+    tabs,
+    locale: printLocale,
+    filename: 'crm-record-snapshot.html',
+    onPrint: () => triggerPrint(tabs),
+    onExport: () => triggerExport(tabs),
   });
-  log('prepareWideTablesForPrint:done');
-}
-
-// 将元素缩放到可打印宽度
-// 参数：el - 需要缩放的容器（通常为 .print-hscroll）
-// 作用：根据内容实际宽度计算比例，对容器应用 transform 缩放，打印后可清理
-function scaleToPrintableWidth(el) {
-  log('scaleToPrintableWidth:start');
-  const printable = document.documentElement.clientWidth;
-  const content = el.querySelector('table') || el.firstElementChild || el;
-  const actual = content?.scrollWidth || el.scrollWidth;
-  const ratio = Math.min(1, printable / Math.max(1, actual));
-  if (ratio < 1) {
-    el.dataset.printScaled = '1';
-    el.style.transformOrigin = 'top left';
-    el.style.transform = `scale(${ratio})`;
-    log('scaleToPrintableWidth:applied', { ratio });
-  } else {
-    log('scaleToPrintableWidth:skip', { ratio });
+  log('triggerPreview:done', { pages });
+}
+
+// 导出打印快照
+// 参数：tabs - 需要导出的页签ID数组或 'all'（缺省为当前激活页签）
+// 作用：复用打印会话的各阶段生成离线可用的单文件 HTML 并下载，不经过浏览器打印对话框
+async function triggerExport(tabs) {
+  log('triggerExport:start', { tabs });
+  const { failures } = await exportSnapshotHtml(printSession, { tabs, locale: printLocale, filename: 'crm-record-snapshot.html' });
+  log('triggerExport:done', { failures: failures.length });
+}
+
+// 批量打印或导出客户档案
+// 参数：mode - 'print'（在隐藏 iframe 中一次性打印）| 'export'（下载单个 HTML 文件）
+// 作用：逐条加载全部示例档案并按全部页签生成快照，记录之间分页，附封面与目录；完成后切换回原档案
+async function triggerBatch(mode) {
+  log('triggerBatch:start', { mode });
+  const original = currentRecord;
+  const options = {
+    ids: CRM_RECORDS.map((r) => r.id),
+    loadRecord: loadRecordAsync,
+    printOptions: { tabs: 'all', locale: printLocale },
+    title: formatMessage(printLocale, 'demo.batchTitle'),
+    cover: { subtitle: '示例科技有限公司' },
+    toc: true,
+    filename: 'crm-records-batch.html',
+    onProgress: (done, total, id) => log('triggerBatch:progress', { done, total, id }),
+  };
+  try {
+    const result = mode === 'export' ? await exportBatchHtml(printSession, options) : await printBatchAsync(printSession, options);
+    log('triggerBatch:done', { records: result.records.length, errors: result.errors });
+  } finally {
+    applyRecord(original);
   }
-  log('scaleToPrintableWidth:done');
 }
 
-// 将宽表按列切片生成打印快照
-// 参数：wrap - 包裹表格的容器（通常为 .print-hscroll）
-// 作用：按可打印宽度将列分组，克隆表格并隐藏非本组列，克隆结果追加到 #print-clone-root
-function buildTableColumnSlices(wrap) {
-  log('buildTableColumnSlices:start');
-  const root = document.getElementById('print-clone-root');
-  if (!root) return;
-  const table = wrap.querySelector('table');
-  if (!table) return;
-
-  const printable = document.documentElement.clientWidth;
-  const headerRow = table.querySelector('thead tr') || table.querySelector('tr');
-  const cells = headerRow ? Array.from(headerRow.cells) : [];
-  const colCount = cells.length;
-  const widths = cells.map((c) => c.offsetWidth || 100);
-
-  const groups = [];
-  let start = 0;
-  let acc = 0;
-  for (let i = 0; i < colCount; i++) {
-    const w = widths[i] || 100;
-    if (acc + w > printable && i > start) {
-      groups.push([start, i]);
-      start = i;
-      acc = 0;
-    }
-    acc += w;
-    if (i === colCount - 1) groups.push([start, i + 1]);
-  }
-
-  groups.forEach(([from, to], idx) => {
-    const section = document.createElement('div');
-    section.className = 'print-clone-section';
-    const title = document.createElement('h2');
-    title.textContent = `表格列切片 #${idx + 1}（列 ${from + 1} ~ ${to}）`;
-    section.appendChild(title);
-
-    const clone = table.cloneNode(true);
-    Array.from(clone.rows).forEach((row) => {
-      Array.from(row.cells).forEach((cell, ci) => {
-        if (ci < from || ci >= to) cell.style.display = 'none';
-      });
-    });
-    section.appendChild(clone);
-    root.appendChild(section);
-  });
-  root.style.display = 'block';
-  log('buildTableColumnSlices:done', { groups });
-}
-
-// 清理宽表的打印阶段状态
-// 作用：移除缩放样式与状态标记；切片快照由 clearPrintClones 统一清理
-function cleanupWideTablePrint() {
-  log('cleanupWideTablePrint:start');
-  document.querySelectorAll('.print-hscroll[data-printScaled="1"]').forEach((el) => {
-    el.style.transform = '';
-    el.style.transformOrigin = '';
-    delete el.dataset.printScaled;
-    log('cleanupWideTablePrint:scaledCleared');
-  });
-  document.querySelectorAll('.print-hscroll[data-print-sliced="1"]').forEach((el) => {
-    delete el.dataset.printSliced;
-    log('cleanupWideTablePrint:slicedCleared');
-  });
-  log('cleanupWideTablePrint:done');
-}
-
-// 处理打印快照容器中的宽表（来自子页面克隆内容）
-// 作用：在父页面构建子页面打印快照后，同样对其中的宽表执行列切片（或缩放）
-function processWideTablesInCloneRoot() {
-  log('processWideTablesInCloneRoot:start');
-  const root = document.getElementById('print-clone-root');
-  if (!root) return;
-  const tables = root.querySelectorAll('table');
-  const printable = document.documentElement.clientWidth;
-  tables.forEach((table) => {
-    try {
-      const actual = table.scrollWidth;
-      const ratio = actual > 0 ? printable / actual : 1;
-      if (ratio < 0.625) {
-        const section = table.closest('.print-clone-section');
-        if (section) {
-          const wrap = document.createElement('div');
-          wrap.className = 'print-hscroll';
-          wrap.appendChild(table.cloneNode(true));
-          buildTableColumnSlices(wrap);
-        }
-        table.style.display = 'none';
-        log('processWideTablesInCloneRoot:slice');
-      } else if (ratio < 1) {
-        table.style.transformOrigin = 'top left';
-        table.style.transform = `scale(${ratio})`;
-        log('processWideTablesInCloneRoot:scale', { ratio });
-      }
-    } catch (e) {
-      log('processWideTablesInCloneRoot:error', e && e.message);
-    }
+// 打开宽表的打印列设置
+// 作用：选择宽表打印哪些列、列的打印顺序与最小宽度，按表格（#wide-table-wrap）保存到 localStorage
+function openTableColumnChooser() {
+  log('openTableColumnChooser:start');
+  const table = document.querySelector('#wide-table-wrap table');
+  if (!table) { log('openTableColumnChooser:skip'); return; }
+  openColumnChooser(table, {
+    storage: profileStorage,
+    onSave: (config) => log('openTableColumnChooser:saved', { reset: !config }),
   });
-  log('processWideTablesInCloneRoot:done');
+  log('openTableColumnChooser:done');
 }
 
 // 切换分页标记
-// 作用：在若干条目后插入或移除分页标记，便于打印分页控制。
+// 作用：按打印会话的纸张设置测量概览滚动容器，插入或移除分页标记，便于打印分页控制。
 function togglePageBreaks() {
-  log('togglePageBreaks:start');
-  const content = document.getElementById('content');
-  const hasBreaks = content.querySelector('.page-break');
-  if (hasBreaks) {
-    content.querySelectorAll('.page-break').forEach((el) => el.remove());
-    log('togglePageBreaks:removed');
-    return;
-  }
-  const items = content.querySelectorAll('.item');
-  // 简单策略：每 12 条插入一个分页标记（实际项目中可根据高度与纸张尺寸更精细化计算）
-  for (let i = 0; i < items.length; i++) {
-    if (i > 0 && i % 12 === 0) {
-      const br = document.createElement('div');
-      br.className = 'page-break';
-      items[i].before(br);
-    }
-  }
-  log('togglePageBreaks:inserted');
-}
-
-// 依据高度的分页标记生成（演示用）
-// 作用：尝试按近似高度阈值（A4 页）生成分页标记；受缩放与样式影响，需根据实际项目调整参数。
-function generatePageBreaksHeuristic() {
-  log('generatePageBreaksHeuristic:start');
-  const content = document.getElementById('content');
-  content.querySelectorAll('.page-break').forEach((el) => el.remove());
-
-  // 近似阈值（像素）：取决于浏览器 DPI 与缩放；这里仅示例。
-  const pageHeightPx = 1000; // 可按需微调
-  let acc = 0;
-
-  const nodes = Array.from(content.children);
-  for (let i = 0; i < nodes.length; i++) {
-    const node = nodes[i];
-    const rect = node.getBoundingClientRect();
-    acc += rect.height;
-    if (acc >= pageHeightPx && node.classList.contains('item')) {
-      const br = document.createElement('div');
-      br.className = 'page-break';
-      node.before(br);
-      acc = 0;
-    }
-  }
-  log('generatePageBreaksHeuristic:done');
+  togglePageBreaksIn(document.getElementById('content'), printSession.page);
 }
 
 // 启动
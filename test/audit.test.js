@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { auditStage } from '../printkit/stages/audit.js';
+import { snapshotStage } from '../printkit/stages/snapshot.js';
+import { createPrintSession } from '../printkit/session.js';
+import { createWindow, waitFor } from './dom.js';
+
+// 创建带同源子页面的打印会话
+// 参数：entries - 审计记录的接收数组；options - createPrintSession 的附加选项
+// 返回：{ window, session }
+function createFramePage(entries, options = {}) {
+  const window = createWindow('<p>客户资料</p><iframe title="合同"></iframe><div id="print-clone-root" style="display:none"></div>');
+  window.document.querySelector('iframe').contentDocument.body.innerHTML = '<p>合同编号 HT-2024-001</p>';
+  const sink = { name: 'memory', write: (entry) => { entries.push(entry); } };
+  const session = createPrintSession(window.document, { window, plugins: [snapshotStage, auditStage], stages: { audit: { sinks: [sink] } }, ...options });
+  return { window, session };
+}
+
+test('Ctrl+P audit hash covers child-frame content that finished after the audit stage', async () => {
+  const expected = [];
+  await createFramePage(expected, { printer: async () => {} }).session.print();
+  assert.equal(expected.length, 1);
+
+  const entries = [];
+  const { window, session } = createFramePage(entries);
+  session.bind();
+  window.dispatchEvent(new window.Event('beforeprint'));
+  await waitFor(() => window.document.querySelector('.print-clone-section'));
+  window.dispatchEvent(new window.Event('afterprint'));
+  assert.ok(await waitFor(() => entries.length));
+  assert.equal(entries[0].action, 'print');
+  assert.equal(entries[0].hash, expected[0].hash);
+  session.unbind();
+});
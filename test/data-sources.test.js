@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPrintTransaction } from '../printkit/transaction.js';
+import { loadDataSourceAsync } from '../printkit/stages/data-sources.js';
+import { createWindow } from './dom.js';
+
+// 创建只含数据源所需字段的打印会话上下文
+function createContext() {
+  const { document } = createWindow('<ul id="list"></ul>');
+  return { doc: document, root: document, tx: createPrintTransaction() };
+}
+
+test('a timed-out page is aborted and restore waits for it to settle', async () => {
+  const ctx = createContext();
+  const events = [];
+  let rows = 0;
+  const source = {
+    name: 'slow',
+    target: '#list',
+    count: () => rows,
+    loadMore: (c, { signal }) => new Promise((resolve) => setTimeout(() => {
+      if (!signal.aborted) rows += 20;
+      events.push(`settled:${signal.aborted}`);
+      resolve(true);
+    }, 60)),
+    restore: () => events.push(`restore:${rows}`),
+  };
+  const result = await loadDataSourceAsync(ctx, source, { timeout: 10 });
+  assert.equal(result.timedOut, true);
+  assert.equal(result.loaded, 0);
+  ctx.tx.rollback();
+  assert.deepEqual(events, []);
+  await new Promise((resolve) => setTimeout(resolve, 100));
+  assert.deepEqual(events, ['settled:true', 'restore:0']);
+});
+
+test('a page that adds no rows stops the loop as stalled', async () => {
+  const ctx = createContext();
+  let calls = 0;
+  const source = { name: 'stuck', target: '#list', count: () => 3, loadMore: async () => { calls += 1; return true; } };
+  const result = await loadDataSourceAsync(ctx, source, { timeout: 100 });
+  assert.equal(calls, 1);
+  assert.equal(result.stalled, true);
+  ctx.tx.rollback();
+});
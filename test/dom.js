@@ -0,0 +1,43 @@
+import { JSDOM } from 'jsdom';
+
+// PrintKit 的结构化日志（log.js）在测试中不输出，避免淹没测试结果
+const print = console.log;
+console.log = (...args) => {
+  if (!String(args[0]).startsWith('[PRINTKIT')) print(...args);
+};
+
+// 创建测试文档
+// 参数：body - body 内的 HTML；options - { url: 文档地址（默认 http://localhost/）, lang: html 的 lang }
+// 返回：jsdom 的 window；被测模块直接使用的全局对象（DOMParser、window 等）同时指向该窗口
+export function createWindow(body = '', options = {}) {
+  const lang = options.lang ? ` lang="${options.lang}"` : '';
+  const { window } = new JSDOM(`<!doctype html><html${lang}><head></head><body>${body}</body></html>`, { url: options.url || 'http://localhost/', pretendToBeVisual: true });
+  ['DOMParser', 'XMLSerializer', 'Node', 'HTMLElement', 'CustomEvent', 'Event'].forEach((key) => { globalThis[key] = window[key]; });
+  globalThis.window = window;
+  globalThis.document = window.document;
+  return window;
+}
+
+// 以 HTML 片段创建查询范围
+// 参数：html - 片段内容
+// 返回：已插入 body 的 div
+export function createRoot(html) {
+  const { document } = createWindow();
+  const root = document.createElement('div');
+  root.innerHTML = html;
+  document.body.appendChild(root);
+  return root;
+}
+
+// 等待条件成立
+// 参数：check - 返回真值时结束；timeout - 最长等待时间（毫秒，默认 2000）
+// 返回：check 的最后一次结果
+export async function waitFor(check, timeout = 2000) {
+  const end = Date.now() + timeout;
+  let result = check();
+  while (!result && Date.now() < end) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    result = check();
+  }
+  return result;
+}
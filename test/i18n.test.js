@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_LOCALE, resolveLocale, formatMessage, registerMessages } from '../printkit/i18n.js';
+
+test('resolveLocale matches exactly, then by primary language, then falls back to the default', () => {
+  assert.equal(resolveLocale('en-US'), 'en-US');
+  assert.equal(resolveLocale('EN_us'), 'en-US');
+  assert.equal(resolveLocale('en-GB'), 'en-US');
+  assert.equal(resolveLocale('ja'), 'ja-JP');
+  assert.equal(resolveLocale('zh-Hans-CN'), 'zh-CN');
+  assert.equal(resolveLocale('fr-FR'), DEFAULT_LOCALE);
+  assert.equal(resolveLocale(''), DEFAULT_LOCALE);
+  assert.equal(resolveLocale(null), DEFAULT_LOCALE);
+});
+
+test('formatMessage fills placeholders and keeps placeholders without a parameter', () => {
+  assert.equal(formatMessage('en-US', 'batch.recordCount', { count: 3 }), '3 records');
+  assert.equal(formatMessage('ja', 'snapshot.frameTitle', { index: 2 }), '埋め込みページ #2');
+  assert.equal(formatMessage('en-US', 'watermark.preview', { time: null }), 'Print preview {time}');
+  assert.equal(formatMessage('en-US', 'batch.toc', { unused: 'x' }), 'Contents');
+});
+
+test('formatMessage falls back to the default locale, then to the key', () => {
+  registerMessages('fr-FR', { 'batch.toc': 'Sommaire' });
+  assert.equal(formatMessage('fr', 'batch.toc'), 'Sommaire');
+  assert.equal(formatMessage('fr-FR', 'batch.recordCount', { count: 2 }), '共 2 份记录');
+  assert.equal(formatMessage('en-US', 'missing.key'), 'missing.key');
+});
@@ -0,0 +1,14 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { notifySubframes } from '../printkit/stages/iframe-expansion.js';
+import { MESSAGE_TYPES } from '../printkit/protocol.js';
+import { createRoot } from './dom.js';
+
+test('notifySubframes skips frames outside the print scope, including the legacy fallback', async () => {
+  const root = createRoot('<section id="a"><iframe id="fa"></iframe></section><section id="b"><iframe id="fb"></iframe></section>');
+  const called = [];
+  root.querySelectorAll('iframe').forEach((f) => { f.contentWindow.appBeforePrint = () => called.push(f.id); });
+  const results = await notifySubframes(root, MESSAGE_TYPES.PREP, { timeout: 50, inScope: (el) => !!el.closest('#a') });
+  assert.deepEqual(results.map((r) => r.frame.id), ['fa']);
+  assert.deepEqual(called, ['fa']);
+});
@@ -0,0 +1,18 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolvePageParam } from '../tools/pdf-server.mjs';
+
+test('resolvePageParam normalizes paths under the server root', () => {
+  assert.equal(resolvePageParam(undefined), 'index.html');
+  assert.equal(resolvePageParam('index.html'), 'index.html');
+  assert.equal(resolvePageParam('/reports/./daily.html'), 'reports/daily.html');
+  assert.equal(resolvePageParam('reports/../index.html'), 'index.html');
+});
+
+test('resolvePageParam rejects absolute URLs and paths outside the root', () => {
+  assert.equal(resolvePageParam('https://evil.example.com/'), null);
+  assert.equal(resolvePageParam('file:///etc/passwd'), null);
+  assert.equal(resolvePageParam('javascript:alert(1)'), null);
+  assert.equal(resolvePageParam('/'), null);
+  assert.equal(resolvePageParam('../secret.html'), 'secret.html');
+});
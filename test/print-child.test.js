@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { createWindow, waitFor } from './dom.js';
+
+const SCRIPT = readFileSync(new URL('../print-child.js', import.meta.url), 'utf8');
+
+test('repeated bind replaces hooks without handling a request twice', async () => {
+  const window = createWindow('<p>子页面</p>');
+  window.eval(SCRIPT);
+  const calls = [];
+  window.PrintKitChild.bind({ onBeforePrint: () => calls.push('first') });
+  window.PrintKitChild.bind({ onBeforePrint: () => calls.push('second') });
+  const replies = [];
+  window.parent.postMessage = (reply) => replies.push(reply);
+  const { channel, version } = window.PrintKitChild.protocol;
+  window.dispatchEvent(new window.MessageEvent('message', {
+    data: { channel, version, id: 'r1', type: 'app-print-prep', payload: {} },
+    origin: window.location.origin,
+    source: window.parent,
+  }));
+  await waitFor(() => replies.length);
+  assert.deepEqual(calls, ['second']);
+  assert.deepEqual(replies.map((r) => [r.replyTo, r.type]), [['r1', 'app-print-ready']]);
+});
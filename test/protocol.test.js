@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PROTOCOL_CHANNEL, PROTOCOL_VERSION, MESSAGE_TYPES, isProtocolMessage, getFrameOrigin, requestFrame } from '../printkit/protocol.js';
+import { createRoot } from './dom.js';
+
+// 创建 iframe，并记录父页面发给它的请求
+function createFrame(attrs = '') {
+  const root = createRoot(`<iframe ${attrs}></iframe>`);
+  const frame = root.querySelector('iframe');
+  const sent = [];
+  if (frame.contentWindow) frame.contentWindow.postMessage = (msg, origin) => sent.push({ msg, origin });
+  return { frame, sent, win: root.ownerDocument.defaultView };
+}
+
+// 以指定来源向父页面派发应答
+function reply(win, data, { source, origin = 'http://localhost' }) {
+  win.dispatchEvent(new win.MessageEvent('message', { data, source, origin }));
+}
+
+test('isProtocolMessage requires the channel and a numeric version', () => {
+  assert.equal(isProtocolMessage({ channel: PROTOCOL_CHANNEL, version: PROTOCOL_VERSION, type: 'x' }), true);
+  assert.equal(isProtocolMessage({ channel: PROTOCOL_CHANNEL, version: '1' }), false);
+  assert.equal(isProtocolMessage({ channel: 'other', version: 1 }), false);
+  assert.equal(isProtocolMessage({ type: MESSAGE_TYPES.PREP }), false);
+  assert.equal(isProtocolMessage(null), false);
+});
+
+test('getFrameOrigin resolves src and inherits the parent origin for blank and srcdoc frames', () => {
+  const { frame } = createFrame('src="https://child.example.com/page.html"');
+  assert.equal(getFrameOrigin(frame, frame.ownerDocument), 'https://child.example.com');
+  frame.setAttribute('src', 'about:blank');
+  assert.equal(getFrameOrigin(frame, frame.ownerDocument), 'http://localhost');
+  frame.setAttribute('src', 'https://child.example.com/');
+  frame.setAttribute('srcdoc', '<p>x</p>');
+  assert.equal(getFrameOrigin(frame, frame.ownerDocument), 'http://localhost');
+});
+
+test('requestFrame does not post to origins outside the allow list', async () => {
+  const { frame, sent } = createFrame();
+  const result = await requestFrame(frame, MESSAGE_TYPES.PREP, { allowedOrigins: ['https://other.example.com'] });
+  assert.equal(result.ok, false);
+  assert.equal(result.error, 'origin-not-allowed');
+  assert.equal(sent.length, 0);
+});
+
+test('requestFrame only accepts a matching reply from the frame window and an allowed origin', async () => {
+  const { frame, sent, win } = createFrame();
+  const pending = requestFrame(frame, MESSAGE_TYPES.PREP, { timeout: 500 });
+  assert.equal(sent.length, 1);
+  const { msg, origin } = sent[0];
+  assert.equal(origin, 'http://localhost');
+  assert.deepEqual([msg.channel, msg.version, msg.type], [PROTOCOL_CHANNEL, PROTOCOL_VERSION, MESSAGE_TYPES.PREP]);
+  const ready = { channel: PROTOCOL_CHANNEL, version: PROTOCOL_VERSION, replyTo: msg.id, type: 'app-print-ready', payload: { height: 10 } };
+  const forged = { ...ready, payload: { height: 99 } };
+  reply(win, forged, { source: win });
+  reply(win, forged, { source: frame.contentWindow, origin: 'https://evil.example.com' });
+  reply(win, { ...forged, replyTo: 'other' }, { source: frame.contentWindow });
+  reply(win, { type: 'app-print-ready', replyTo: msg.id, payload: { height: 99 } }, { source: frame.contentWindow });
+  reply(win, ready, { source: frame.contentWindow });
+  const result = await pending;
+  assert.equal(result.ok, true);
+  assert.equal(result.reply.payload.height, 10);
+});
+
+test('requestFrame times out without a valid reply', async () => {
+  const { frame } = createFrame();
+  const result = await requestFrame(frame, MESSAGE_TYPES.CLEAN, { timeout: 20 });
+  assert.deepEqual([result.ok, result.timedOut, result.error], [false, true, 'timeout']);
+});
@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  maskText,
+  normalizeRedactionRule,
+  findRedactionTargets,
+  transformText,
+  applyRedactionRules,
+  redactionStage,
+} from '../printkit/stages/redaction.js';
+import { snapshotStage } from '../printkit/stages/snapshot.js';
+import { createPrintSession } from '../printkit/session.js';
+import { createRoot, createWindow, waitFor } from './dom.js';
+
+// 读取表格各行的单元格文本
+function readRows(root) {
+  return Array.from(root.querySelectorAll('tr')).map((tr) => Array.from(tr.cells).map((c) => c.textContent));
+}
+
+test('maskText keeps the last N non-whitespace characters', () => {
+  assert.equal(maskText('13812345678'), '*******5678');
+  assert.equal(maskText('138 1234 5678', { keep: 2, char: '#' }), '### #### ##78');
+  assert.equal(maskText('abc', { keep: 0 }), '***');
+  assert.equal(maskText('ab', { keep: 4 }), 'ab');
+});
+
+test('mask rule keeps the last N characters across several text nodes', () => {
+  const root = createRoot('<p class="phone"><b>138</b> 1234<i>56</i>78</p>');
+  const count = applyRedactionRules(root, [normalizeRedactionRule({ selector: '.phone', keep: 4 })]);
+  assert.equal(count, 1);
+  assert.equal(root.querySelector('.phone').innerHTML, '<b>***</b> ****<i>56</i>78');
+});
+
+test('pattern-only rule targets matching text and masks only the match', () => {
+  const root = createRoot('<p>联系电话 13812345678</p><p>无敏感信息</p><input value="mail a@b.com">');
+  const rule = normalizeRedactionRule({ pattern: '1\\d{10}', keep: 4 });
+  const targets = findRedactionTargets(root, rule);
+  assert.deepEqual(targets.map((el) => el.tagName), ['P']);
+  applyRedactionRules(root, [rule]);
+  assert.equal(root.querySelector('p').textContent, '联系电话 *******5678');
+  assert.equal(root.querySelectorAll('p')[1].textContent, '无敏感信息');
+  assert.equal(root.querySelector('input').value, 'mail a@b.com');
+});
+
+test('transformText applies blank and hide to pattern matches or the whole text', () => {
+  assert.equal(transformText('a@b.com x@y.com', normalizeRedactionRule({ pattern: '\\S+@', action: 'blank', replacement: '[email]' })), '[email]b.com [email]y.com');
+  assert.equal(transformText('ID-310748', normalizeRedactionRule({ pattern: '\\d+', action: 'hide' })), 'ID-');
+  assert.equal(transformText('内部备注', normalizeRedactionRule({ selector: 'p', action: 'blank' })), '');
+});
+
+test('column hide removes the header and every cell of the column', () => {
+  const root = createRoot(`
+    <table>
+      <thead><tr><th>姓名</th><th data-print-column="phone">手机号</th><th>备注</th></tr></thead>
+      <tbody><tr><td>张三</td><td>13812345678</td><td>a</td></tr><tr><td>李四</td><td>13987654321</td><td>b</td></tr></tbody>
+    </table>`);
+  const rule = normalizeRedactionRule({ column: 'phone', action: 'hide' });
+  assert.equal(findRedactionTargets(root, rule).length, 3);
+  applyRedactionRules(root, [rule]);
+  assert.deepEqual(readRows(root), [['姓名', '备注'], ['张三', 'a'], ['李四', 'b']]);
+});
+
+test('column mask by header text leaves the header untouched', () => {
+  const root = createRoot('<table><thead><tr><th>手机号</th></tr></thead><tbody><tr><td>13812345678</td></tr></tbody></table>');
+  applyRedactionRules(root, [normalizeRedactionRule({ column: '手机号' })]);
+  assert.deepEqual(readRows(root), [['手机号'], ['*******5678']]);
+});
+
+test('invalid rules normalize to null', () => {
+  assert.equal(normalizeRedactionRule({ pattern: '(' }), null);
+  assert.equal(normalizeRedactionRule({ selector: '.x', pattern: '[', flags: 'i' }), null);
+  assert.equal(normalizeRedactionRule({ action: 'mask' }), null);
+});
+
+test('a failing rule throws instead of being skipped', () => {
+  const root = createRoot('<p>13812345678</p>');
+  assert.throws(() => applyRedactionRules(root, [normalizeRedactionRule({ selector: '[[bad' })]));
+});
+
+test('Ctrl+P redacts child-frame snapshots appended after the redaction stage ran', async () => {
+  const window = createWindow('<iframe id="child" title="客户资料"></iframe><div id="print-clone-root" style="display:none"></div>');
+  const { document } = window;
+  document.getElementById('child').contentDocument.body.innerHTML = '<p class="phone">13812345678</p>';
+  const session = createPrintSession(document, {
+    window,
+    plugins: [snapshotStage, redactionStage],
+    stages: { redaction: { rules: [{ selector: '.phone', keep: 4 }] } },
+  });
+  session.bind();
+  window.dispatchEvent(new window.Event('beforeprint'));
+  const phone = await waitFor(() => document.querySelector('#print-clone-root .phone'));
+  assert.ok(phone, 'child frame snapshot was not built');
+  assert.equal(phone.textContent, '*******5678');
+  window.dispatchEvent(new window.Event('afterprint'));
+  assert.ok(await waitFor(() => !document.querySelector('#print-clone-root .phone')));
+  session.unbind();
+});
@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { sanitizeSerializedHtml, scopeSelector } from '../printkit/stages/snapshot.js';
+import { createWindow } from './dom.js';
+
+// 清理片段并返回插入文档后的容器
+function sanitize(html) {
+  const { document } = createWindow();
+  const root = document.createElement('div');
+  root.appendChild(sanitizeSerializedHtml(document, html));
+  return root;
+}
+
+test('sanitizer drops form actions and unwraps forms', () => {
+  const root = sanitize('<form action="https://evil.test/steal"><input name="q" value="1"><button formaction="javascript:alert(1)">提交</button></form>');
+  assert.equal(root.querySelector('form'), null);
+  assert.equal(root.querySelector('input').getAttribute('value'), '1');
+  assert.equal(root.querySelector('input').hasAttribute('name'), false);
+  assert.equal(root.querySelector('button').hasAttribute('formaction'), false);
+  assert.equal(root.querySelector('button').textContent, '提交');
+});
+
+test('sanitizer removes SVG animation elements that can rewrite href', () => {
+  const root = sanitize('<svg><a href="#x"><animate attributeName="href" values="javascript:alert(1)"></animate><set attributeName="href" to="javascript:alert(1)"></set><text>点击</text></a></svg>');
+  assert.equal(root.querySelector('animate, set'), null);
+  assert.equal(root.querySelector('a').getAttribute('href'), '#x');
+  assert.equal(root.textContent, '点击');
+});
+
+test('sanitizer removes frames, portals, objects and foreignObject with their content', () => {
+  const root = sanitize('<frame src="https://evil.test/"><portal src="https://evil.test/">p</portal><object data="x.swf">o</object><svg><foreignObject><iframe src="https://evil.test/"></iframe></foreignObject></svg><p>正文</p>');
+  assert.equal(root.querySelector('frame, portal, object, foreignObject, iframe'), null);
+  assert.equal(root.textContent, '正文');
+});
+
+test('sanitizer only keeps safe URLs and allowlisted attributes', () => {
+  const root = sanitize([
+    '<a href="javascript:alert(1)" target="_blank" ping="https://evil.test/">a</a>',
+    '<a href="https://example.com/doc">b</a>',
+    '<img src="data:image/png;base64,AAAA" srcset="https://evil.test/x.png 2x" onerror="alert(1)" alt="图">',
+    '<img src="data:text/html,<script>alert(1)</script>">',
+    '<svg><use href="https://evil.test/sprite.svg#a"></use><use xlink:href="#icon"></use></svg>',
+    '<table background="https://evil.test/bg.png"><tr><td colspan="2" data-print-owner="1" data-print-files="a.txt" aria-label="x">c</td></tr></table>',
+    '<p style="width: expression(alert(1))">d</p><p style="color: red">e</p>',
+  ].join(''));
+  const [bad, good] = root.querySelectorAll('a');
+  assert.equal(bad.attributes.length, 0);
+  assert.equal(good.getAttribute('href'), 'https://example.com/doc');
+  const [img, htmlImg] = root.querySelectorAll('img');
+  assert.deepEqual(Array.from(img.attributes).map((a) => a.name).sort(), ['alt', 'src']);
+  assert.equal(htmlImg.hasAttribute('src'), false);
+  const [remote, local] = root.querySelectorAll('use');
+  assert.equal(remote.attributes.length, 0);
+  assert.equal(local.getAttribute('xlink:href'), '#icon');
+  assert.equal(root.querySelector('table').hasAttribute('background'), false);
+  const td = root.querySelector('td');
+  assert.deepEqual(Array.from(td.attributes).map((a) => a.name).sort(), ['aria-label', 'colspan', 'data-print-files']);
+  const [unsafe, safe] = root.querySelectorAll('p');
+  assert.equal(unsafe.hasAttribute('style'), false);
+  assert.equal(safe.getAttribute('style'), 'color: red');
+});
+
+test('scopeSelector prefixes selectors and maps the document root to the scope', () => {
+  const scope = '[data-print-scope="s1"]';
+  assert.equal(scopeSelector('.card p', scope), `${scope} .card p`);
+  assert.equal(scopeSelector('body > .card', scope), `${scope} .card`);
+  assert.equal(scopeSelector('html body', scope), scope);
+  assert.equal(scopeSelector(':root', scope), scope);
+  assert.equal(scopeSelector('bodyguard', scope), `${scope} bodyguard`);
+});
+
+test('scopeSelector drops root selectors with conditions and selectors on PrintKit state', () => {
+  const scope = '[data-print-scope="s1"]';
+  assert.equal(scopeSelector('html.dark .card', scope), null);
+  assert.equal(scopeSelector('body + .card', scope), null);
+  assert.equal(scopeSelector('@page', scope), null);
+  assert.equal(scopeSelector('.print-redaction-hidden', scope), null);
+  assert.equal(scopeSelector('[data-print-scope] p', scope), null);
+});
@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPrintTransaction } from '../printkit/transaction.js';
+import { createRoot } from './dom.js';
+
+test('rollback restores the original values in reverse order and only runs once', () => {
+  const root = createRoot('<div id="box" class="card" title="原标题"></div>');
+  const box = root.querySelector('#box');
+  const tx = createPrintTransaction();
+  const order = [];
+  tx.onRollback(() => order.push('first'));
+  tx.setStyle(box, 'width', '100px');
+  tx.setStyle(box, 'width', '200px');
+  tx.setAttribute(box, 'title', '打印标题');
+  tx.removeAttribute(box, 'title');
+  tx.setData(box, 'printScaled', '1');
+  tx.addClass(box, 'card');
+  tx.addClass(box, 'print-scaled');
+  tx.track(root.appendChild(root.ownerDocument.createElement('span')));
+  tx.onRollback(() => order.push('last'));
+  assert.ok(tx.rollback() > 0);
+  assert.deepEqual(order, ['last', 'first']);
+  assert.equal(box.outerHTML, '<div id="box" class="card" title="原标题"></div>');
+  assert.equal(root.querySelector('span'), null);
+  assert.equal(tx.done(), true);
+
+  tx.onRollback(() => order.push('late'));
+  box.setAttribute('title', '之后的修改');
+  assert.equal(tx.rollback(), 0);
+  assert.deepEqual(order, ['last', 'first']);
+  assert.equal(box.getAttribute('title'), '之后的修改');
+});
+
+test('a failing restore step does not stop the remaining steps', () => {
+  const root = createRoot('<p>正文</p>');
+  const p = root.querySelector('p');
+  const tx = createPrintTransaction();
+  tx.replaceChildren(p, [root.ownerDocument.createTextNode('替换')]);
+  tx.onRollback(() => { throw new Error('boom'); });
+  assert.equal(tx.rollback(), 2);
+  assert.equal(p.textContent, '正文');
+});
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { chooseWideTableStrategy, buildTableColumnSlices } from '../printkit/stages/wide-table.js';
+import { resolvePageSetup } from '../printkit/pagination.js';
+import { createPrintTransaction } from '../printkit/transaction.js';
+import { createRoot } from './dom.js';
+
+// 创建宽表测试上下文
+// 参数：html - 查询范围内的 HTML；page - 页面设置
+function createContext(html, page = {}) {
+  const root = createRoot(html);
+  const doc = root.ownerDocument;
+  const cloneRoot = doc.createElement('div');
+  doc.body.appendChild(cloneRoot);
+  return { root, doc, win: doc.defaultView, page: resolvePageSetup(page), locale: 'en-US', cloneRoot, tx: createPrintTransaction() };
+}
+
+test('chooseWideTableStrategy prefers readable scaling, then landscape, then slicing', () => {
+  const ctx = createContext('<table><tr><td style="font-size: 16px">x</td></tr></table>');
+  const table = ctx.root.querySelector('table');
+  const width = ctx.page.contentWidth;
+  const landscapeWidth = resolvePageSetup({ orientation: 'landscape' }).contentWidth;
+  assert.deepEqual(chooseWideTableStrategy(ctx, table, width), { strategy: 'none', ratio: 1 });
+  assert.equal(chooseWideTableStrategy(ctx, table, width / 0.8).strategy, 'scale');
+  const landscape = chooseWideTableStrategy(ctx, table, width * 2);
+  assert.equal(landscape.strategy, 'landscape');
+  assert.equal(landscape.ratio, Math.min(1, landscapeWidth / (width * 2)));
+  assert.equal(chooseWideTableStrategy(ctx, table, width * 4).strategy, 'slice');
+  assert.equal(chooseWideTableStrategy(ctx, table, width * 2, { landscape: false }).strategy, 'slice');
+});
+
+test('chooseWideTableStrategy applies the minimum effective font size and explicit modes', () => {
+  const ctx = createContext('<table><tr><td style="font-size: 12px">x</td></tr></table>');
+  const table = ctx.root.querySelector('table');
+  const actual = ctx.page.contentWidth / 0.7;
+  // 12px × 0.7 = 8.4px，低于默认最小有效字号 9px
+  assert.equal(chooseWideTableStrategy(ctx, table, actual, { landscape: false }).strategy, 'slice');
+  assert.equal(chooseWideTableStrategy(ctx, table, actual, { minFontSize: 8 }).strategy, 'scale');
+  assert.equal(chooseWideTableStrategy(ctx, table, actual * 3, { mode: 'scale' }).strategy, 'scale');
+  assert.equal(chooseWideTableStrategy(ctx, table, actual, { mode: 'slice' }).strategy, 'slice');
+  const landscapeCtx = { ...ctx, page: resolvePageSetup({ orientation: 'landscape' }) };
+  assert.equal(chooseWideTableStrategy(landscapeCtx, table, actual * 3, { mode: 'landscape' }).strategy, 'scale');
+});
+
+test('buildTableColumnSlices covers every column once and repeats frozen columns', () => {
+  const count = 20;
+  const head = Array.from({ length: count }, (_, i) => `<th id="h${i}">列${i + 1}</th>`).join('');
+  const body = Array.from({ length: count }, (_, i) => `<td>${i + 1}</td>`).join('');
+  const ctx = createContext(`<h2>账单明细</h2><div class="print-hscroll" data-print-frozen-columns="0"><table><tr>${head}</tr><tr>${body}</tr></table></div>`);
+  const wrap = ctx.root.querySelector('.print-hscroll');
+  const sections = buildTableColumnSlices(ctx, wrap);
+  assert.ok(sections.length > 1);
+  const visible = sections.map((section) => {
+    const table = section.querySelector('table');
+    assert.ok(table.tHead, 'header row moved into thead');
+    return Array.from(table.rows[1].cells).filter((c) => c.style.display !== 'none').map((c) => Number(c.textContent));
+  });
+  visible.forEach((cols) => assert.equal(cols[0], 1));
+  const rest = visible.flatMap((cols) => cols.slice(1));
+  assert.deepEqual(rest, Array.from({ length: count - 1 }, (_, i) => i + 2));
+  sections.forEach((section) => {
+    assert.match(section.querySelector('h3').textContent, /^账单明细 · Column slice #\d/);
+    assert.equal(section.querySelector('#h0'), null, 'cloned ids are prefixed');
+  });
+  assert.equal(ctx.cloneRoot.children.length, sections.length);
+  ctx.tx.rollback();
+  assert.equal(ctx.cloneRoot.hasAttribute('style'), false);
+});
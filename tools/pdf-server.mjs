@@ -0,0 +1,192 @@
+#!/usr/bin/env node
+// 本地 PDF 渲染服务：通过 HTTP 请求调用 renderPdf，供夜间对账单等后台任务生成打印 PDF
+// 说明：只监听 127.0.0.1，只接受 Host 为 127.0.0.1:<端口> 或 localhost:<端口> 的请求（防止 DNS 重绑定）；渲染只接受 JSON POST
+// （网页无法以 <img>、表单等简单请求触发渲染）；只渲染 --root 目录下的页面；浏览器与静态服务器常驻复用，渲染任务逐个排队执行。
+import http from 'node:http';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { parseArgs } from 'node:util';
+import { DEFAULT_ROOT, DEFAULT_PAGE, log, parseTabs, isLocalHost, startStaticServer, launchBrowser, renderPdf } from './render-pdf.mjs';
+
+// 默认端口
+export const DEFAULT_PORT = 3210;
+
+// 请求体大小上限（字节）
+const MAX_BODY_BYTES = 64 * 1024;
+
+// 创建带 HTTP 状态码的错误
+function httpError(status, message) {
+  const e = new Error(message);
+  e.status = status;
+  return e;
+}
+
+// 读取 JSON 请求体
+// 参数：req - 请求
+// 返回：解析后的对象；请求体为空时返回 {}；超出上限或格式错误时抛出异常
+// 说明：超出上限时不再保存请求体，其余部分读取后丢弃（不断开连接，否则客户端收不到 413 响应），响应后关闭连接
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    const collect = (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        req.off('data', collect);
+        req.resume();
+        reject(httpError(413, 'request body too large'));
+        return;
+      }
+      chunks.push(chunk);
+    };
+    req.on('data', collect);
+    req.on('end', () => {
+      if (size > MAX_BODY_BYTES) return;
+      try {
+        const text = Buffer.concat(chunks).toString('utf8');
+        resolve(text ? JSON.parse(text) : {});
+      } catch (e) {
+        reject(httpError(400, 'invalid JSON body'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+// 校验页面参数
+// 参数：page - 请求中的页面路径
+// 返回：相对根目录的页面路径；为绝对地址或超出根目录时返回 null（不渲染外部页面）
+export function resolvePageParam(page) {
+  const value = page || DEFAULT_PAGE;
+  if (/^[a-z][a-z0-9+.-]*:/i.test(value)) return null;
+  const normalized = path.posix.normalize(`/${value}`).slice(1);
+  if (!normalized || normalized.startsWith('..')) return null;
+  return normalized;
+}
+
+// 发送 JSON 响应
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+// 判断请求体是否声明为 JSON
+function isJsonRequest(req) {
+  return String(req.headers['content-type'] || '').split(';')[0].trim().toLowerCase() === 'application/json';
+}
+
+// 启动 PDF 渲染服务
+// 参数：options - { port: 端口（默认 3210）, root: 页面根目录（默认仓库根目录）, timeout: 单次渲染超时（毫秒） }
+// 返回：{ url, close() }
+// 作用：POST /pdf（Content-Type: application/json，{ page, profile, tabs, locale, filename }）返回 application/pdf；
+// GET /health 返回服务状态；Host 不是本服务地址返回 403，/pdf 的其他方法返回 405、非 JSON 请求返回 415；
+// 参数错误返回 400（请求体过大 413），页面取消打印或渲染失败返回 500 与 { error }
+export async function startPdfServer(options = {}) {
+  log('startPdfServer:start', { port: options.port, root: options.root });
+  const files = await startStaticServer(options.root || DEFAULT_ROOT);
+  const browser = await launchBrowser();
+  let queue = Promise.resolve();
+  let pending = 0;
+
+  // 渲染任务排队执行，避免多个页面同时占用浏览器与 CPU
+  function enqueue(task) {
+    pending += 1;
+    const job = queue.then(task);
+    queue = job.catch(() => {}).then(() => { pending -= 1; });
+    return job;
+  }
+
+  async function handleRender(req, res) {
+    if (!isJsonRequest(req)) {
+      sendJson(res, 415, { error: 'Content-Type must be application/json' });
+      return;
+    }
+    const params = await readJsonBody(req);
+    const page = resolvePageParam(params.page);
+    if (!page) {
+      sendJson(res, 400, { error: 'page must be a path under the server root' });
+      return;
+    }
+    const { pdf } = await enqueue(() => renderPdf({
+      page,
+      origin: files.origin,
+      browser,
+      profile: params.profile,
+      tabs: parseTabs(params.tabs),
+      locale: params.locale,
+      timeout: options.timeout,
+    }));
+    const filename = String(params.filename || `${path.posix.basename(page, '.html')}.pdf`).replace(/[\\/:*?"<>|\r\n]/g, '_');
+    res.writeHead(200, {
+      'Content-Type': 'application/pdf',
+      'Content-Length': pdf.length,
+      'Content-Disposition': `attachment; filename="${filename}"`,
+    });
+    res.end(pdf);
+  }
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    log('pdfServer:request', { method: req.method, path: url.pathname });
+    try {
+      if (!isLocalHost(req, server.address().port)) {
+        log('pdfServer:reject-host', { host: req.headers.host });
+        sendJson(res, 403, { error: 'forbidden host' });
+      } else if (url.pathname === '/health' && req.method === 'GET') {
+        sendJson(res, 200, { ok: true, pending });
+      } else if (url.pathname === '/pdf' && req.method === 'POST') {
+        await handleRender(req, res);
+      } else if (url.pathname === '/pdf') {
+        sendJson(res, 405, { error: 'method not allowed' }, { Allow: 'POST' });
+      } else {
+        sendJson(res, 404, { error: 'not found' });
+      }
+    } catch (e) {
+      log('pdfServer:error', e && e.message);
+      // 请求体过大时剩余部分未读取完，响应后关闭连接
+      if (!res.headersSent) sendJson(res, (e && e.status) || 500, { error: e && e.message }, e && e.status === 413 ? { Connection: 'close' } : {});
+      else res.end();
+    }
+  });
+  await new Promise((resolve) => server.listen(options.port || DEFAULT_PORT, '127.0.0.1', resolve));
+  const address = `http://127.0.0.1:${server.address().port}`;
+  log('startPdfServer:done', { url: address });
+  return {
+    url: address,
+    async close() {
+      await new Promise((resolve) => server.close(() => resolve()));
+      await browser.close();
+      await files.close();
+    },
+  };
+}
+
+// 命令行用法
+const USAGE = `用法：node tools/pdf-server.mjs [选项]
+  --port            监听端口（默认 3210，只监听 127.0.0.1）
+  --root            页面根目录（默认仓库根目录）
+  --timeout         单次渲染超时毫秒数（默认 60000）
+  -h, --help        显示帮助`;
+
+if (process.argv[1] && import.meta.url === pathToFileURL(path.resolve(process.argv[1])).href) {
+  const { values } = parseArgs({
+    options: {
+      port: { type: 'string' },
+      root: { type: 'string' },
+      timeout: { type: 'string' },
+      help: { type: 'boolean', short: 'h' },
+    },
+  });
+  if (values.help) {
+    console.log(USAGE);
+  } else {
+    const service = await startPdfServer({
+      port: values.port ? Number(values.port) : undefined,
+      root: values.root,
+      timeout: values.timeout ? Number(values.timeout) : undefined,
+    });
+    const stop = () => service.close().then(() => process.exit(0));
+    process.once('SIGINT', stop);
+    process.once('SIGTERM', stop);
+  }
+}
@@ -0,0 +1,245 @@
+#!/usr/bin/env node
+// 无头打印：在无头浏览器中加载使用 PrintKit 的页面，按打印方案准备后生成 PDF（不弹出打印对话框）
+// 说明：依赖 puppeteer（package.json 的可选依赖，在项目根目录 npm install 后以 npm run render-pdf 运行）；本地页面通过内置静态服务器加载（ES Module 无法从 file:// 加载），
+// 页面需在启动时调用 exposeHeadlessApi（见 printkit/headless.js，示例页面在 bootstrap 中调用）。
+import http from 'node:http';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { parseArgs } from 'node:util';
+import puppeteer from 'puppeteer';
+
+// 页面暴露的无头打印接口名称与最低版本（与 printkit/headless.js 保持一致）
+const HEADLESS_GLOBAL = '__printkitHeadless';
+const HEADLESS_VERSION = 1;
+
+// 默认静态文件根目录（仓库根目录）与页面
+export const DEFAULT_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+export const DEFAULT_PAGE = 'index.html';
+
+// 默认超时（毫秒）：页面加载、打印准备与 PDF 生成分别计时
+export const DEFAULT_TIMEOUT = 60000;
+
+// 静态服务器的内容类型
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.ico': 'image/x-icon',
+  '.woff2': 'font/woff2',
+};
+
+// 统一日志输出（无头打印）
+// 参数：name - 方法名或标签；args - 额外信息
+// 作用：在每个方法执行时输出结构化日志，含时间戳与上下文信息。
+export function log(name, ...args) {
+  const ts = new Date().toISOString();
+  console.log(`[PRINT-PDF ${ts}]`, name, ...args);
+}
+
+// 解析页签参数
+// 参数：value - 'all'、以逗号分隔的页签ID或数组
+// 返回：'all' 或页签ID数组；为空时返回 undefined（由打印方案决定）
+export function parseTabs(value) {
+  if (!value) return undefined;
+  if (Array.isArray(value)) return value.length ? value : undefined;
+  if (value === 'all') return 'all';
+  const tabs = String(value).split(',').map((t) => t.trim()).filter(Boolean);
+  return tabs.length ? tabs : undefined;
+}
+
+// 判断请求的 Host 是否为本地服务地址
+// 参数：req - 请求；port - 服务端口
+// 返回：Host 为 127.0.0.1:<端口> 或 localhost:<端口> 时为 true（防止 DNS 重绑定：其他域名解析到 127.0.0.1 后，网页可借此读取本地服务）
+export function isLocalHost(req, port) {
+  return [`127.0.0.1:${port}`, `localhost:${port}`].includes(String(req.headers.host || '').toLowerCase());
+}
+
+// 解析请求对应的文件
+// 参数：base - 根目录（绝对路径）；url - 请求地址
+// 返回：文件的绝对路径；路径转义无效（如 /%E0）或超出根目录时返回 null
+function resolveStaticFile(base, url) {
+  let pathname;
+  try {
+    pathname = decodeURIComponent(new URL(url, 'http://localhost').pathname);
+  } catch (e) {
+    return null;
+  }
+  const file = path.resolve(base, `.${pathname.endsWith('/') ? `${pathname}index.html` : pathname}`);
+  return file === base || file.startsWith(base + path.sep) ? file : null;
+}
+
+// 启动本地静态文件服务器（只监听 127.0.0.1）
+// 参数：root - 根目录
+// 返回：{ origin, close() }；Host 不是本服务地址时返回 403，路径无效、超出根目录或文件不存在时返回 404
+export async function startStaticServer(root = DEFAULT_ROOT) {
+  log('startStaticServer:start', { root });
+  const base = path.resolve(root);
+  const server = http.createServer(async (req, res) => {
+    try {
+      if (!isLocalHost(req, server.address().port)) {
+        log('staticServer:reject-host', { host: req.headers.host });
+        res.writeHead(403).end();
+        return;
+      }
+      const file = resolveStaticFile(base, req.url);
+      if (!file) {
+        res.writeHead(404).end();
+        return;
+      }
+      const body = await fs.readFile(file);
+      res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream' });
+      res.end(body);
+    } catch (e) {
+      if (!res.headersSent) res.writeHead(404);
+      res.end();
+    }
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const origin = `http://127.0.0.1:${server.address().port}`;
+  log('startStaticServer:done', { origin });
+  return {
+    origin,
+    close: () => new Promise((resolve) => server.close(() => resolve())),
+  };
+}
+
+// 启动无头浏览器
+// 返回：puppeteer Browser；可通过 PUPPETEER_EXECUTABLE_PATH 指定浏览器
+export async function launchBrowser() {
+  log('launchBrowser:start');
+  const browser = await puppeteer.launch({ headless: true, args: ['--no-sandbox', '--font-render-hinting=none'] });
+  log('launchBrowser:done');
+  return browser;
+}
+
+// 将页面渲染为 PDF（异步）
+// 参数：options - {
+//   page: 相对 root 的页面路径或 http(s) 地址（默认 index.html）, root: 静态文件根目录（默认仓库根目录）,
+//   origin: 已启动的静态服务器地址（省略时临时启动）, browser: 已启动的浏览器（省略时临时启动）,
+//   profile: 打印方案ID（默认页面当前方案）, tabs: 'all' | 页签ID数组, selection: 选择打印参数,
+//   locale: 打印语言（如 'en-US'，默认由打印方案或页面决定）,
+//   output: 输出文件路径（省略时不写文件）, timeout: 超时（毫秒，默认 60000）, verbose: 是否转发页面日志 }
+// 返回：{ pdf: Buffer, page, tabs, outline }；page 为方案的纸张设置 { size, orientation, width, height, margin }，
+// outline 为页面打印大纲 [{ level, text, id }]
+// 作用：加载页面并等待无头打印接口，调用 prepare 走与页面打印相同的生命周期事件与全部阶段准备，
+// 按方案的纸张尺寸与页边距生成带标签的 PDF（@page 规则优先，支持横向命名页；标题层级生成书签），最后调用 finish 清理页面；
+// 页面取消打印或准备出错时抛出异常
+export async function renderPdf(options = {}) {
+  const target = options.page || DEFAULT_PAGE;
+  const timeout = options.timeout || DEFAULT_TIMEOUT;
+  log('renderPdf:start', { page: target, profile: options.profile, tabs: options.tabs, locale: options.locale });
+  const remote = /^https?:\/\//i.test(target);
+  const server = remote || options.origin ? null : await startStaticServer(options.root);
+  const origin = options.origin || (server && server.origin);
+  const url = remote ? target : `${origin}/${target.replace(/^\/+/, '')}`;
+  let browser = options.browser || null;
+  let tab = null;
+  try {
+    if (!browser) browser = await launchBrowser();
+    tab = await browser.newPage();
+    if (options.verbose) tab.on('console', (msg) => console.log(msg.text()));
+    tab.on('pageerror', (e) => log('renderPdf:pageerror', e && e.message));
+    await tab.goto(url, { waitUntil: 'load', timeout });
+    await tab.waitForFunction((name, version) => window[name] && window[name].version >= version, { timeout }, HEADLESS_GLOBAL, HEADLESS_VERSION);
+    const params = { profile: options.profile || null, tabs: parseTabs(options.tabs), selection: options.selection, locale: options.locale };
+    const prepared = await tab.evaluate((name, p) => window[name].prepare(p), HEADLESS_GLOBAL, params);
+    if (!prepared.ok) throw new Error(`print was canceled or failed in page${prepared.error ? `: ${prepared.error}` : ''}`);
+    let pdf;
+    try {
+      pdf = await tab.pdf({
+        width: prepared.page.width,
+        height: prepared.page.height,
+        margin: prepared.page.margin,
+        printBackground: true,
+        preferCSSPageSize: true,
+        tagged: true,
+        outline: true,
+        timeout,
+      });
+    } finally {
+      await tab.evaluate((name) => window[name].finish(), HEADLESS_GLOBAL);
+    }
+    const buffer = Buffer.from(pdf);
+    if (options.output) await fs.writeFile(options.output, buffer);
+    log('renderPdf:done', { bytes: buffer.length, page: prepared.page, tabs: prepared.tabs, outline: (prepared.outline || []).length, output: options.output });
+    return { pdf: buffer, page: prepared.page, tabs: prepared.tabs, outline: prepared.outline || [] };
+  } finally {
+    if (tab) await tab.close();
+    if (browser && !options.browser) await browser.close();
+    if (server) await server.close();
+  }
+}
+
+// 命令行用法
+const USAGE = `用法：node tools/render-pdf.mjs [页面] [选项]
+  页面              相对 --root 的页面路径或 http(s) 地址（默认 index.html）
+  -o, --output      输出文件（默认为页面文件名加 .pdf）
+  --profile         打印方案ID（默认页面当前方案）
+  --tabs            all 或以逗号分隔的页签ID（默认由打印方案决定）
+  --locale          打印语言，如 zh-CN、en-US、ja-JP（默认由打印方案或页面决定）
+  --root            静态文件根目录（默认仓库根目录）
+  --timeout         超时毫秒数（默认 60000）
+  --verbose         输出页面日志
+  -h, --help        显示帮助`;
+
+// 命令行入口
+// 参数：argv - 命令行参数（不含 node 与脚本路径）
+// 返回：进程退出码
+export async function main(argv = process.argv.slice(2)) {
+  let args;
+  try {
+    args = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        output: { type: 'string', short: 'o' },
+        profile: { type: 'string' },
+        tabs: { type: 'string' },
+        locale: { type: 'string' },
+        root: { type: 'string' },
+        timeout: { type: 'string' },
+        verbose: { type: 'boolean' },
+        help: { type: 'boolean', short: 'h' },
+      },
+    });
+  } catch (e) {
+    console.error(e.message);
+    console.error(USAGE);
+    return 2;
+  }
+  if (args.values.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  const page = args.positionals[0] || DEFAULT_PAGE;
+  const name = path.basename(new URL(page, 'http://localhost/').pathname, '.html') || 'print';
+  try {
+    await renderPdf({
+      page,
+      root: args.values.root,
+      profile: args.values.profile,
+      tabs: args.values.tabs,
+      locale: args.values.locale,
+      timeout: args.values.timeout ? Number(args.values.timeout) : undefined,
+      verbose: args.values.verbose,
+      output: args.values.output || `${name}.pdf`,
+    });
+    return 0;
+  } catch (e) {
+    log('main:error', e && e.message);
+    return 1;
+  }
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(path.resolve(process.argv[1])).href) {
+  main().then((code) => { process.exitCode = code; });
+}